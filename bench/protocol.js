@@ -0,0 +1,46 @@
+/**
+ * Measures how fast the parser handles large bursts of messages, such as the NAMES replies for
+ * a few hundred busy channels, received in chunks of different sizes.
+ *
+ * Usage: node bench/protocol.js [messages]
+ */
+var protocol = require('../lib/protocol');
+
+var count = parseInt(process.argv[2], 10) || 2000;
+
+var names = function (i) {
+    var users = [];
+    for (var j = 0; j < 200; j += 1) {
+        users.push((j % 10 === 0 ? '@' : '') + 'user' + j + '_ë');
+    }
+    return {event: 'NAMES', params: ['network', 'server', '#channel' + i].concat(users)};
+};
+
+var messages = [];
+for (var i = 0; i < count; i += 1) {
+    messages.push(protocol.encode(names(i)));
+}
+var burst = Buffer.concat(messages);
+
+[1024, 16 * 1024, 64 * 1024, burst.length].forEach(function (size) {
+    var parser = new protocol.Parser(function (err) {
+        throw err;
+    }, {maxFrameSize: burst.length});
+    var parsed = 0;
+    var started = process.hrtime();
+
+    for (var pos = 0; pos < burst.length; pos += size) {
+        parsed += parser.dezeusify(burst.slice(pos, pos + size)).length;
+    }
+
+    var elapsed = process.hrtime(started);
+    var seconds = elapsed[0] + elapsed[1] / 1e9;
+    console.log(
+        "%d messages (%d MB) in chunks of %d bytes: %d ms, %d MB/s",
+        parsed,
+        (burst.length / 1048576).toFixed(1),
+        size,
+        Math.round(seconds * 1000),
+        (burst.length / 1048576 / seconds).toFixed(1)
+    );
+});
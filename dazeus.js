@@ -1,7 +1,23 @@
 var net = require('net');
 var EventEmitter = require('events').EventEmitter;
-var strftime = require('prettydate').strftime;
 var util = require('util');
+var errors = require('./lib/errors');
+var protocol = require('./lib/protocol');
+var CommandRouter = require('./lib/commands').CommandRouter;
+var events = require('./lib/events');
+var Store = require('./lib/store').Store;
+var SendQueue = require('./lib/queue').SendQueue;
+var state = require('./lib/state');
+var WhoisInfo = require('./lib/whois').WhoisInfo;
+var format = require('./lib/format');
+var Scheduler = require('./lib/scheduler').Scheduler;
+var Prompts = require('./lib/prompts').Prompts;
+var Host = require('./lib/host').Host;
+var Logger = require('./lib/logger').Logger;
+var config = require('./lib/config');
+var WebhookBridge = require('./lib/webhooks').WebhookBridge;
+var recorder = require('./lib/recorder');
+var Limiter = require('./lib/limits').Limiter;
 
 /**
  * Implemented DaZeus protocol version
@@ -10,10 +26,27 @@ var util = require('util');
 var PROTOCOL_VERSION = 1;
 
 /**
- * Regular expression for a nickname
- * @type {RegExp}
+ * Default number of milliseconds to wait for a response to a request
+ * @type {Integer}
+ */
+var DEFAULT_TIMEOUT = 30000;
+
+/**
+ * What to do with requests that are made before the handshake has completed
+ * @type {Array}
  */
-var NICK_REGEX = /^[a-z_\-\[\]\\\^{}|`][a-z0-9_\-\[\]\\\^{}|`]*$/i;
+var BEFORE_HANDSHAKE = ['send', 'queue', 'reject'];
+
+/**
+ * Default settings for automatic reconnection, delays are in milliseconds
+ * @type {Object}
+ */
+var DEFAULT_RECONNECT = {
+    retries: Infinity,
+    delay: 1000,
+    maxDelay: 60000,
+    factor: 2
+};
 
 /**
  * DaZeus client connection object
@@ -26,55 +59,116 @@ var DaZeus = function (options, onConnect) {
 
     this.options = options;
 
-    // debugging
-    this.debug_enabled = options.debug;
+    // logging, silent unless requested
+    this.log = createLogger(options);
     this.handshook = false;
 
-    // received data which could not be parsed into messages yet
-    this.data = '';
-
-    // determine correct call of net.connect
-    var cb = function () {
-        connected.call(self);
-        onConnect.call(self);
-    };
-
-    if (options.path) {
-        this.debug("Trying to establish connection to unix socket %s", options.path);
-        this.client = net.connect(options.path, cb);
-    } else {
-        this.debug("Trying to establish connection to %s on port %s", options.host, options.port);
-        this.client = net.connect(options.port, options.host, cb);
+    // what the server told us about itself in the handshake, null until known
+    this.protocolVersion = null;
+    this.capabilities = null;
+
+    // requests made before the handshake completed, sent or rejected once it does
+    this.beforeHandshake = options.beforeHandshake || 'send';
+    if (BEFORE_HANDSHAKE.indexOf(this.beforeHandshake) === -1) {
+        throw new errors.UsageError(util.format(
+            "Unknown beforeHandshake policy %s, expected one of %s",
+            this.beforeHandshake,
+            BEFORE_HANDSHAKE.join(', ')
+        ));
+    }
+    this.awaitingHandshake = [];
+
+    // requests that are waiting for a response, oldest first
+    this.pending = [];
+    this.lastRequestId = 0;
+    this.timeout = typeof options.timeout === 'number' ? options.timeout : DEFAULT_TIMEOUT;
+
+    // names and whois queries that are waiting for their event, shared by everyone asking the same
+    this.lookups = {};
+
+    // automatic reconnection, disabled unless requested
+    this.reconnect = null;
+    if (options.reconnect) {
+        this.reconnect = Object.assign(
+            {},
+            DEFAULT_RECONNECT,
+            options.reconnect === true ? {} : options.reconnect
+        );
+    }
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.closing = false;
+
+    // queue for outgoing messages, disabled unless requested
+    this.queue = null;
+    if (options.queue) {
+        this.queue = new SendQueue(this, options.queue === true ? {} : options.queue);
     }
 
-    // when data is received
-    this.client.on('data', function (data) {
-        var obj = dezeusify.call(self, data.toString('utf8'));
-        obj.forEach(function (item) {
-            received.call(self, item);
-        });
-    });
+    // state that is restored after reconnecting, subscribedEvents counts the listeners per event type
+    this.subscribedEvents = {};
+    this.registeredCommands = [];
+    this.handshakeParams = null;
+
+    // promises for the last update of each stored key, shared by all stores of this client
+    this.storeUpdates = {};
+
+    // recording of the traffic with DaZeus, disabled unless requested
+    this.recorder = null;
+    if (options.record) {
+        this.recorder = new recorder.Recorder(
+            this,
+            typeof options.record === 'string' ? {path: options.record} : options.record
+        );
+    }
 
-    // when the connection is closed
-    this.client.on('end', function () {
-        disconnected.call(self);
-    });
+    if (options.socket && this.reconnect !== null) {
+        throw new errors.UsageError("Cannot reconnect a connection over a given socket");
+    }
 
-    this.client.on('error', function (err) {
-        self.debug("Whoops, an error occurred: %s", err.message);
-        throw new Error(util.format("A connection error occurred: %s", err.message));
-    });
+    establish.call(this, onConnect);
 
     // when a new listener is added to this object, we'll want to check if we should notify the server
     this.on('newListener', function (evt) {
-        this.debug("A new event listener was added");
-        if (evt.toUpperCase() === evt && !this.subscribedEvents.indexOf(evt) !== -1) {
-            subscribeServerEvent.call(self, evt);
+        this.log.component('events').trace({type: evt}, "A new event listener was added");
+        if (evt.toUpperCase() === evt) {
+            retainServerEvent.call(self, evt);
+        }
+    });
+
+    // and when the last listener for an event is removed, the server can stop sending it
+    this.on('removeListener', function (evt) {
+        if (evt.toUpperCase() === evt) {
+            releaseServerEvent.call(self, evt);
         }
     });
 
-    this.subscribedEvents = [];
-    this.waitingCallbacks = [];
+    // subscriptions to end when the connection is closed
+    this.subscriptions = [];
+
+    // command routers that answer }help together
+    this.helpRouters = [];
+
+    // schedulers to stop when the connection is closed
+    this.schedulers = [];
+
+    // plugin hosts to stop watching files when the connection is closed
+    this.hosts = [];
+
+    // webhook bridges to stop listening when the connection is closed
+    this.bridges = [];
+
+    // limits on commands and ignored users, shared by every handler, created when first used
+    this.limiter = null;
+
+    // questions waiting for an answer of a user
+    this.prompts = new Prompts(this);
+
+    // channel state tracking, disabled unless requested
+    this.state = null;
+    if (options.state) {
+        this.state = new state.StateTracker(this);
+    }
 };
 util.inherits(DaZeus, EventEmitter);
 
@@ -84,6 +178,7 @@ util.inherits(DaZeus, EventEmitter);
  * @param {String}   version    The version of the plugin
  * @param {String}   configname The section used for configuration (optional)
  * @param {Function} callback   Function to be executed with the result of the request (optional)
+ * @return {Promise}            Promise for the response, if no callback was given
  */
 DaZeus.prototype.handshake = function (name, version, configname, callback) {
     if (typeof configname === 'function') {
@@ -95,19 +190,22 @@ DaZeus.prototype.handshake = function (name, version, configname, callback) {
         configname = name;
     }
     var self = this;
-    sendReceive.call(this, {'do': 'handshake', params: [name, version, PROTOCOL_VERSION, configname]}, function () {
-        self.handshook = true;
-        if (typeof callback !== 'undefined' && callback !== null) {
-            callback.apply();
-        }
+    this.handshakeParams = [name, version, configname];
+    return promised.call(this, callback, function (done) {
+        var data = {'do': 'handshake', params: [name, version, PROTOCOL_VERSION, configname]};
+        sendReceive.call(self, data, function (result, err) {
+            handshaken.call(self, data, result, err);
+            done(result, err);
+        });
     });
 };
 
 /**
  * Retrieve a configuration value
  * @param  {String}   key
- * @param  {String}   group    Either 'plugin' or 'core'
+ * @param  {String}   group    Either 'plugin' or 'core' (optional, defaults to 'plugin')
  * @param  {Function} callback
+ * @return {Promise} Promise for the response, if no callback was given
  */
 DaZeus.prototype.getConfig = function (key, group, callback) {
     if (typeof group === 'function') {
@@ -116,10 +214,29 @@ DaZeus.prototype.getConfig = function (key, group, callback) {
     }
 
     if (typeof group === 'undefined' || group === null) {
-        group = 'plugin'
+        group = 'plugin';
     }
 
-    sendReceive.call(this, {'get': 'config', params: [group, key]}, callback);
+    return this.request({'get': 'config', params: [group, key]}, callback);
+};
+
+/**
+ * Retrieve the configuration of the plugin, typed and validated according to a schema.
+ * The plugin section of the configuration belongs to the plugin name given to handshake,
+ * so handshake has to be called first.
+ * @param  {Object}  schema Keys with their type, default, required flag and validate function
+ * @return {Promise}        Promise for the configuration, rejected with a ValidationError
+ *                          listing every missing or invalid key
+ */
+DaZeus.prototype.loadConfig = function (schema) {
+    var needsPlugin = Object.keys(schema).some(function (key) {
+        return typeof schema[key] !== 'object' || (schema[key].group || 'plugin') === 'plugin';
+    });
+    if (needsPlugin && this.handshakeParams === null) {
+        return Promise.reject(new errors.UsageError("Call handshake before loading the configuration of the plugin"));
+    }
+    this.log.debug("Loading the configuration of the plugin");
+    return config.load(this, schema);
 };
 
 /**
@@ -127,21 +244,20 @@ DaZeus.prototype.getConfig = function (key, group, callback) {
  * @param  {String}   property Name of the property
  * @param  {Array}    scope    Scope identifier (optional)
  * @param  {Function} callback Function to be executed with the result of the request
+ * @return {Promise}           Promise for the response, if no callback was given
  */
 DaZeus.prototype.getProperty = function (property, scope, callback) {
     if (typeof scope === 'function') {
         callback = scope;
         scope = undefined;
-        this.debug("Requesting property %s without scope", property);
-    } else {
-        this.debug("Requesting property %s with scope %s", property, JSON.stringify(scope));
     }
+    this.log.debug({property: property, scope: scope}, "Requesting property %s", property);
 
-    if (typeof scope === 'undefined') {
-        sendReceive.call(this, {'do': 'property', params: ['get', property]}, callback);
-    } else {
-        sendReceive.call(this, {'do': 'property', scope: scope, params: ['get', property]}, callback);
+    var data = {'do': 'property', params: ['get', property]};
+    if (typeof scope !== 'undefined') {
+        data.scope = scope;
     }
+    return this.request(data, callback);
 };
 
 /**
@@ -150,21 +266,20 @@ DaZeus.prototype.getProperty = function (property, scope, callback) {
  * @param {Object}   value    Some value to store
  * @param {Array}    scope    Scope identifer (optional)
  * @param {Function} callback Function to be executed when the property change is processed
+ * @return {Promise}          Promise for the response, if no callback was given
  */
 DaZeus.prototype.setProperty = function (property, value, scope, callback) {
     if (typeof scope === 'function') {
         callback = scope;
         scope = undefined;
-        this.debug("Setting property %s to %s without scope", property, JSON.stringify(value));
-    } else {
-        this.debug("Setting property %s to %s with scope %s", property, JSON.stringify(value), JSON.stringify(scope));
     }
+    this.log.debug({property: property, value: value, scope: scope}, "Setting property %s", property);
 
-    if (typeof scope === 'undefined') {
-        sendReceive.call(this, {'do': 'property', params: ['set', property, value]}, callback);
-    } else {
-        sendReceive.call(this, {'do': 'property', scope: scope, params: ['set', property, value]}, callback);
+    var data = {'do': 'property', params: ['set', property, value]};
+    if (typeof scope !== 'undefined') {
+        data.scope = scope;
     }
+    return this.request(data, callback);
 };
 
 /**
@@ -172,21 +287,20 @@ DaZeus.prototype.setProperty = function (property, value, scope, callback) {
  * @param  {String}   property Name of the property
  * @param  {Array}    scope    Scope identifer (optional)
  * @param  {Function} callback Function to be executed when the property change is processed
+ * @return {Promise}           Promise for the response, if no callback was given
  */
 DaZeus.prototype.unsetProperty = function (property, scope, callback) {
     if (typeof scope === 'function') {
         callback = scope;
         scope = undefined;
-        this.debug("Removing property %s without scope", property);
-    } else {
-        this.debug("Removing property %s with scope %s", property, JSON.stringify(scope));
     }
+    this.log.debug({property: property, scope: scope}, "Removing property %s", property);
 
-    if (typeof scope === 'undefined') {
-        sendReceive.call(this, {'do': 'property', params: ['unset', property]}, callback);
-    } else {
-        sendReceive.call(this, {'do': 'property', scope: scope, params: ['unset', property]}, callback);
+    var data = {'do': 'property', params: ['unset', property]};
+    if (typeof scope !== 'undefined') {
+        data.scope = scope;
     }
+    return this.request(data, callback);
 };
 
 /**
@@ -194,29 +308,29 @@ DaZeus.prototype.unsetProperty = function (property, scope, callback) {
  * @param {String}   property Starting string of the properties
  * @param {Array}    scope    Scope identifier (optional)
  * @param {Function} callback Function to be executed with the results from the request
+ * @return {Promise}          Promise for the response, if no callback was given
  */
 DaZeus.prototype.propertyKeys = function (property, scope, callback) {
     if (typeof scope === 'function') {
         callback = scope;
         scope = undefined;
-        this.debug("Retrieving properties starting with %s without scope", property);
-    } else {
-        this.debug("Retrieving properties starting with %s with scope %s", property, JSON.stringify(scope));
     }
+    this.log.debug({property: property, scope: scope}, "Retrieving properties starting with %s", property);
 
-    if (typeof scope === 'undefined') {
-        sendReceive.call(this, {'do': 'property', params: ['keys', property]}, callback);
-    } else {
-        sendReceive.call(this, {'do': 'property', scope: scope, params: ['keys', property]}, callback);
+    var data = {'do': 'property', params: ['keys', property]};
+    if (typeof scope !== 'undefined') {
+        data.scope = scope;
     }
+    return this.request(data, callback);
 };
 
 /**
  * Get a permission
  * @param  {String}   permission Name of the permission
  * @param  {Array}    scope      Scope identifer
- * @param  {Boolean}  defaultval Default permission if none was given
- * @param  {Function} callback   Callback to be executed with the result.
+ * @param  {Boolean}  defaultval Default permission if none was given (optional, default: false)
+ * @param  {Function} callback   Callback to be executed with the result (optional)
+ * @return {Promise}             Promise for the result if no callback was given
  */
 DaZeus.prototype.getPermission = function (permission, scope, defaultval, callback) {
     if (typeof defaultval === 'function') {
@@ -224,13 +338,16 @@ DaZeus.prototype.getPermission = function (permission, scope, defaultval, callba
         defaultval = false;
     }
 
-    this.debug(
-        "Checking permission %s in scope %s (default %s)",
-        permission,
-        JSON.stringify(scope),
-        JSON.stringify(defaultval)
+    if (typeof defaultval === 'undefined') {
+        defaultval = false;
+    }
+
+    this.log.debug(
+        {permission: permission, scope: scope, 'default': defaultval},
+        "Checking permission %s",
+        permission
     );
-    sendReceive.call(this, {'do': 'permission', scope: scope, params: ['get', permission, defaultval]}, callback);
+    return this.request({'do': 'permission', scope: scope, params: ['get', permission, defaultval]}, callback);
 };
 
 /**
@@ -239,6 +356,7 @@ DaZeus.prototype.getPermission = function (permission, scope, defaultval, callba
  * @param  {Array}    scope      Scope identifer
  * @param  {Boolean}  allow      Whether or not to allow or deny access (optional, default: true)
  * @param  {Function} callback   Function to be executed when the permission change is processed (optional)
+ * @return {Promise}             Promise for the response, if no callback was given
  */
 DaZeus.prototype.setPermission = function (permission, scope, allow, callback) {
     if (typeof allow === 'function') {
@@ -250,14 +368,9 @@ DaZeus.prototype.setPermission = function (permission, scope, allow, callback) {
         allow = true;
     }
 
-    this.debug(
-        "Setting permission %s in scope %s to %s",
-        permission,
-        JSON.stringify(scope),
-        JSON.stringify(allow)
-    );
+    this.log.debug({permission: permission, scope: scope, allow: allow}, "Setting permission %s", permission);
 
-    sendReceive.call(this, {'do': 'permission', scope: scope, params: ['set', permission, allow]}, callback);
+    return this.request({'do': 'permission', scope: scope, params: ['set', permission, allow]}, callback);
 };
 
 /**
@@ -265,10 +378,11 @@ DaZeus.prototype.setPermission = function (permission, scope, allow, callback) {
  * @param  {String}   permission Name of the permission
  * @param  {Array}    scope      Scope identifer
  * @param  {Function} callback   Function to be executed when the permission change is processed
+ * @return {Promise}             Promise for the response, if no callback was given
  */
 DaZeus.prototype.unsetPermission = function (permission, scope, callback) {
-    this.debug("Removing permission %s in scope %s", permission, JSON.stringify(scope));
-    sendReceive.call(this, {'do': 'permission', scope: scope, params: ['unset', permission]}, callback);
+    this.log.debug({permission: permission, scope: scope}, "Removing permission %s", permission);
+    return this.request({'do': 'permission', scope: scope, params: ['unset', permission]}, callback);
 };
 
 /**
@@ -277,10 +391,11 @@ DaZeus.prototype.unsetPermission = function (permission, scope, callback) {
  * @param  {String}   channel  Name of the channel where the message should go
  * @param  {String}   message  The message to be sent
  * @param  {Function} callback Callback to be executed when the message is sent
+ * @return {Promise}           Promise for the response, if no callback was given
  */
 DaZeus.prototype.message = function (network, channel, message, callback) {
-    this.debug("Sending message to %s on %s: %s", channel, network, message);
-    sendReceive.call(this, {'do': 'message', params: [network, channel, message]}, callback);
+    this.log.debug({network: network, channel: channel, message: message}, "Sending message to %s", channel);
+    return say.call(this, 'message', network, channel, message, 'low', callback);
 };
 
 /**
@@ -289,10 +404,11 @@ DaZeus.prototype.message = function (network, channel, message, callback) {
  * @param {String}   channel  Name of the channel/user where the message should go
  * @param {String}   message  The message to be sent
  * @param {Function} callback Callback to be executed when the message is sent
+ * @return {Promise}          Promise for the response, if no callback was given
  */
 DaZeus.prototype.notice = function (network, channel, message, callback) {
-    this.debug("Sending notice to %s on %s: %s", channel, network, message);
-    sendReceive.call(this, {'do': 'notice', params: [network, channel, message]}, callback);
+    this.log.debug({network: network, channel: channel, message: message}, "Sending notice to %s", channel);
+    return say.call(this, 'notice', network, channel, message, 'low', callback);
 };
 
 /**
@@ -301,10 +417,11 @@ DaZeus.prototype.notice = function (network, channel, message, callback) {
  * @param {String}   channel  Name of the channel where the message should go
  * @param {String}   message  The message to be sent
  * @param {Function} callback Callback to be executed when the message is sent
+ * @return {Promise}          Promise for the response, if no callback was given
  */
 DaZeus.prototype.ctcp = function (network, channel, message, callback) {
-    this.debug("Sending notice to %s on %s: %s", channel, network, message);
-    sendReceive.call(this, {'do': 'ctcp', params: [network, channel, message]}, callback);
+    this.log.debug({network: network, channel: channel, message: message}, "Sending CTCP to %s", channel);
+    return say.call(this, 'ctcp', network, channel, message, 'low', callback);
 };
 
 /**
@@ -313,10 +430,11 @@ DaZeus.prototype.ctcp = function (network, channel, message, callback) {
  * @param {String}   channel  Name of the channel where the message should go
  * @param {String}   message  The message to be sent
  * @param {Function} callback Callback to be executed when the message is sent
+ * @return {Promise}          Promise for the response, if no callback was given
  */
 DaZeus.prototype.ctcpReply = function (network, channel, message, callback) {
-    this.debug("Sending notice to %s on %s: %s", channel, network, message);
-    sendReceive.call(this, {'do': 'ctcp_rep', params: [network, channel, message]}, callback);
+    this.log.debug({network: network, channel: channel, message: message}, "Sending CTCP reply to %s", channel);
+    return say.call(this, 'ctcp_rep', network, channel, message, 'low', callback);
 };
 
 /**
@@ -325,10 +443,11 @@ DaZeus.prototype.ctcpReply = function (network, channel, message, callback) {
  * @param  {String}   channel  Name of the channel where the message should go
  * @param  {String}   message  The message to be sent (without /me)
  * @param  {Function} callback Callback to be executed when the message is sent
+ * @return {Promise}           Promise for the response, if no callback was given
  */
 DaZeus.prototype.action = function (network, channel, message, callback) {
-    this.debug("Sending ACTION to %s on %s: %s", channel, network, message);
-    sendReceive.call(this, {'do': 'action', params: [network, channel, message]}, callback);
+    this.log.debug({network: network, channel: channel, message: message}, "Sending ACTION to %s", channel);
+    return say.call(this, 'action', network, channel, message, 'low', callback);
 };
 
 /**
@@ -336,10 +455,11 @@ DaZeus.prototype.action = function (network, channel, message, callback) {
  * @param  {String}   network  Name of the network where the channel is located
  * @param  {String}   channel  Name of the channel to join
  * @param  {Function} callback Callback to be executed when the join request is processed
+ * @return {Promise}           Promise for the response, if no callback was given
  */
 DaZeus.prototype.join = function (network, channel, callback) {
-    this.debug("Requesting to join %s on %s", channel, network);
-    sendReceive.call(this, {'do': 'join', params: [network, channel]}, callback);
+    this.log.debug({network: network, channel: channel}, "Requesting to join %s", channel);
+    return this.request({'do': 'join', params: [network, channel]}, callback);
 };
 
 /**
@@ -347,101 +467,134 @@ DaZeus.prototype.join = function (network, channel, callback) {
  * @param  {String}   network  Name of the network where the channel is located
  * @param  {String}   channel  Name of the channel to leave
  * @param  {Function} callback Callback to be executed when the part request is processed
+ * @return {Promise}           Promise for the response, if no callback was given
  */
 DaZeus.prototype.part = function (network, channel, callback) {
-    this.debug("Requesting to leave %s on %s", channel, network);
-    sendReceive.call(this, {'do': 'part', params: [network, channel]}, callback);
+    this.log.debug({network: network, channel: channel}, "Requesting to leave %s", channel);
+    return this.request({'do': 'part', params: [network, channel]}, callback);
 };
 
 /**
- * Request a list of names in a channel
+ * Request a list of names in a channel. Concurrent requests for the same channel share the same
+ * query, which fails if no answer arrives within the timeout.
  * @param  {String}   network  Name of the network where the channel is located
  * @param  {String}   channel  Name of the channel to request names
- * @param  {Function} callback Callback to be executed with the results of the request
+ * @param  {Function} callback Callback to be executed with the names, network, channel and the
+ *                             error if the request failed
+ * @return {Promise}           Promise for the list of names, if no callback was given
  */
 DaZeus.prototype.names = function (network, channel, callback) {
-    this.debug("Requesting names for channel %s on %s", channel, network);
-    var self = this;
-    var cb = function (nw, addr, ch) {
-        if (nw === network && ch === channel) {
-            self.removeListener('NAMES', cb);
-            var names = [];
-            for (var i in arguments) {
-                if (arguments.hasOwnProperty(i) && parseInt(i, 10) > 2) {
-                    names.push(arguments[i]);
-                }
+    this.log.debug({network: network, channel: channel}, "Requesting names for channel %s", channel);
+    var query = lookup.call(this, {'do': 'names', params: [network, channel]}, {
+        NAMES: function (params, finish) {
+            if (params[0] === network && sameName(params[2], channel)) {
+                finish(params.slice(3));
             }
-            callback(names, nw, ch);
         }
-    };
-    self.on('NAMES', cb);
-    send.call(this, {'do': 'names', params: [network, channel]});
+    });
+
+    if (typeof callback === 'function') {
+        query.then(function (names) {
+            callback(names, network, channel);
+        }, function (err) {
+            callback([], network, channel, err);
+        });
+        return undefined;
+    }
+
+    return unconsumed.call(this, query.then(function (names) {
+        return names;
+    }));
 };
 
 /**
  * Request a list of names in a channel, remove any prefixes
  * @param  {String}   network  Name of the network where the channel is located
  * @param  {String}   channel  Name of the channel to request names
- * @param  {Function} callback Callback to be executed with the results of the request
+ * @param  {Function} callback Callback to be executed with the nicknames, network, channel and the
+ *                             error if the request failed
+ * @return {Promise}           Promise for the list of nicknames, if no callback was given
  */
 DaZeus.prototype.nicknames = function (network, channel, callback) {
-    this.names(network, channel, function (names, network, channel) {
-        callback(names.map(function (name) {
-            if (!NICK_REGEX.test(name)) {
-                return name.substr(1);
-            } else {
-                return name;
-            }
-        }), network, channel);
-    });
+    var strip = function (names) {
+        return names.map(function (name) {
+            return state.parseName(name).nick;
+        });
+    };
+
+    if (typeof callback === 'function') {
+        this.names(network, channel, function (names, network, channel, err) {
+            callback(strip(names), network, channel, err);
+        });
+        return undefined;
+    }
+
+    return unconsumed.call(this, this.names(network, channel).then(strip));
 };
 
 /**
  * Retrieve a list of networks that the bot is connected to
  * @param  {Function} callback Callback to be executed when the requested data is received
+ * @return {Promise}           Promise for the response, if no callback was given
  */
 DaZeus.prototype.networks = function (callback) {
-    this.debug("Requesting list of connected networks");
-    sendReceive.call(this, {'get': 'networks'}, callback);
+    this.log.debug("Requesting list of connected networks");
+    return this.request({'get': 'networks'}, callback);
 };
 
 /**
  * Retrieve a list of connected channels from a given network
  * @param  {String}   network  Name of the network
  * @param  {Function} callback Callback to be executed when the requested data is received
+ * @return {Promise}           Promise for the response, if no callback was given
  */
 DaZeus.prototype.channels = function (network, callback) {
-    this.debug("Requesting list of connected channels in the network %s", network);
-    sendReceive.call(this, {'get': 'channels', params: [network]}, callback);
+    this.log.debug({network: network}, "Requesting list of connected channels");
+    return this.request({'get': 'channels', params: [network]}, callback);
 };
 
 /**
  * Receive the current nick of the bot on a given network
  * @param  {String}   network  Name of the network at which the nick should be retrieved
  * @param  {Function} callback Callback to be executed when the requested data is received
+ * @return {Promise}           Promise for the response, if no callback was given
  */
 DaZeus.prototype.nick = function (network, callback) {
-    this.debug("Requesting nick of the bot on network %s", network);
-    sendReceive.call(this, {'get': 'nick', params: [network]}, callback);
+    this.log.debug({network: network}, "Requesting nick of the bot");
+    return this.request({'get': 'nick', params: [network]}, callback);
 };
 
 /**
- * Send a whois message for a user in a network
+ * Send a whois message for a user in a network. Concurrent requests for the same user share the
+ * same query, which fails if no answer arrives within the timeout.
  * @param  {String}   network  Network where the user is located
  * @param  {String}   user     Name of the user to send a whois request for
- * @param  {Function} callback Callback to be executed when the requested data is received
+ * @param  {Function} callback Callback to be executed with a WhoisInfo object
+ * @return {Promise}           Promise for the WhoisInfo, if no callback was given
  */
 DaZeus.prototype.whois = function (network, user, callback) {
-    this.debug("Requesting whois data for %s on %s", user, network);
-    var self = this;
-    var cb = function (nw, srv, usr, y) {
-        if (nw === network && usr === user) {
-            self.removeListener('WHOIS', cb);
-            callback(nw, srv, usr, y);
+    this.log.debug({network: network, user: user}, "Requesting whois data for %s", user);
+    var info = new WhoisInfo(network, user);
+    var query = lookup.call(this, {'do': 'whois', params: [network, user]}, {
+        NUMERIC: function (params) {
+            if (params[0] === network && info.matches(params[3], params.slice(4))) {
+                info.add(params[3], params.slice(4));
+            }
+        },
+        WHOIS: function (params, finish) {
+            if (params[0] === network && sameName(params[2], user)) {
+                finish(info.complete(params[1], params[3]));
+            }
         }
-    };
-    self.on('WHOIS', cb);
-    send.call(this, {'do': 'whois', params: [network, user]});
+    });
+
+    return promised.call(this, callback, function (done) {
+        query.then(function (result) {
+            done(result);
+        }, function (err) {
+            done({success: false, error: err.message}, err);
+        });
+    });
 };
 
 /**
@@ -450,12 +603,20 @@ DaZeus.prototype.whois = function (network, user, callback) {
  * @param  {String}   channel   The channel from which the original message got
  * @param  {String}   user      The user that sent the original message
  * @param  {String}   message   The reply message
- * @param  {Boolean}  highlight Whether or not to add a highlight for non-query chats
- * @param  {String}   type      What type of reply to send (message, notice, ctcp)
+ * @param  {Boolean}  highlight Whether or not to add a highlight for non-query chats,
+ *                              or an object with the highlight and type options (optional)
+ * @param  {String}   type      What type of reply to send (message, notice, ctcp) (optional)
  * @param  {Function} callback  Function to be executed when the reply was sent
+ * @return {Promise}            Promise for the response, if no callback was given
  */
 DaZeus.prototype.reply = function (network, channel, user, message, highlight, type, callback) {
-    var func = this.message, self = this;
+    var verb = 'message', self = this;
+    if (highlight !== null && typeof highlight === 'object') {
+        callback = type;
+        type = highlight.type;
+        highlight = highlight.highlight;
+    }
+
     if (typeof type === 'function') {
         callback = type;
         type = 'message';
@@ -476,67 +637,206 @@ DaZeus.prototype.reply = function (network, channel, user, message, highlight, t
     }
 
     if (type === 'notice') {
-        func = this.notice;
+        verb = 'notice';
     } else if (type === 'ctcp') {
-        func = this.ctcpReply;
+        verb = 'ctcp_rep';
     }
 
-    this.nick(network, function (answer) {
-        if (channel === answer.nick) {
-            func.call(self, network, user, message, callback);
-        } else {
-            if (highlight) {
-                message = user + ': ' + message;
+    return promised.call(this, callback, function (done) {
+        self.nick(network, function (answer) {
+            var target = channel;
+            if (channel === answer.nick) {
+                target = user;
+            } else if (highlight) {
+                message = user + ': ' + String(message);
             }
-            func.call(self, network, channel, message, callback);
-        }
+            self.log.debug(
+                {network: network, channel: target, user: user, message: message},
+                "Sending reply (%s) to %s",
+                verb,
+                target
+            );
+            say.call(self, verb, network, target, message, 'high', done);
+        });
     });
 };
 
+/**
+ * Subscribe to one or more types of events, optionally only those matching a filter such as
+ * {network: 'freenode', channel: '#dazeus', message: /^hello/i}. With a listener, the listener
+ * receives every matching event as an Event. Without one, the subscription can be consumed with
+ * for await. Available options are buffer and dropPolicy, for subscriptions without a listener.
+ * @param  {String|Array} type     Type of event, e.g. 'PRIVMSG', or an array of types
+ * @param  {Object}       filter   Fields of the events and what they should match (optional)
+ * @param  {Object}       options  (optional)
+ * @param  {Function}     listener (optional)
+ * @return {Subscription}          Subscription, call unsubscribe() to stop receiving events
+ */
+DaZeus.prototype.subscribe = function (type, filter, options, listener) {
+    if (typeof filter === 'function') {
+        listener = filter;
+        filter = {};
+    } else if (typeof options === 'function') {
+        listener = options;
+        options = {};
+    }
+
+    var types = Array.isArray(type) ? type : [type];
+    this.log.component('events').debug({types: types, filter: Object.keys(filter || {})}, "Subscribing to %s", types.join(', '));
+    var subscription = new events.Subscription(this, types, filter, options, listener);
+    this.subscriptions = this.subscriptions.filter(function (existing) {
+        return existing.active;
+    }).concat([subscription]);
+    return subscription;
+};
+
 /**
  * Registers a command to the server, the callback will be notified every time that command is executed.
  * @param  {String}   command  Name of the command to register
  * @param  {String}   network  Optional: at what network the command should be registered
  * @param  {Function} callback Function to be executed when a command is requested
+ * @return {Promise}           Promise for the response to the registration
  */
 DaZeus.prototype.onCommand = function (command, network, callback) {
     if (typeof network === 'function') {
         callback = network;
         network = undefined;
-        this.debug("Registering command %s to all networks", command);
+        this.log.debug({command: command}, "Registering command %s to all networks", command);
     } else {
-        this.debug("Registering command %s to network %s", command, network);
+        this.log.debug({command: command, network: network}, "Registering command %s", command);
+    }
+
+    this.on('command_' + command, callback);
+    var known = this.registeredCommands.some(function (registered) {
+        return registered[0] === command && registered[1] === network;
+    });
+    if (!known) {
+        this.registeredCommands.push([command, network]);
     }
 
     if (network) {
-        sendReceive.call(this, {'do': 'command', params: [command, network]});
+        return this.request({'do': 'command', params: [command, network]});
     } else {
-        sendReceive.call(this, {'do': 'command', params: [command]});
+        return this.request({'do': 'command', params: [command]});
     }
-    this.on('command_' + command, callback);
 };
 
 /**
- * Retrieve a configuration value
- * @param  {String}   name
- * @param  {String}   group
- * @param  {Function} callback
+ * Wait for the next message of a user in a channel or query.
+ * Available options are question, choices, validate, retries, timeout, timeoutMessage and
+ * cancelOnCommand. A new prompt for the same user in the same channel cancels the previous one.
+ * @param  {String}  network Name of the network
+ * @param  {String}  channel Name of the channel, or the nickname of the bot for queries
+ * @param  {String}  user    Nickname of the user
+ * @param  {Object}  options (optional)
+ * @return {Promise}         Promise for the answer
  */
-DaZeus.prototype.getConfig = function (name, group, callback) {
-    if (typeof group === 'undefined' || group === null) {
-        group = 'plugin';
+DaZeus.prototype.prompt = function (network, channel, user, options) {
+    this.log.debug({network: network, channel: channel, user: user}, "Waiting for an answer of %s", user);
+    return this.prompts.ask(network, channel, user, options);
+};
+
+/**
+ * Stop waiting for the answer of a user, the prompt fails with a CancelledError
+ * @param  {String}  network Name of the network
+ * @param  {String}  channel Name of the channel, or the nickname of the bot for queries
+ * @param  {String}  user    Nickname of the user
+ * @param  {String}  reason  (optional)
+ * @return {Boolean}         Whether a prompt was pending
+ */
+DaZeus.prototype.cancelPrompt = function (network, channel, user, reason) {
+    return this.prompts.cancel(network, channel, user, reason);
+};
+
+/**
+ * Create a command router, which parses the arguments of commands declared on it and
+ * answers }help requests. Available options are help and network.
+ * @param  {Object}        options (optional)
+ * @return {CommandRouter}
+ */
+DaZeus.prototype.router = function (options) {
+    return new CommandRouter(this, options);
+};
+
+/**
+ * Create a key-value store for a plugin on top of the DaZeus properties. Available options are
+ * network, channel and user (to narrow the scope), defaults and schema.
+ * @param  {String} name    Name of the plugin, used as prefix for all keys
+ * @param  {Object} options (optional)
+ * @return {Store}
+ */
+DaZeus.prototype.store = function (name, options) {
+    return new Store(this, name, options);
+};
+
+/**
+ * Create a scheduler for timed and recurring jobs, which are stored as properties so they survive
+ * restarts. The scheduler is stopped when the connection is closed. Available options are missed.
+ * @param  {String}    name    Name of the plugin, used as prefix for the stored jobs
+ * @param  {Object}    options (optional)
+ * @return {Scheduler}
+ */
+DaZeus.prototype.scheduler = function (name, options) {
+    var scheduler = new Scheduler(this, name, options);
+    this.schedulers.push(scheduler);
+    return scheduler;
+};
+
+/**
+ * Run several plugins over this connection, each with its own view of the client.
+ * Available options are directory, plugins, config and watch.
+ * @param  {Object} options
+ * @return {Host}
+ */
+DaZeus.prototype.host = function (options) {
+    var host = new Host(this, options);
+    this.hosts.push(host);
+    return host;
+};
+
+/**
+ * The limiter that keeps track of how often commands are used and which users are ignored. There is
+ * one limiter per client, shared by every router and plugin, so the options only have effect the
+ * first time. Commands of ignored users are not passed to any command listener.
+ * Available options are name, ignoreFor, permission and saveDelay.
+ * @param  {Object}  options (optional)
+ * @return {Limiter}
+ */
+DaZeus.prototype.limits = function (options) {
+    if (this.limiter === null) {
+        this.limiter = new Limiter(this, options);
     }
-    sendReceive.call(this, {'get': 'config', params: [group, name]}, callback);
+    return this.limiter;
+};
+
+/**
+ * Create an HTTP server that posts webhooks into channels, call listen() on it to start it.
+ * Available options are port, host, tokens, formats, maxBodySize, maxLines and rate.
+ * @param  {Object}        options
+ * @return {WebhookBridge}
+ */
+DaZeus.prototype.webhooks = function (options) {
+    var bridge = new WebhookBridge(this, options);
+    this.bridges.push(bridge);
+    return bridge;
 };
 
 /**
  * Retrieve the highlight character
  * @param  {Function} callback Callback that has the highlight character as the first argument
+ * @return {Promise}           Promise for the highlight character, if no callback was given
  */
 DaZeus.prototype.highlightCharacter = function (callback) {
-    this.getConfig('highlight', 'core', function (event) {
-        callback(event.value);
-    });
+    if (typeof callback === 'function') {
+        this.getConfig('highlight', 'core', function (event) {
+            callback(event.value);
+        });
+        return undefined;
+    }
+
+    return unconsumed.call(this, this.getConfig('highlight', 'core').then(function (event) {
+        return event.value;
+    }));
 };
 
 /**
@@ -545,85 +845,698 @@ DaZeus.prototype.highlightCharacter = function (callback) {
  * @param  {String}   string
  * @param  {String}   command
  * @param  {Function} callback
+ * @return {Promise} Promise for the resulting string, if no callback was given
  */
 DaZeus.prototype.insertCommand = function (string, command, callback) {
-    this.highlightCharacter(function (chr) {
+    var replace = function (chr) {
         var cmd = chr + command;
-        callback(string.replace(/\{cmd\}/ig, cmd));
+        return String(string).replace(/\{cmd\}/ig, cmd);
+    };
+
+    if (typeof callback === 'function') {
+        this.highlightCharacter(function (chr) {
+            callback(replace(chr));
+        });
+        return undefined;
+    }
+
+    return unconsumed.call(this, this.highlightCharacter().then(replace));
+};
+
+/**
+ * Check whether the connected DaZeus supports a request, as announced in its handshake response
+ * @param  {String}  verb The request, such as 'networks' or 'whois'
+ * @param  {String}  kind Either 'get' or 'do' (optional, either of them by default)
+ * @return {Boolean}      Whether the request is supported, or null if DaZeus did not announce its
+ *                        capabilities (before the handshake, or for older versions of DaZeus)
+ */
+DaZeus.prototype.supports = function (verb, kind) {
+    var capabilities = this.capabilities;
+    if (capabilities === null) {
+        return null;
+    }
+
+    var kinds = typeof kind === 'string' ? [kind] : ['get', 'do'];
+    return kinds.some(function (kind) {
+        return Array.isArray(capabilities[kind]) && capabilities[kind].indexOf(verb) !== -1;
     });
 };
 
+/**
+ * Send a request to DaZeus and wait for the response.
+ * Available options are timeout, the number of milliseconds to wait for a response (0 to wait forever),
+ * and beforeHandshake, to override the policy of the client for requests made before the handshake.
+ * If no response arrives in time, the request fails. Requests that DaZeus announced it doesn't
+ * support fail immediately with an UnsupportedError.
+ * @param  {Object}   data     Message to be sent
+ * @param  {Object}   options  Options for this request (optional)
+ * @param  {Function} callback Callback to be executed with the response (optional)
+ * @return {Promise}           Promise for the response, if no callback was given
+ */
+DaZeus.prototype.request = function (data, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    if (typeof options === 'undefined' || options === null) {
+        options = {};
+    }
+
+    var self = this;
+    var policy = options.beforeHandshake || this.beforeHandshake;
+    return promised.call(this, callback, function (done) {
+        var start = function () {
+            var err = unsupported.call(self, data);
+            if (err !== null) {
+                done({success: false, error: err.message}, err);
+            } else {
+                sendReceive.call(self, data, done, options.timeout);
+            }
+        };
+
+        if (self.handshook || policy === 'send' || data['do'] === 'handshake') {
+            start();
+        } else if (policy === 'queue') {
+            self.log.debug({request: data}, "Waiting for the handshake before sending %s", verbOf(data));
+            self.awaitingHandshake.push({start: start, done: done});
+        } else {
+            var err = new errors.UsageError(
+                util.format("Request %s was made before the handshake completed", verbOf(data))
+            );
+            done({success: false, error: err.message}, err);
+        }
+    });
+};
+
+/**
+ * Retrieve the requests that are still waiting for a response, oldest first
+ * @return {Array} Objects containing the id, the request and the time it was sent
+ */
+DaZeus.prototype.pendingRequests = function () {
+    return this.pending.filter(function (entry) {
+        return !entry.abandoned;
+    }).map(function (entry) {
+        return {id: entry.id, request: entry.request, sent: entry.sent};
+    });
+};
+
+/**
+ * Stop waiting for the response to a request. The request fails with the given reason.
+ * @param  {Integer} id     Identifier of the request, as returned by pendingRequests
+ * @param  {String}  reason Why the request was cancelled (optional)
+ * @return {Boolean}        Whether a pending request was found
+ */
+DaZeus.prototype.cancelRequest = function (id, reason) {
+    for (var i = 0; i < this.pending.length; i += 1) {
+        if (this.pending[i].id === id && !this.pending[i].abandoned) {
+            abandon.call(this, this.pending[i], new errors.CancelledError(
+                reason || util.format("Request %d was cancelled", id),
+                this.pending[i].request
+            ));
+            return true;
+        }
+    }
+    return false;
+};
+
 /**
  * Close the connection, no future communication is possible.
  * @param {Function} callback To be executed when the connection is closed
+ * @return {Promise}          Promise that is resolved when the connection is closed, if no callback was given
  */
 DaZeus.prototype.close = function (callback) {
-    this.debug("Manual disconnect requested");
-    if (typeof callback === 'function') {
-        this.client.on('end', callback);
+    this.log.info("Manual disconnect requested");
+    var self = this;
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.limiter !== null) {
+        this.limiter.flush();
+    }
+    if (this.queue !== null) {
+        this.queue.clear();
+    }
+    this.schedulers.forEach(function (scheduler) {
+        scheduler.stop();
+    });
+    this.hosts.forEach(function (host) {
+        host.stop();
+    });
+    this.bridges.forEach(function (bridge) {
+        bridge.close();
+    });
+    this.prompts.cancelAll("The connection was closed");
+    this.subscriptions.forEach(function (subscription) {
+        subscription.unsubscribe();
+    });
+    this.subscriptions = [];
+    if (this.recorder !== null) {
+        this.recorder.close();
+        this.recorder = null;
     }
-    this.client.end();
+    failAwaiting.call(this, new errors.CancelledError("The connection was closed"));
+    return promised.call(this, callback, function (done) {
+        if (self.socketClosed) {
+            done();
+            return;
+        }
+
+        var finished = false;
+        var finish = function () {
+            if (!finished) {
+                finished = true;
+                done();
+            }
+        };
+        self.client.once('end', finish);
+        self.client.once('close', finish);
+        self.client.end();
+    });
 };
 
 /**
- * If debugging is enabled, print a debug message
+ * Log a debug message, use client.log for other levels and structured fields
  * @param  {String} message
  */
-DaZeus.prototype.debug = function (message) {
-    if (this.debug_enabled) {
-        if (arguments.length > 1) {
-            var params = [];
-            for (var i in arguments) {
-                if (arguments.hasOwnProperty(i)) {
-                    params.push(arguments[i]);
-                }
-            }
-            message = util.format.apply(null, params);
-        }
-        console.log(strftime(new Date(), "[%Y-%m-%dT%H:%M:%S] ") + message);
+DaZeus.prototype.debug = function () {
+    this.log.debug.apply(this.log, arguments);
+};
+
+/**
+ * Create the logger of a client from its options
+ * @param  {Object} options
+ * @return {Logger}
+ */
+var createLogger = function (options) {
+    if (options.log instanceof Logger) {
+        return options.log;
+    }
+
+    var settings = Object.assign({}, options.log);
+    if (options.logger) {
+        settings.logger = options.logger;
+    }
+    if (typeof settings.level === 'undefined') {
+        settings.level = options.debug ? 'debug' : (options.logger ? 'info' : 'silent');
     }
+    return new Logger(settings, {component: 'client'});
 };
 
 /**
- * Sends some data to the server and calls a callback as soon as that is done.
- * @param  {Object}   data     Message to be sent
- * @param  {Function} callback Callback to be executed when sending is finished
+ * Sends some data to the server.
+ * @param  {Object}  data Message to be sent
+ * @param  {Integer} id   Identifier of the request, if a response is expected (optional)
  */
-var send = function (data, callback) {
-    this.debug("Sending: %s", JSON.stringify(data));
-    var message = dazeusify.call(this, data);
-    this.client.write(message, callback);
+var send = function (data, id) {
+    this.log.component('protocol').trace({id: id, request: data}, "Sending %s", data['do'] || data.get);
+    if (this.recorder !== null) {
+        this.recorder.record('out', data);
+    }
+    this.client.write(protocol.encode(data));
 };
 
 /**
- * Send a message and register a callback
+ * Send a message and register a pending request for its response.
  * @param  {Object}   data     Message to be sent
  * @param  {Function} callback Callback function to be registered
+ * @param  {Integer}  timeout  Milliseconds to wait for the response (optional, defaults to the client timeout)
+ * @return {Integer}           Identifier of the pending request
  */
-var sendReceive = function (data, callback) {
-    if (typeof callback !== 'function') {
-        this.debug("Registering dummy callback, because a response message is expected");
+var sendReceive = function (data, callback, timeout) {
+    var self = this;
+    if (typeof timeout !== 'number') {
+        timeout = this.timeout;
+    }
+
+    // while waiting to reconnect there is no socket to write to
+    if (this.socketClosed) {
+        var err = notConnected(data);
+        process.nextTick(function () {
+            callback.call(self, {success: false, error: err.message}, err);
+        });
+        return null;
+    }
+
+    this.lastRequestId += 1;
+    var entry = {
+        id: this.lastRequestId,
+        request: data,
+        callback: callback,
+        sent: new Date(),
+        timer: null,
+        abandoned: false
+    };
+
+    if (timeout > 0) {
+        entry.timer = setTimeout(function () {
+            var err = new errors.TimeoutError(
+                data,
+                timeout,
+                util.format("No response to request %d within %d ms", entry.id, timeout)
+            );
+            abandon.call(self, entry, err);
+        }, timeout);
+    }
+
+    this.pending.push(entry);
+    send.call(this, data, entry.id);
+    return entry.id;
+};
+
+/**
+ * The error for requests made while the socket is closed
+ * @param  {Object}          data The request
+ * @return {ConnectionError}
+ */
+var notConnected = function (data) {
+    return new errors.ConnectionError(util.format(
+        "Not connected to DaZeus, %s was not sent",
+        data['do'] || data.get
+    ));
+};
+
+/**
+ * Find and remove the pending request a response belongs to.
+ * Responses are matched to the oldest request with the same verb, so a lost or reordered
+ * response only affects the request it belonged to. Abandoned requests for other verbs are
+ * skipped, but stay in place until their own response arrives, so it cannot be mistaken for the
+ * response to a newer request.
+ * @param  {Object} response The response received from the server
+ * @return {Object}          The pending request, or null if none matches
+ */
+var takePending = function (response) {
+    var index = -1, entry, i;
+    for (i = 0; i < this.pending.length && index === -1; i += 1) {
+        entry = this.pending[i];
+        if (typeof response.did !== 'undefined') {
+            if (entry.request['do'] === response.did) {
+                index = i;
+            }
+        } else if (typeof response.got !== 'undefined') {
+            if (entry.request.get === response.got) {
+                index = i;
+            }
+        } else {
+            index = i;
+        }
+    }
+
+    if (index === -1) {
+        return null;
+    }
+
+    return this.pending.splice(index, 1)[0];
+};
+
+/**
+ * Give up on a pending request. It stays in the list of pending requests, so its response
+ * can still be recognized and discarded when it arrives later.
+ * The callback receives a failed response and the error as its second argument.
+ * @param  {Object} entry The pending request
+ * @param  {Error}  err   Why the request failed
+ */
+var abandon = function (entry, err) {
+    var callback = entry.callback;
+    this.log.warn({id: entry.id, request: entry.request}, "Giving up on request %d: %s", entry.id, err.message);
+    clearTimeout(entry.timer);
+    entry.abandoned = true;
+    entry.callback = null;
+    if (typeof callback === 'function') {
+        callback.call(this, {success: false, error: err.message}, err);
     } else {
-        this.debug("Registering callback");
+        reportError.call(this, err);
+    }
+};
+
+/**
+ * Fail all pending requests, for when no responses can arrive anymore
+ * @param  {Error} err Why the requests failed
+ */
+var failPending = function (err) {
+    var pending = this.pending;
+    this.pending = [];
+    pending.forEach(function (entry) {
+        if (!entry.abandoned) {
+            abandon.call(this, entry, err);
+        }
+    }, this);
+
+    Object.keys(this.lookups).forEach(function (id) {
+        this.lookups[id].fail(err);
+    }, this);
+};
+
+/**
+ * Send a request that is answered by events instead of a response, such as names and whois.
+ * While the answer is not complete, everyone making the same request shares the same query.
+ * @param  {Object}  request   The request to be sent
+ * @param  {Object}  listeners Maps event types to functions receiving the params and a function
+ *                             to call with the result when the answer is complete
+ * @return {Promise}           Promise for the result
+ */
+var lookup = function (request, listeners) {
+    var self = this;
+    var id = [request['do']].concat(request.params).join(' ').toLowerCase();
+    var err = unsupported.call(this, request);
+    if (err !== null) {
+        return Promise.reject(err);
+    }
+    if (this.socketClosed) {
+        return Promise.reject(notConnected(request));
+    }
+    if (typeof this.lookups[id] !== 'undefined') {
+        this.log.debug({request: request}, "Waiting for the running %s request", request['do']);
+        return this.lookups[id].promise;
     }
-    this.waitingCallbacks.push(callback);
-    send.call(this, data);
+
+    var entry = {timer: null, fail: null, promise: null};
+    var handlers = {};
+    entry.promise = new Promise(function (resolve, reject) {
+        var cleanup = function () {
+            clearTimeout(entry.timer);
+            delete self.lookups[id];
+            Object.keys(handlers).forEach(function (event) {
+                self.removeListener(event, handlers[event]);
+            });
+        };
+
+        entry.fail = function (err) {
+            cleanup();
+            reject(err);
+        };
+
+        Object.keys(listeners).forEach(function (event) {
+            handlers[event] = function () {
+                listeners[event].call(self, events.params(arguments), function (result) {
+                    cleanup();
+                    resolve(result);
+                });
+            };
+            self.on(event, handlers[event]);
+        });
+
+        if (self.timeout > 0) {
+            entry.timer = setTimeout(function () {
+                var err = new errors.TimeoutError(
+                    request,
+                    self.timeout,
+                    util.format("No answer to the %s request within %d ms", request['do'], self.timeout)
+                );
+                entry.fail(err);
+            }, self.timeout);
+        }
+    });
+
+    this.lookups[id] = entry;
+    send.call(this, request);
+    return entry.promise;
 };
 
 /**
- * Request DaZeus to be notified of a certain type of event
+ * Compare nicknames or channel names, which are case-insensitive
+ * @param  {String}  a
+ * @param  {String}  b
+ * @return {Boolean}
+ */
+var sameName = function (a, b) {
+    return String(a).toLowerCase() === String(b).toLowerCase();
+};
+
+/**
+ * Emit an error on the client, if anyone is listening for errors.
+ * Unlike a plain emit, this never throws when there are no error listeners.
+ * @param  {Error} err
+ */
+var reportError = function (err) {
+    if (this.listeners('error').length > 0) {
+        this.emit('error', err);
+    } else {
+        this.log.error({error: err.name}, "Unhandled %s: %s", err.name, err.message);
+    }
+};
+
+/**
+ * Run an operation that completes through a callback. If the caller did not provide a callback,
+ * a promise is returned instead, which is rejected for responses that indicate a failure. If
+ * nobody waits for that promise, the failure is reported instead.
+ * @param  {Function} callback Callback provided by the caller (optional)
+ * @param  {Function} run      Function starting the operation, receives the function to complete it with
+ * @return {Promise}           Promise for the first argument the operation completes with, if no callback was given
+ */
+var promised = function (callback, run) {
+    if (typeof callback === 'function') {
+        run(callback);
+        return undefined;
+    }
+
+    return unconsumed.call(this, new Promise(function (resolve, reject) {
+        run(function (result, err) {
+            if (err instanceof Error) {
+                reject(err);
+            } else if (result !== null && typeof result === 'object' && result.success === false) {
+                reject(new errors.RequestFailedError(null, result));
+            } else {
+                resolve(result);
+            }
+        });
+    }));
+};
+
+/**
+ * Report the rejection of a promise that nobody waits for, instead of leaving it unhandled. Once
+ * anyone calls then or catch on the promise, the rejection is theirs and is not reported.
+ * Fire-and-forget calls such as client.message(...) or client.onCommand(name, listener) therefore
+ * never crash the process. Cancellations are not reported: they are asked for, by closing the
+ * connection or clearing the send queue, or logged where they happen, like lines the queue drops.
+ * @param  {Promise} promise
+ * @return {Promise}         The same promise
+ */
+var unconsumed = function (promise) {
+    var self = this, consumed = false, then = promise.then;
+    promise.then = function () {
+        consumed = true;
+        return then.apply(this, arguments);
+    };
+    // without a constructor of its own, await and Promise.all go through then as well
+    Object.defineProperty(promise, 'constructor', {value: undefined});
+
+    then.call(promise, null, function (err) {
+        // consumers may still be attaching through promise jobs, wait until those have run
+        setImmediate(function () {
+            if (!consumed && !(err instanceof errors.CancelledError)) {
+                reportError.call(self, err);
+            }
+        });
+    });
+    return promise;
+};
+
+/**
+ * Send a message, without formatting if it is not allowed in the target channel
+ * @param  {String}   verb     Request verb: message, notice, action, ctcp or ctcp_rep
+ * @param  {String}   network  Name of the network
+ * @param  {String}   target   Channel or user to send to
+ * @param  {String}   message  The message to be sent
+ * @param  {String}   priority Priority in the send queue, either 'high' or 'low'
+ * @param  {Function} callback Callback to be executed when the message is sent (optional)
+ * @return {Promise}           Promise for the response, if no callback was given
+ */
+var say = function (verb, network, target, message, priority, callback) {
+    var self = this;
+    message = String(message);
+    if (!this.options.respectNoColors || !format.isFormatted(message)) {
+        return deliver.call(this, verb, network, target, message, priority, callback);
+    }
+
+    return promised.call(this, callback, function (done) {
+        format.allowsColors(self, network, target).then(function (allowed) {
+            return allowed ? message : format.strip(message);
+        }, function () {
+            return message;
+        }).then(function (text) {
+            deliver.call(self, verb, network, target, text, priority, done);
+        });
+    });
+};
+
+/**
+ * Send a message to DaZeus, through the send queue if it is enabled
+ * @param  {String}   verb     Request verb: message, notice, action, ctcp or ctcp_rep
+ * @param  {String}   network  Name of the network
+ * @param  {String}   target   Channel or user to send to
+ * @param  {String}   message  The message to be sent
+ * @param  {String}   priority Priority in the send queue, either 'high' or 'low'
+ * @param  {Function} callback Callback to be executed when the message is sent (optional)
+ * @return {Promise}           Promise for the response, if no callback was given
+ */
+var deliver = function (verb, network, target, message, priority, callback) {
+    if (this.queue === null) {
+        return this.request({'do': verb, params: [network, target, message]}, callback);
+    }
+
+    var queued = this.queue.push(verb, network, target, message, priority);
+    return promised.call(this, callback, function (done) {
+        queued.then(function (result) {
+            done(result);
+        }, function (err) {
+            done(err.response || {success: false, error: err.message}, err);
+        });
+    });
+};
+
+/**
+ * Process the response to a handshake: remember what the server announced about itself and send
+ * or fail the requests that were waiting for the handshake.
+ * @param  {Object} data   The handshake request
+ * @param  {Object} result Response of the server
+ * @param  {Error}  err    Error if the handshake was not answered (optional)
+ */
+var handshaken = function (data, result, err) {
+    if (err instanceof Error || !result.success) {
+        err = err instanceof Error ? err : new errors.RequestFailedError(data, result);
+        this.log.error("Handshake failed: %s", err.message);
+        failAwaiting.call(this, err);
+        return;
+    }
+
+    this.handshook = true;
+    this.protocolVersion = typeof result.protocol_version === 'number' ? result.protocol_version : null;
+    this.capabilities = typeof result.capabilities === 'object' && result.capabilities !== null ? result.capabilities : null;
+    if (this.protocolVersion === null) {
+        this.log.info("Handshake completed, DaZeus did not announce its protocol version");
+    } else if (this.protocolVersion !== PROTOCOL_VERSION) {
+        this.log.warn(
+            {version: this.protocolVersion},
+            "DaZeus speaks protocol version %d, this client implements version %d",
+            this.protocolVersion,
+            PROTOCOL_VERSION
+        );
+    } else {
+        this.log.info({version: this.protocolVersion}, "Handshake completed");
+    }
+
+    var awaiting = this.awaitingHandshake;
+    this.awaitingHandshake = [];
+    awaiting.forEach(function (request) {
+        request.start();
+    });
+};
+
+/**
+ * Fail the requests that were waiting for the handshake
+ * @param  {Error} err
+ */
+var failAwaiting = function (err) {
+    var awaiting = this.awaitingHandshake;
+    this.awaitingHandshake = [];
+    awaiting.forEach(function (request) {
+        request.done({success: false, error: err.message}, err);
+    });
+};
+
+/**
+ * Check a request against the capabilities DaZeus announced
+ * @param  {Object} data The request
+ * @return {Error}       UnsupportedError if DaZeus doesn't support it, or null
+ */
+var unsupported = function (data) {
+    var kind = typeof data['do'] !== 'undefined' ? 'do' : 'get';
+    if (this.supports(data[kind], kind) !== false) {
+        return null;
+    }
+    return new errors.UnsupportedError(
+        util.format("DaZeus does not support %s requests", verbOf(data)),
+        data
+    );
+};
+
+/**
+ * Describe the verb of a request, such as 'get networks' or 'do whois'
+ * @param  {Object} data The request
+ * @return {String}
+ */
+var verbOf = function (data) {
+    return typeof data['do'] !== 'undefined' ? 'do ' + data['do'] : 'get ' + data.get;
+};
+
+/**
+ * Count a new listener for a type of event, subscribing at DaZeus for the first one. A type whose
+ * last listener was removed in the same turn is still subscribed to, and simply kept.
+ * @param  {String} event Type of event
+ */
+var retainServerEvent = function (event) {
+    if (typeof this.subscribedEvents[event] === 'number') {
+        this.subscribedEvents[event] += 1;
+        return;
+    }
+    this.subscribedEvents[event] = 1;
+    subscribeServerEvent.call(this, event);
+};
+
+/**
+ * Stop counting a listener for a type of event. The client unsubscribes at DaZeus once no listener
+ * was added back by the end of the turn, so short-lived listeners (such as those of names and whois
+ * lookups) don't subscribe and unsubscribe for every request.
+ * @param  {String} event Type of event
+ */
+var releaseServerEvent = function (event) {
+    var self = this;
+    if (typeof this.subscribedEvents[event] !== 'number') {
+        return;
+    }
+    this.subscribedEvents[event] = Math.max(0, this.subscribedEvents[event] - 1);
+    if (this.subscribedEvents[event] > 0) {
+        return;
+    }
+    setImmediate(function () {
+        if (self.subscribedEvents[event] === 0) {
+            delete self.subscribedEvents[event];
+            unsubscribeServerEvent.call(self, event);
+        }
+    });
+};
+
+/**
+ * Request DaZeus to be notified of a certain type of event. While waiting to reconnect this is left
+ * to restoring the session.
  * @param  {String} event Type of event to subscribe to
  */
 var subscribeServerEvent = function (event) {
-    this.debug("Requesting subscription for " + event);
-    sendReceive.call(this, {'do': 'subscribe', params: [event]}, function (result) {
+    var log = this.log.component('events');
+    if (this.socketClosed) {
+        return;
+    }
+
+    log.debug({type: event}, "Requesting subscription for %s", event);
+    sendReceive.call(this, {'do': 'subscribe', params: [event]}, function (result, err) {
         if (result.success) {
-            this.debug("Succesfully subscribed to %s", event);
+            log.debug({type: event}, "Succesfully subscribed to %s", event);
         } else {
-            this.debug("Subscription request for %s failed", event);
+            log.warn({type: event}, "Subscription request for %s failed", event);
+            reportError.call(this, err);
+        }
+    });
+};
+
+/**
+ * Tell DaZeus that we no longer want to be notified of a certain type of event
+ * @param  {String} event Type of event to unsubscribe from
+ */
+var unsubscribeServerEvent = function (event) {
+    var log = this.log.component('events');
+    if (this.closing || this.socketClosed) {
+        return;
+    }
+
+    log.debug({type: event}, "Requesting to unsubscribe from %s", event);
+    sendReceive.call(this, {'do': 'unsubscribe', params: [event]}, function (result, err) {
+        if (result.success) {
+            log.debug({type: event}, "Unsubscribed from %s", event);
+        } else {
+            log.warn({type: event}, "Unsubscribing from %s failed", event);
+            reportError.call(this, err);
         }
     });
-    this.subscribedEvents.push(event);
 };
 
 /**
@@ -633,21 +1546,33 @@ var subscribeServerEvent = function (event) {
  * @param  {Object} obj The received message as a javascript object
  */
 var received = function (obj) {
-    this.debug("Received: %s", JSON.stringify(obj));
+    var log = this.log.component('protocol');
+    if (this.recorder !== null) {
+        this.recorder.record('in', obj);
+    }
     if (typeof obj.event !== 'undefined') {
-        this.debug("Received an event-based message, sending off to listeners");
+        this.log.component('events').trace({type: obj.event, event: obj}, "Received %s event", obj.event);
         handleEvent.call(this, obj.event, obj.params);
     } else {
-        if (this.waitingCallbacks.length > 0) {
-            var callback = this.waitingCallbacks.shift();
-            if (typeof callback === 'function') {
-                this.debug("Calling previously registered callback with message");
-                callback.call(this, obj);
-            } else {
-                this.debug("Callback was a dummy, not calling");
-            }
+        var entry = takePending.call(this, obj);
+        if (entry === null) {
+            log.warn({response: obj}, "No matching request is waiting, still received a response");
+        } else if (entry.abandoned) {
+            log.debug({id: entry.id, response: obj}, "Request %d was already abandoned, discarding its response", entry.id);
         } else {
-            this.debug("No callbacks remaining, still received a response");
+            log.trace({id: entry.id, response: obj}, "Received response to request %d", entry.id);
+            clearTimeout(entry.timer);
+            var err;
+            if (obj.success === false) {
+                err = new errors.RequestFailedError(entry.request, obj);
+            }
+
+            // failures are only reported here when nobody receives them through a callback
+            if (typeof entry.callback === 'function') {
+                entry.callback.call(this, obj, err);
+            } else if (err) {
+                reportError.call(this, err);
+            }
         }
     }
 };
@@ -658,73 +1583,187 @@ var received = function (obj) {
  * @param  {Array} parameters Parameters for the event
  */
 var handleEvent = function (event, parameters) {
+    var self = this, name = event;
+
+    // hold commands until the ignore list is known
+    if (event === 'COMMAND' && this.limiter !== null && !this.limiter.loaded) {
+        var held = function () {
+            handleEvent.call(self, event, parameters);
+        };
+        this.limiter.ready.then(held, held);
+        return;
+    }
+
     if (event === 'COMMAND') {
-        event = 'command_' + parameters[3];
+        name = 'command_' + parameters[3];
+        if (this.limiter !== null && this.limiter.isIgnored(parameters[0], parameters[1])) {
+            this.log.component('events').debug(
+                {network: parameters[0], user: parameters[1], command: parameters[3]},
+                "Ignoring command %s of %s",
+                parameters[3],
+                parameters[1]
+            );
+            return;
+        }
+    }
+
+    if (this.options.structuredEvents) {
+        this.emit(name, new events.Event(event, parameters, this));
+        return;
     }
-    parameters.unshift(event);
+    parameters.unshift(name);
     this.emit.apply(this, parameters);
 };
 
+/**
+ * Open a new socket to DaZeus and listen to it.
+ * @param  {Function} onConnect Function to be executed when the connection is established (optional)
+ */
+var establish = function (onConnect) {
+    var self = this, client;
+
+    // determine correct call of net.connect
+    var cb = function () {
+        connected.call(self, onConnect);
+    };
+
+    this.parser = new protocol.Parser(function (err) {
+        reportError.call(self, err);
+    }, {maxFrameSize: this.options.maxFrameSize});
+    if (this.options.socket) {
+        this.log.info("Using the given socket instead of connecting");
+        client = this.options.socket;
+        process.nextTick(cb);
+    } else if (this.options.path) {
+        this.log.info({path: this.options.path}, "Trying to establish connection to unix socket %s", this.options.path);
+        client = net.connect(this.options.path, cb);
+    } else {
+        this.log.info(
+            {host: this.options.host, port: this.options.port},
+            "Trying to establish connection to %s on port %s",
+            this.options.host,
+            this.options.port
+        );
+        client = net.connect(this.options.port, this.options.host, cb);
+    }
+    this.client = client;
+    this.socketClosed = false;
+
+    // when data is received
+    client.on('data', function (data) {
+        var obj = self.parser.dezeusify(data);
+        obj.forEach(function (item) {
+            received.call(self, item);
+        });
+    });
+
+    // when the connection is closed
+    client.on('end', function () {
+        disconnected.call(self);
+    });
+
+    // no more responses will arrive after the socket is closed
+    client.on('close', function () {
+        self.socketClosed = true;
+        failPending.call(self, new errors.ConnectionError("Connection to DaZeus was closed"));
+        closed.call(self);
+    });
+
+    client.on('error', function (err) {
+        self.log.warn("Whoops, an error occurred: %s", err.message);
+        reportError.call(self, new errors.ConnectionError(
+            util.format("A connection error occurred: %s", err.message),
+            err
+        ));
+    });
+};
+
 /**
  * Function that is called when a connection is established
+ * @param  {Function} onConnect Function to be executed for the first connection (optional)
  */
-var connected = function () {
-    this.debug("Connected");
+var connected = function (onConnect) {
+    this.log.info("Connected");
+    if (this.reconnectAttempt > 0) {
+        restoreSession.call(this);
+    } else if (typeof onConnect === 'function') {
+        onConnect.call(this);
+    }
 };
 
 /**
  * Function that is called when the connection is closed.
  */
 var disconnected = function () {
-    this.debug("Disconnected");
+    this.log.info("Disconnected");
 };
 
 /**
- * Transform an object to a string suitable for sending to DaZeus
- * @param  {Object} message
- * @return {String}
+ * Function that is called when the socket is fully closed, either by us or because of an error.
  */
-var dazeusify = function (message) {
-    var str = JSON.stringify(message);
+var closed = function () {
+    this.handshook = false;
+    if (this.closing || this.reconnect === null) {
+        return;
+    }
 
-    return Buffer.byteLength(str, 'utf8') + str + "\r\n";
+    if (this.reconnectAttempt >= this.reconnect.retries) {
+        this.log.error({attempt: this.reconnectAttempt}, "Giving up on reconnecting after %d attempts", this.reconnectAttempt);
+        this.emit('gaveUp', this.reconnectAttempt);
+        return;
+    }
+
+    var self = this;
+    var delay = Math.min(
+        this.reconnect.delay * Math.pow(this.reconnect.factor, this.reconnectAttempt),
+        this.reconnect.maxDelay
+    );
+    this.reconnectAttempt += 1;
+    this.log.warn({attempt: this.reconnectAttempt, delay: delay}, "Reconnecting in %d ms", delay);
+    this.emit('reconnecting', this.reconnectAttempt, delay);
+    this.reconnectTimer = setTimeout(function () {
+        establish.call(self);
+    }, delay);
 };
 
 /**
- * Transform a string retrieved from DaZeus to it's javascript-object-equivalents.
- * @param  {String} message
- * @return {Array} Array of parsed messages
- */
-var dezeusify = function (message) {
-    var objs = [], collector = '', chr, msglen, data;
-
-    this.data += message;
-    data = new Buffer(this.data, 'utf8');
-
-    for (var i = 0; i < data.length; i += 1) {
-        chr = data[i];
-        if (chr > 47 && chr < 58) {
-            collector += String.fromCharCode(chr);
-        } else if (chr !== 10 && chr !== 13) {
-            msglen = parseInt(collector, 10);
-
-            if (msglen + i <= data.length) {
-              objs.push(JSON.parse(data.toString('utf8', i, msglen + i)));
-              data = data.slice(i + msglen);
-              collector = '';
-              i = 0;
-            } else {
-              break;
-            }
-        }
+ * Replay the handshake, event subscriptions and command registrations after reconnecting.
+ */
+var restoreSession = function () {
+    var self = this, requests = [], attempts = this.reconnectAttempt;
+    this.reconnectAttempt = 0;
+    this.log.info("Restoring session after reconnecting");
+
+    if (this.handshakeParams !== null) {
+        requests.push(this.handshake.apply(this, this.handshakeParams));
     }
-    this.data = data.toString('utf8');
-    return objs;
+
+    Object.keys(this.subscribedEvents).forEach(function (event) {
+        requests.push(this.request({'do': 'subscribe', params: [event]}, {beforeHandshake: 'send'}));
+    }, this);
+
+    this.registeredCommands.forEach(function (registered) {
+        var params = [registered[0]];
+        if (registered[1]) {
+            params.push(registered[1]);
+        }
+        requests.push(this.request({'do': 'command', params: params}, {beforeHandshake: 'send'}));
+    }, this);
+
+    Promise.all(requests).then(function () {
+        self.log.info("Session restored");
+    }, function (err) {
+        self.log.error("Restoring the session failed: %s", err.message);
+    }).then(function () {
+        self.emit('reconnected', attempts);
+    });
 };
 
 /**
  * Create a new connection to an instance of DaZeus
- * Available options are path, host, port and debug.
+ * Available options are path, host, port, debug, log, logger, beforeHandshake ('send', 'queue' or 'reject'),
+ * record (a file or {path, stream, redact} to record the traffic to) and socket (a connected stream, such as
+ * a Replay, to use instead of connecting).
  * @param  {Object} options
  * @param  {Function} onConnect Callback when a connection is established
  * @return {DaZeus} DaZeus client connection object
@@ -732,3 +1771,35 @@ var dezeusify = function (message) {
 module.exports.connect = function (options, onConnect) {
     return new DaZeus(options, onConnect);
 };
+
+module.exports.DaZeusError = errors.DaZeusError;
+module.exports.ConnectionError = errors.ConnectionError;
+module.exports.ProtocolError = errors.ProtocolError;
+module.exports.RequestFailedError = errors.RequestFailedError;
+module.exports.TimeoutError = errors.TimeoutError;
+module.exports.CancelledError = errors.CancelledError;
+module.exports.UnsupportedError = errors.UnsupportedError;
+
+module.exports.UsageError = errors.UsageError;
+module.exports.ValidationError = errors.ValidationError;
+
+module.exports.MockServer = require('./lib/mock-server').MockServer;
+module.exports.CommandRouter = CommandRouter;
+module.exports.middleware = require('./lib/middleware');
+module.exports.Event = events.Event;
+module.exports.Subscription = events.Subscription;
+module.exports.Store = Store;
+module.exports.SendQueue = SendQueue;
+module.exports.StateTracker = state.StateTracker;
+module.exports.WhoisInfo = WhoisInfo;
+module.exports.format = format;
+module.exports.Scheduler = Scheduler;
+module.exports.Prompts = Prompts;
+module.exports.Host = Host;
+module.exports.protocol = protocol;
+module.exports.Logger = Logger;
+module.exports.recorder = recorder;
+module.exports.Replay = recorder.Replay;
+module.exports.config = config;
+module.exports.WebhookBridge = WebhookBridge;
+module.exports.Limiter = Limiter;
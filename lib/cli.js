@@ -0,0 +1,517 @@
+var util = require('util');
+var readline = require('readline');
+var errors = require('./errors');
+var version = require('../package.json').version;
+
+/**
+ * Events printed by tail when none are given
+ * @type {Array}
+ */
+var TAIL_EVENTS = ['PRIVMSG', 'NOTICE', 'ACTION', 'JOIN', 'PART', 'QUIT', 'KICK', 'NICK', 'TOPIC'];
+
+/**
+ * Plugin name of the command-line client, for handshakes
+ * @type {String}
+ */
+var PLUGIN_NAME = 'dazeus-cli';
+
+/**
+ * Help text of the command-line client
+ * @type {String}
+ */
+var USAGE = [
+    "Usage: dazeus [options] <command> [arguments]",
+    "",
+    "Options:",
+    "  --path <socket>     connect to a unix socket (default /tmp/dazeus.sock)",
+    "  --host <host>       connect over TCP to this host",
+    "  --port <port>       connect over TCP to this port",
+    "  --timeout <ms>      milliseconds to wait for a response",
+    "  --json              print results as JSON",
+    "  --debug             log debug messages",
+    "",
+    "Commands:"
+];
+
+/**
+ * The commands of the command-line client. Scopes are given as network, channel and user, where
+ * the later parts may be left out.
+ * @type {Object}
+ */
+var COMMANDS = {
+    networks: {
+        usage: "networks",
+        run: function (client) {
+            return client.networks().then(function (result) {
+                return result.networks;
+            });
+        }
+    },
+    channels: {
+        usage: "channels <network>",
+        args: 1,
+        run: function (client, args) {
+            return client.channels(args[0]).then(function (result) {
+                return result.channels;
+            });
+        }
+    },
+    nick: {
+        usage: "nick <network>",
+        args: 1,
+        run: function (client, args) {
+            return client.nick(args[0]).then(function (result) {
+                return result.nick;
+            });
+        }
+    },
+    say: {
+        usage: "say <network> <channel> <message...>",
+        args: 3,
+        run: function (client, args) {
+            return client.message(args[0], args[1], args.slice(2).join(' ')).then(succeeded);
+        }
+    },
+    join: {
+        usage: "join <network> <channel>",
+        args: 2,
+        run: function (client, args) {
+            return client.join(args[0], args[1]).then(succeeded);
+        }
+    },
+    part: {
+        usage: "part <network> <channel>",
+        args: 2,
+        run: function (client, args) {
+            return client.part(args[0], args[1]).then(succeeded);
+        }
+    },
+    prop: {
+        usage: "prop get|set|unset|keys <name> [value] [network [channel [user]]]",
+        args: 2,
+        actions: ['get', 'set', 'unset', 'keys'],
+        run: function (client, args) {
+            var action = args[0], name = args[1];
+            switch (action) {
+            case 'get':
+                return client.getProperty(name, scope(args.slice(2))).then(function (result) {
+                    return result.value;
+                });
+            case 'set':
+                if (args.length < 3) {
+                    throw new errors.UsageError("Missing the value to set", this);
+                }
+                return client.setProperty(name, args[2], scope(args.slice(3))).then(succeeded);
+            case 'unset':
+                return client.unsetProperty(name, scope(args.slice(2))).then(succeeded);
+            case 'keys':
+                return client.propertyKeys(name, scope(args.slice(2))).then(function (result) {
+                    return result.keys;
+                });
+            default:
+                throw new errors.UsageError(util.format("Unknown action %s", action), this);
+            }
+        }
+    },
+    perm: {
+        usage: "perm get <name> <network> [channel [user]] | perm set <name> <allow> <network> [channel [user]]",
+        args: 3,
+        actions: ['get', 'set'],
+        run: function (client, args) {
+            var action = args[0], name = args[1];
+            switch (action) {
+            case 'get':
+                return client.getPermission(name, args.slice(2)).then(function (result) {
+                    return result.has_permission;
+                });
+            case 'set':
+                if (args.length < 4) {
+                    throw new errors.UsageError("Missing the network to set the permission for", this);
+                }
+                return client.setPermission(name, args.slice(3), args[2] !== 'false' && args[2] !== 'no')
+                    .then(succeeded);
+            default:
+                throw new errors.UsageError(util.format("Unknown action %s", action), this);
+            }
+        }
+    },
+    config: {
+        usage: "config get <name> [core | plugin <plugin>]",
+        args: 2,
+        actions: ['get'],
+        run: function (client, args) {
+            var value = function (result) {
+                return result.value;
+            };
+            if (args[0] !== 'get') {
+                throw new errors.UsageError(util.format("Unknown action %s", args[0]), this);
+            }
+
+            var group = args[2] || 'core';
+            if (group === 'core') {
+                return client.getConfig(args[1], 'core').then(value);
+            }
+            if (group !== 'plugin') {
+                throw new errors.UsageError(util.format("Unknown group %s, expected core or plugin", group), this);
+            }
+            if (args.length < 4) {
+                throw new errors.UsageError("Missing the plugin to read the configuration of", this);
+            }
+
+            // DaZeus hands out the section of the configuration name given in the handshake
+            return client.handshake(PLUGIN_NAME, version, args[3]).then(function () {
+                return client.getConfig(args[1], 'plugin');
+            }).then(value);
+        }
+    },
+    tail: {
+        usage: "tail [event...]",
+        run: function (client, args, cli) {
+            var events = args.length > 0 ? args.map(function (event) {
+                return event.toUpperCase();
+            }) : TAIL_EVENTS;
+            events.forEach(function (event) {
+                client.on(event, function () {
+                    cli.print(Array.prototype.slice.call(arguments), event);
+                });
+            });
+            return new Promise(function () {
+                // runs until the connection is closed
+            });
+        }
+    }
+};
+
+/**
+ * Command-line client for DaZeus, which runs a single command or an interactive shell
+ * @param {DaZeus} client
+ * @param {Object} options Available options are json, output and error (writable streams)
+ */
+var Cli = function (client, options) {
+    this.client = client;
+    this.options = options || {};
+    this.output = this.options.output || process.stdout;
+    this.errorOutput = this.options.error || process.stderr;
+
+    // networks and channels offered by tab completion
+    this.known = {};
+};
+
+/**
+ * Run a command
+ * @param  {Array}   args The name of the command, followed by its arguments
+ * @return {Promise}      Promise for the result, which is also printed
+ */
+Cli.prototype.run = function (args) {
+    var self = this;
+    return Promise.resolve().then(function () {
+        var command = COMMANDS[args[0]];
+        if (typeof command === 'undefined') {
+            throw new errors.UsageError(util.format("Unknown command %s", args[0]));
+        }
+        if (args.length - 1 < (command.args || 0)) {
+            throw new errors.UsageError("Usage: " + command.usage, command);
+        }
+        return command.run(self.client, args.slice(1), self);
+    }).then(function (result) {
+        self.print(result);
+        return result;
+    });
+};
+
+/**
+ * Print a result, as JSON or in a human-readable form
+ * @param {Object} result
+ * @param {String} event  Type of the event, if the result is an event (optional)
+ */
+Cli.prototype.print = function (result, event) {
+    var line;
+    if (this.options.json) {
+        if (typeof event !== 'undefined') {
+            result = {event: event, params: result};
+        }
+        line = JSON.stringify(typeof result === 'undefined' ? null : result);
+    } else if (typeof event !== 'undefined') {
+        line = util.format("%s [%s] %s", new Date().toISOString(), event, result.join(' '));
+    } else if (Array.isArray(result)) {
+        line = result.join("\n");
+    } else if (result instanceof Success) {
+        line = 'OK';
+    } else if (typeof result === 'boolean') {
+        line = result ? 'yes' : 'no';
+    } else if (typeof result === 'undefined' || result === null) {
+        return;
+    } else {
+        line = typeof result === 'string' ? result : JSON.stringify(result);
+    }
+    if (line !== '') {
+        this.output.write(line + "\n");
+    }
+};
+
+/**
+ * Start an interactive shell, in which every line is a command
+ * @param  {Object}  options Available options are input, output and prompt (optional)
+ * @return {Promise}         Promise that is resolved when the shell is closed
+ */
+Cli.prototype.repl = function (options) {
+    var self = this;
+    options = options || {};
+
+    return this.refresh().then(function () {
+        var rl = readline.createInterface({
+            input: options.input || process.stdin,
+            output: options.output || self.output,
+            prompt: typeof options.prompt === 'string' ? options.prompt : 'dazeus> ',
+            completer: function (line) {
+                return self.complete(line);
+            }
+        });
+
+        return new Promise(function (resolve) {
+            // commands run one at a time, in the order they were entered
+            var running = Promise.resolve(), closed = false;
+
+            rl.on('line', function (line) {
+                var args = split(line);
+                running = running.then(function () {
+                    if (args.length === 0) {
+                        return undefined;
+                    }
+                    if (args[0] === 'exit' || args[0] === 'quit') {
+                        rl.close();
+                        return undefined;
+                    }
+                    if (args[0] === 'help') {
+                        self.output.write(help() + "\n");
+                        return undefined;
+                    }
+                    return self.run(args).catch(function (err) {
+                        self.errorOutput.write(err.message + "\n");
+                    });
+                }).then(function () {
+                    if (!closed) {
+                        rl.prompt();
+                    }
+                });
+            });
+            rl.on('close', function () {
+                closed = true;
+                running.then(resolve);
+            });
+            rl.prompt();
+        });
+    });
+};
+
+/**
+ * Retrieve the networks and channels used for tab completion
+ * @return {Promise}
+ */
+Cli.prototype.refresh = function () {
+    var self = this, client = this.client;
+    return client.networks().then(function (result) {
+        return Promise.all(result.networks.map(function (network) {
+            return client.channels(network).then(function (answer) {
+                return answer.channels || [];
+            }, function () {
+                return [];
+            });
+        })).then(function (channels) {
+            self.known = {};
+            result.networks.forEach(function (network, index) {
+                self.known[network] = channels[index];
+            });
+        });
+    });
+};
+
+/**
+ * Complete a line of the interactive shell: commands first, then their actions, networks and
+ * channels.
+ * @param  {String} line
+ * @return {Array}       The completions and the part of the line they complete
+ */
+Cli.prototype.complete = function (line) {
+    var words = line.split(/\s+/);
+    var word = words.pop();
+    var command = COMMANDS[words[0]];
+    var candidates = [];
+
+    if (words.length === 0) {
+        candidates = Object.keys(COMMANDS).concat(['help', 'exit']);
+    } else if (typeof command !== 'undefined') {
+        var position = words.length - 1;
+        if (command.actions) {
+            if (position === 0) {
+                candidates = command.actions;
+            }
+            // the network follows the action, name and (for setting) the value
+            position -= words[1] === 'set' ? 3 : 2;
+        }
+        if (position === 0) {
+            candidates = Object.keys(this.known);
+        } else if (position === 1 && command !== COMMANDS.tail) {
+            candidates = this.known[words[words.length - 1]] || [];
+        }
+        if (command === COMMANDS.tail) {
+            candidates = TAIL_EVENTS;
+        }
+    }
+
+    return [candidates.filter(function (candidate) {
+        return candidate.indexOf(word) === 0;
+    }), word];
+};
+
+/**
+ * Parse the arguments of the command-line client
+ * @param  {Array}  argv Arguments, without the node executable and script
+ * @return {Object}      Options for connecting and printing, and the command with its arguments
+ */
+var parseArgs = function (argv) {
+    var options = {}, args = [];
+    for (var i = 0; i < argv.length; i += 1) {
+        var arg = argv[i];
+        if (arg === '--json' || arg === '--debug' || arg === '--help') {
+            options[arg.substr(2)] = true;
+        } else if (arg === '--path' || arg === '--host' || arg === '--port' || arg === '--timeout') {
+            if (i + 1 >= argv.length) {
+                throw new errors.UsageError(util.format("Option %s needs a value", arg));
+            }
+            i += 1;
+            options[arg.substr(2)] = arg === '--port' || arg === '--timeout' ? parseInt(argv[i], 10) : argv[i];
+        } else if (arg === '--') {
+            args = args.concat(argv.slice(i + 1));
+            break;
+        } else if (arg.indexOf('--') === 0 && args.length === 0) {
+            throw new errors.UsageError(util.format("Unknown option %s", arg));
+        } else {
+            args.push(arg);
+        }
+    }
+
+    if (typeof options.path === 'undefined' && typeof options.host === 'undefined' &&
+            typeof options.port === 'undefined') {
+        options.path = '/tmp/dazeus.sock';
+    } else if (typeof options.port !== 'undefined' && typeof options.host === 'undefined') {
+        options.host = 'localhost';
+    }
+    return {options: options, args: args};
+};
+
+/**
+ * Run the command-line client: connect, run the command (or the interactive shell if no command
+ * was given) and disconnect
+ * @param  {Array}   argv    Arguments, without the node executable and script
+ * @param  {Object}  streams Streams to use instead of the standard ones: input, output and error (optional)
+ * @return {Promise}         Promise for the exit code
+ */
+var main = function (argv, streams) {
+    var dazeus = require('../dazeus');
+    streams = streams || {};
+    var output = streams.output || process.stdout;
+    var errorOutput = streams.error || process.stderr;
+    var parsed;
+
+    try {
+        parsed = parseArgs(argv);
+    } catch (err) {
+        errorOutput.write(err.message + "\n" + help() + "\n");
+        return Promise.resolve(2);
+    }
+    if (parsed.options.help) {
+        output.write(help() + "\n");
+        return Promise.resolve(0);
+    }
+
+    return new Promise(function (resolve) {
+        var client = dazeus.connect(parsed.options, function () {
+            var cli = new Cli(client, {json: parsed.options.json, output: output, error: errorOutput});
+            var done = parsed.args.length === 0 ?
+                cli.repl({input: streams.input, output: output}) :
+                cli.run(parsed.args);
+
+            // tail runs until DaZeus goes away
+            client.client.on('close', function () {
+                resolve(0);
+            });
+            done.then(function () {
+                client.close();
+                resolve(0);
+            }, function (err) {
+                errorOutput.write(err.message + "\n");
+                client.close();
+                resolve(err instanceof errors.UsageError ? 2 : 1);
+            });
+        });
+
+        client.on('error', function (err) {
+            if (err instanceof errors.ConnectionError) {
+                errorOutput.write(err.message + "\n");
+                resolve(1);
+            }
+        });
+    });
+};
+
+/**
+ * The help text, with the usage of every command
+ * @return {String}
+ */
+var help = function () {
+    return USAGE.concat(Object.keys(COMMANDS).map(function (name) {
+        return "  " + COMMANDS[name].usage;
+    })).concat([
+        "",
+        "Without a command, an interactive shell is started."
+    ]).join("\n");
+};
+
+/**
+ * Split a line of the interactive shell into words, keeping quoted parts together
+ * @param  {String} line
+ * @return {Array}
+ */
+var split = function (line) {
+    var words = [], match, pattern = /"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S+)/g;
+    while ((match = pattern.exec(line)) !== null) {
+        if (typeof match[1] !== 'undefined') {
+            words.push(match[1].replace(/\\(.)/g, '$1'));
+        } else if (typeof match[2] !== 'undefined') {
+            words.push(match[2]);
+        } else {
+            words.push(match[3]);
+        }
+    }
+    return words;
+};
+
+/**
+ * The scope of a property from the remaining arguments, undefined for the global scope
+ * @param  {Array} args
+ * @return {Array}
+ */
+var scope = function (args) {
+    return args.length > 0 ? args : undefined;
+};
+
+/**
+ * The result of a request that only succeeds or fails, failures are rejected by the client
+ */
+var Success = function () {
+    this.success = true;
+};
+
+/**
+ * The result of a request that only succeeds or fails
+ * @return {Success}
+ */
+var succeeded = function () {
+    return new Success();
+};
+
+module.exports.COMMANDS = COMMANDS;
+module.exports.Cli = Cli;
+module.exports.parseArgs = parseArgs;
+module.exports.main = main;
@@ -0,0 +1,664 @@
+var util = require('util');
+var errors = require('./errors');
+var middleware = require('./middleware');
+var events = require('./events');
+var limits = require('./limits');
+
+/**
+ * Regular expression for a single argument in a usage declaration, such as <name>, [name] or <text...>
+ * @type {RegExp}
+ */
+var ARGUMENT_REGEX = /^([<\[])(\w+)(?::(\w+))?(\.\.\.)?[>\]]$/;
+
+/**
+ * A command (or subcommand) with its declared arguments and flags.
+ * Available options are description, aliases, args, flags, usage, middleware, cooldown and limits
+ * (limits on how often the command may be used, see Limiter).
+ * @param {CommandRouter} router
+ * @param {String}        name    Name of the command
+ * @param {Object}        spec    Declaration of the command
+ * @param {Function}      handler Function to be executed with the parsed command (optional)
+ * @param {Command}       parent  The command this is a subcommand of (optional)
+ */
+var Command = function (router, name, spec, handler, parent) {
+    this.router = router;
+    this.parent = parent || null;
+    this.name = name;
+    this.description = spec.description || '';
+    this.aliases = spec.aliases || [];
+    this.args = parseDeclaration(spec.args || []);
+    this.flags = normalizeFlags(spec.flags || {});
+    this.usage = spec.usage || null;
+    this.handler = handler || null;
+    this.middleware = declareLimits.call(this, spec).concat(spec.middleware || []);
+    this.subcommands = [];
+
+    // listeners registered with the client for a top-level command, one for every alias
+    this.listeners = [];
+};
+
+/**
+ * Add middleware that runs before the handler of this command and its subcommands
+ * @param  {Function} fn Function receiving the context and a function to continue with the next handler
+ * @return {Command}     This command
+ */
+Command.prototype.use = function (fn) {
+    this.middleware.push(fn);
+    return this;
+};
+
+/**
+ * Declare a subcommand, for example `add` in `}quote add <text...>`
+ * @param  {String}   name    Name of the subcommand
+ * @param  {Object}   spec    Declaration of the subcommand (optional)
+ * @param  {Function} handler Function to be executed with the parsed command
+ * @return {Command}          The subcommand
+ */
+Command.prototype.subcommand = function (name, spec, handler) {
+    if (typeof spec === 'function') {
+        handler = spec;
+        spec = {};
+    }
+
+    var command = new Command(this.router, name, spec || {}, handler, this);
+    this.subcommands.push(command);
+    return command;
+};
+
+/**
+ * Find a subcommand by its name or one of its aliases
+ * @param  {String}  name
+ * @return {Command}      The subcommand, or null if there is none
+ */
+Command.prototype.find = function (name) {
+    for (var i = 0; i < this.subcommands.length; i += 1) {
+        if (this.subcommands[i].name === name || this.subcommands[i].aliases.indexOf(name) !== -1) {
+            return this.subcommands[i];
+        }
+    }
+    return null;
+};
+
+/**
+ * Full name of the command, including the names of parent commands
+ * @return {String}
+ */
+Command.prototype.path = function () {
+    return this.parent === null ? this.name : this.parent.path() + ' ' + this.name;
+};
+
+/**
+ * Usage of the command as a template, where {cmd} is the name of the top-level command
+ * including the highlight character (see DaZeus.insertCommand).
+ * @return {String}
+ */
+Command.prototype.usageTemplate = function () {
+    var parts = ['{cmd}'].concat(this.path().split(' ').slice(1));
+    if (this.usage !== null) {
+        parts.push(this.usage);
+    } else {
+        if (this.subcommands.length > 0 && this.handler === null) {
+            parts.push('<' + this.subcommands.map(function (sub) {
+                return sub.name;
+            }).join('|') + '>');
+        }
+        this.args.forEach(function (arg) {
+            var name = arg.name + (arg.variadic ? '...' : '');
+            parts.push(arg.required ? '<' + name + '>' : '[' + name + ']');
+        });
+        Object.keys(this.flags).forEach(function (name) {
+            var flag = this.flags[name];
+            parts.push('[--' + name + (flag.type === 'string' ? ' <' + name + '>' : '') + ']');
+        }, this);
+    }
+    return parts.join(' ');
+};
+
+/**
+ * Parse the tokens following the command into arguments and flags
+ * @param  {Array}  tokens Tokens as returned by tokenize
+ * @param  {String} raw    The string the tokens were taken from
+ * @return {Object}        Object containing args and flags
+ */
+Command.prototype.parse = function (tokens, raw) {
+    var args = {}, flags = {}, positional = [], i, token, name, value, flag, eq;
+
+    Object.keys(this.flags).forEach(function (name) {
+        flags[name] = this.flags[name].default;
+    }, this);
+
+    for (i = 0; i < tokens.length; i += 1) {
+        token = tokens[i];
+        if (positional.length === this.args.length - 1 && this.args[positional.length].variadic) {
+            // everything that remains belongs to the last argument
+            positional.push(i === tokens.length - 1 ? token.value : raw.substr(token.start).trim());
+            break;
+        }
+
+        if (token.quoted || !/^--?[a-z]/i.test(token.value)) {
+            positional.push(token.value);
+            continue;
+        }
+
+        if (token.value.indexOf('--') === 0) {
+            name = token.value.substr(2);
+            value = undefined;
+            eq = name.indexOf('=');
+            if (eq !== -1) {
+                value = name.substr(eq + 1);
+                name = name.substr(0, eq);
+            }
+            flag = this.flags[name];
+        } else {
+            name = findAlias(this.flags, token.value.substr(1));
+            value = undefined;
+            flag = name === null ? undefined : this.flags[name];
+        }
+
+        if (typeof flag === 'undefined') {
+            throw new errors.UsageError(util.format("Unknown option %s.", token.value), this);
+        }
+
+        if (flag.type === 'string') {
+            if (typeof value === 'undefined') {
+                i += 1;
+                if (i >= tokens.length) {
+                    throw new errors.UsageError(util.format("Option --%s requires a value.", name), this);
+                }
+                value = tokens[i].value;
+            }
+            flags[name] = value;
+        } else {
+            flags[name] = true;
+        }
+    }
+
+    if (positional.length > this.args.length) {
+        throw new errors.UsageError("Too many arguments.", this);
+    }
+
+    this.args.forEach(function (arg, index) {
+        if (index >= positional.length) {
+            if (arg.required) {
+                throw new errors.UsageError(util.format("Missing argument %s.", arg.name), this);
+            }
+            return;
+        }
+
+        value = positional[index];
+        if (arg.type === 'number') {
+            if (!/^-?\d+(\.\d+)?$/.test(value)) {
+                throw new errors.UsageError(util.format("Argument %s should be a number.", arg.name), this);
+            }
+            value = parseFloat(value);
+        }
+        args[arg.name] = value;
+    }, this);
+
+    return {args: args, flags: flags};
+};
+
+/**
+ * Routes commands from DaZeus to declared commands, parses their arguments and answers
+ * parse errors and help requests. All routers of a client answer }help together, with a single
+ * reply listing the commands of every one of them.
+ * Available options are help (whether to respond to }help, default: true) and network.
+ * @param {DaZeus} client
+ * @param {Object} options
+ */
+var CommandRouter = function (client, options) {
+    var self = this;
+    this.client = client;
+    this.log = client.log.component('commands');
+    this.options = options || {};
+    this.commands = [];
+    this.middleware = [];
+
+    if (this.options.help !== false) {
+        this.helpCommand = this.command('help', {
+            description: "Show the available commands, or how to use a command",
+            args: '[command...]'
+        }, function (context) {
+            return help.call(self, context);
+        });
+        client.helpRouters.push(this);
+    }
+};
+
+/**
+ * Declare a command, and register it with DaZeus.
+ * The handler receives a context object with the network, user, channel, the parsed args and flags,
+ * the raw params of the event and a reply function.
+ * @param  {String}   name    Name of the command
+ * @param  {Object}   spec    Declaration of the command: description, aliases, args, flags, usage (optional)
+ * @param  {Function} handler Function to be executed with the parsed command (optional if it has subcommands)
+ * @return {Command}          The command, which can be used to declare subcommands
+ */
+CommandRouter.prototype.command = function (name, spec, handler) {
+    var self = this;
+    if (typeof spec === 'function') {
+        handler = spec;
+        spec = {};
+    }
+
+    var command = new Command(this, name, spec || {}, handler);
+    this.commands.push(command);
+
+    [name].concat(command.aliases).forEach(function (registered) {
+        var listener = function () {
+            var event = toEvent.call(self, 'COMMAND', arguments);
+            dispatch.call(self, command, event, event.message || '');
+        };
+        command.listeners.push(listener);
+        var subscribed = this.options.network ?
+            this.client.onCommand(registered, this.options.network, listener) :
+            this.client.onCommand(registered, listener);
+        subscribed.catch(function (err) {
+            self.handleError(err, {network: self.options.network, command: registered});
+        });
+    }, this);
+
+    return command;
+};
+
+/**
+ * Add middleware that runs before every command and event handler of this router.
+ * Middleware receives the context and a function to call the next handler in the chain,
+ * which returns a promise. Not calling it stops the command or event from being handled.
+ * @param  {Function}      fn
+ * @return {CommandRouter}    This router
+ */
+CommandRouter.prototype.use = function (fn) {
+    this.middleware.push(fn);
+    return this;
+};
+
+/**
+ * Handle an event through the middleware of this router. Any functions between the event name and
+ * the handler are used as middleware for this event only.
+ * The handler receives a context object with the event, network, user, channel, the params of
+ * the event and a reply function.
+ * @param  {String}        event   Name of the event, e.g. PRIVMSG
+ * @param  {Function}      handler Function to be executed with the context
+ * @return {CommandRouter}         This router
+ */
+CommandRouter.prototype.event = function (event, handler) {
+    var self = this;
+    var chain = Array.prototype.slice.call(arguments, 1, -1);
+    handler = arguments[arguments.length - 1];
+
+    this.client.on(event, function () {
+        var context = createContext.call(self, toEvent.call(self, event, arguments));
+        run.call(self, self.middleware.concat(chain), handler, context);
+    });
+    return this;
+};
+
+/**
+ * Find a command by its name or one of its aliases, optionally including subcommands (e.g. 'quote add')
+ * @param  {String}  path
+ * @return {Command}      The command, or null if there is none
+ */
+CommandRouter.prototype.find = function (path) {
+    var names = path.split(/\s+/), command = null, i;
+    for (i = 0; i < this.commands.length && command === null; i += 1) {
+        if (this.commands[i].name === names[0] || this.commands[i].aliases.indexOf(names[0]) !== -1) {
+            command = this.commands[i];
+        }
+    }
+
+    for (i = 1; i < names.length && command !== null; i += 1) {
+        command = command.find(names[i]);
+    }
+    return command;
+};
+
+/**
+ * Handle an error thrown by a command handler. Emits the error on the client if anyone is listening.
+ * @param  {Error}  err
+ * @param  {Object} context The context of the command that failed
+ */
+CommandRouter.prototype.handleError = function (err, context) {
+    this.log.error(
+        {network: context.network, channel: context.channel, user: context.user, command: context.command},
+        "Handling %s failed: %s",
+        context.command || context.event,
+        err.message
+    );
+    if (this.client.listeners('error').length > 0) {
+        this.client.emit('error', err);
+    }
+};
+
+/**
+ * Turn the cooldown and limits of a command into middleware. Limits are named after the command,
+ * so every command has its own count.
+ * @param  {Object} spec Declaration of the command
+ * @return {Array}       Middleware functions
+ */
+var declareLimits = function (spec) {
+    var rules = [].concat(spec.limits || []);
+    if (typeof spec.cooldown !== 'undefined') {
+        rules.unshift(typeof spec.cooldown === 'number' ? {cooldown: spec.cooldown} : spec.cooldown);
+    }
+
+    var path = this.path();
+    return rules.map(function (rule, index) {
+        return middleware.rateLimit(limits.normalize(rule, index === 0 ? path : path + '#' + index));
+    });
+};
+
+/**
+ * Run the command that was invoked, or reply with what went wrong
+ * @param  {Command} command The top-level command that was invoked
+ * @param  {Event}   event   The COMMAND event
+ * @param  {String}  raw     Everything after the command
+ */
+var dispatch = function (command, event, raw) {
+    var tokens, parsed, context = createContext.call(this, event);
+
+    try {
+        tokens = tokenize(raw);
+        while (command.subcommands.length > 0 && tokens.length > 0 && command.find(tokens[0].value) !== null) {
+            command = command.find(tokens.shift().value);
+        }
+
+        if (command.handler === null) {
+            throw new errors.UsageError(tokens.length > 0 ?
+                util.format("Unknown subcommand %s.", tokens[0].value) :
+                "Missing subcommand.", command);
+        }
+        parsed = command.parse(tokens, raw);
+    } catch (err) {
+        if (err instanceof errors.UsageError) {
+            usageError.call(this, err, err.command || command, context.reply);
+        } else {
+            this.handleError(err, context);
+        }
+        return;
+    }
+
+    context.command = command.path();
+    context.args = parsed.args;
+    context.flags = parsed.flags;
+    context.raw = raw;
+
+    var chain = [], ancestor;
+    for (ancestor = command; ancestor !== null; ancestor = ancestor.parent) {
+        chain = ancestor.middleware.concat(chain);
+    }
+    run.call(this, this.middleware.concat(chain), command.handler, context);
+};
+
+/**
+ * Create an Event from the arguments of a listener, whether or not the client emits structured events
+ * @param  {String}    type Type of the event
+ * @param  {Arguments} args Arguments passed to the listener
+ * @return {Event}
+ */
+var toEvent = function (type, args) {
+    if (args.length === 1 && args[0] instanceof events.Event) {
+        return args[0];
+    }
+    return new events.Event(type, Array.prototype.slice.call(args), this.client);
+};
+
+/**
+ * Create the context that is passed to middleware and handlers
+ * @param  {Event}  event The event that is handled
+ * @return {Object}
+ */
+var createContext = function (event) {
+    var client = this.client;
+    return {
+        router: this,
+        event: event.type,
+        network: event.network,
+        user: event.sender,
+        channel: event.channel,
+        isPrivate: event.isPrivate,
+        message: event.message,
+        params: event.params,
+        reply: function (message, options) {
+            return client.reply(event.network, event.channel, event.sender, message, options || {});
+        },
+        prompt: function (question, options) {
+            return client.prompt(event.network, event.channel, event.sender, Object.assign({question: question}, options));
+        }
+    };
+};
+
+/**
+ * Run a handler after passing the context through middleware
+ * @param  {Array}    chain   Middleware functions, in order
+ * @param  {Function} handler
+ * @param  {Object}   context
+ */
+var run = function (chain, handler, context) {
+    var self = this;
+    middleware.compose(chain.concat([function (context) {
+        return handler.call(self, context);
+    }]))(context).catch(function (err) {
+        self.handleError(err, context);
+    });
+};
+
+/**
+ * Tell the user how a command should have been used
+ * @param  {UsageError} err
+ * @param  {Command}    command
+ * @param  {Function}   reply
+ */
+var usageError = function (err, command, reply) {
+    var self = this, root = command;
+    while (root.parent !== null) {
+        root = root.parent;
+    }
+    this.client.insertCommand(command.usageTemplate(), root.name).then(function (usage) {
+        return reply(util.format("%s Usage: %s", err.message, usage), {highlight: true});
+    }).catch(function (failure) {
+        self.handleError(failure, {command: command.path()});
+    });
+};
+
+/**
+ * Find the routers of the client that answer }help on a network. Routers whose help command is
+ * no longer listened for, such as those of unloaded plugins, are forgotten.
+ * @param  {String} network
+ * @return {Array}          The routers, in the order they were created
+ */
+var helpRouters = function (network) {
+    var routers = this.client.helpRouters, registered = this.client.listeners('command_help');
+    var live = routers.filter(function (router) {
+        return router.helpCommand.listeners.some(function (listener) {
+            return registered.indexOf(listener) !== -1;
+        });
+    });
+    routers.splice.apply(routers, [0, routers.length].concat(live));
+
+    return live.filter(function (router) {
+        return !router.options.network || router.options.network === network;
+    });
+};
+
+/**
+ * Respond to }help and }help <command>. Only the first router answering on the network replies,
+ * for all of them.
+ * @param  {Object}  context
+ * @return {Promise}
+ */
+var help = function (context) {
+    var client = this.client, routers = helpRouters.call(this, context.network);
+    if (routers[0] !== this) {
+        return undefined;
+    }
+
+    if (typeof context.args.command === 'undefined') {
+        return client.highlightCharacter().then(function (chr) {
+            var names = [];
+            routers.forEach(function (router) {
+                router.commands.forEach(function (command) {
+                    if (names.indexOf(command.name) === -1) {
+                        names.push(command.name);
+                    }
+                });
+            });
+            return context.reply("Available commands: " + names.map(function (name) {
+                return chr + name;
+            }).join(', ') + ". Use " + chr + "help <command> for details.");
+        });
+    }
+
+    var path = context.args.command.replace(/^\W+/, ''), command = null;
+    routers.forEach(function (router) {
+        if (command === null) {
+            command = router.find(path);
+        }
+    });
+    if (command === null) {
+        return context.reply(util.format("Unknown command %s.", context.args.command), {highlight: true});
+    }
+
+    var root = command;
+    while (root.parent !== null) {
+        root = root.parent;
+    }
+
+    var lines = [command].concat(command.subcommands).filter(function (cmd) {
+        return cmd === command || cmd.handler !== null || cmd.subcommands.length > 0;
+    }).map(function (cmd) {
+        var line = cmd.usageTemplate();
+        if (cmd.description) {
+            line += ' - ' + cmd.description;
+        }
+        if (cmd.aliases.length > 0) {
+            line += ' (aliases: ' + cmd.aliases.join(', ') + ')';
+        }
+        return client.insertCommand(line, root.name);
+    });
+
+    return Promise.all(lines).then(function (lines) {
+        return lines.reduce(function (previous, line) {
+            return previous.then(function () {
+                return context.reply(line);
+            });
+        }, Promise.resolve());
+    });
+};
+
+/**
+ * Split a string into tokens, respecting single and double quotes and backslash escapes.
+ * Quotes only have a special meaning at the start and end of a token, and are taken literally if
+ * they are never closed, so text like "it's" survives.
+ * @param  {String} string
+ * @param  {Array}  literal Offsets of quotes that should be taken literally (optional)
+ * @return {Array}          Objects containing the value, the start offset and whether it was quoted
+ */
+var tokenize = function (string, literal) {
+    var tokens = [], current = null, quote = null, opened = -1, chr, i;
+    literal = literal || [];
+
+    for (i = 0; i < string.length; i += 1) {
+        chr = string.charAt(i);
+        if (quote === null && /\s/.test(chr)) {
+            if (current !== null) {
+                tokens.push(current);
+                current = null;
+            }
+            continue;
+        }
+
+        if (current === null) {
+            current = {value: '', start: i, quoted: false};
+        }
+
+        if (chr === '\\' && i + 1 < string.length) {
+            i += 1;
+            current.value += string.charAt(i);
+        } else if (quote === null && (chr === '"' || chr === "'") && current.start === i &&
+                literal.indexOf(i) === -1) {
+            quote = chr;
+            opened = i;
+            current.quoted = true;
+        } else if (chr === quote && (i + 1 === string.length || /\s/.test(string.charAt(i + 1)))) {
+            quote = null;
+        } else {
+            current.value += chr;
+        }
+    }
+
+    if (quote !== null) {
+        return tokenize(string, literal.concat([opened]));
+    }
+    if (current !== null) {
+        tokens.push(current);
+    }
+    return tokens;
+};
+
+/**
+ * Parse an argument declaration such as '<name> [count:number] [text...]'
+ * @param  {String|Array} declaration Usage string, or an array of its parts
+ * @return {Array}                    Objects containing the name, type and whether it is required or variadic
+ * @throws {UsageError}               If the declaration is invalid
+ */
+var parseDeclaration = function (declaration) {
+    if (typeof declaration === 'string') {
+        declaration = declaration.split(/\s+/).filter(function (part) {
+            return part.length > 0;
+        });
+    }
+
+    return declaration.map(function (part, index) {
+        var match = ARGUMENT_REGEX.exec(part);
+        if (match === null) {
+            throw new errors.UsageError(util.format("Invalid argument declaration %s", part));
+        }
+        if (match[4] && index !== declaration.length - 1) {
+            throw new errors.UsageError(util.format("Only the last argument can be variadic, %s is not", part));
+        }
+        return {
+            name: match[2],
+            type: match[3] || 'string',
+            required: match[1] === '<',
+            variadic: !!match[4]
+        };
+    });
+};
+
+/**
+ * Bring flag declarations in a single form, {name: {type, alias, description, default}}.
+ * A flag may also be declared by just its type, {verbose: 'boolean'}.
+ * @param  {Object} flags
+ * @return {Object}
+ */
+var normalizeFlags = function (flags) {
+    var normalized = {};
+    Object.keys(flags).forEach(function (name) {
+        var flag = typeof flags[name] === 'string' ? {type: flags[name]} : flags[name];
+        normalized[name] = {
+            type: flag.type || 'boolean',
+            alias: flag.alias || null,
+            description: flag.description || '',
+            default: typeof flag.default !== 'undefined' ? flag.default : (flag.type === 'string' ? undefined : false)
+        };
+    });
+    return normalized;
+};
+
+/**
+ * Find the flag with the given alias
+ * @param  {Object} flags Normalized flag declarations
+ * @param  {String} alias
+ * @return {String}       Name of the flag, or null
+ */
+var findAlias = function (flags, alias) {
+    var names = Object.keys(flags).filter(function (name) {
+        return flags[name].alias === alias;
+    });
+    return names.length > 0 ? names[0] : null;
+};
+
+module.exports.CommandRouter = CommandRouter;
+module.exports.Command = Command;
+module.exports.tokenize = tokenize;
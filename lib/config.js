@@ -0,0 +1,197 @@
+var util = require('util');
+var errors = require('./errors');
+
+/**
+ * Conversions from the text values in the DaZeus configuration to typed values.
+ * Each returns undefined for text that can't be converted.
+ * @type {Object}
+ */
+var TYPES = {
+    string: function (value) {
+        return String(value);
+    },
+    number: function (value) {
+        var number = typeof value === 'number' ? value : parseFloat(value);
+        return isFinite(number) && String(value).trim() !== '' ? number : undefined;
+    },
+    integer: function (value) {
+        var number = TYPES.number(value);
+        return number === Math.floor(number) ? number : undefined;
+    },
+    boolean: function (value) {
+        if (typeof value === 'boolean') {
+            return value;
+        }
+        var text = String(value).trim().toLowerCase();
+        if (['true', 'yes', 'on', '1'].indexOf(text) !== -1) {
+            return true;
+        }
+        if (['false', 'no', 'off', '0'].indexOf(text) !== -1) {
+            return false;
+        }
+        return undefined;
+    },
+    list: function (value) {
+        if (Array.isArray(value)) {
+            return value;
+        }
+        return String(value).split(',').map(function (item) {
+            return item.trim();
+        }).filter(function (item) {
+            return item !== '';
+        });
+    },
+    json: function (value) {
+        if (typeof value !== 'string') {
+            return value;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return undefined;
+        }
+    }
+};
+
+/**
+ * Retrieve the configuration of a plugin and check it against a schema.
+ *
+ * A schema maps keys to a type name ('string', 'number', 'integer', 'boolean', 'list' or 'json')
+ * or to an object with a type, a default, whether the key is required, a validate function
+ * (returning true for valid values, or an error message), the group to read the key from ('plugin'
+ * or 'core') and the name of the key in DaZeus if it differs from the key in the schema.
+ *
+ * DaZeus only hands out single values, so every key in the schema is retrieved, and keys that
+ * are not in the schema are not available.
+ *
+ * @param  {DaZeus}  client
+ * @param  {Object}  schema
+ * @return {Promise}        Promise for an object with the typed value of every key, which is
+ *                          rejected with a ValidationError describing every missing or invalid key
+ */
+var load = function (client, schema) {
+    var entries;
+    return Promise.resolve().then(function () {
+        entries = Object.keys(schema).map(function (key) {
+            return normalize(key, schema[key]);
+        });
+        // a key that could not be retrieved is a problem like any other, the others are still checked
+        return Promise.all(entries.map(function (entry) {
+            return client.getConfig(entry.name, entry.group).then(function (result) {
+                return {value: result.value};
+            }, function (err) {
+                var problem = new errors.ValidationError(
+                    util.format("%s could not be retrieved: %s", describe(entry), err.message),
+                    entry.key
+                );
+                problem.cause = err;
+                return {problem: problem};
+            });
+        }));
+    }).then(function (results) {
+        var config = {}, problems = [];
+        entries.forEach(function (entry, index) {
+            if (results[index].problem) {
+                problems.push(results[index].problem);
+                return;
+            }
+            try {
+                config[entry.key] = convert(entry, results[index].value);
+            } catch (err) {
+                problems.push(err);
+            }
+        });
+
+        if (problems.length > 0) {
+            var err = new errors.ValidationError(
+                util.format("Invalid configuration: %s", problems.map(function (problem) {
+                    return problem.message;
+                }).join('; ')),
+                problems[0].key,
+                problems[0].value
+            );
+            err.errors = problems;
+            throw err;
+        }
+        return config;
+    });
+};
+
+/**
+ * Turn the schema of a key into an object with all settings
+ * @param  {String}        key
+ * @param  {String|Object} definition
+ * @return {Object}
+ */
+var normalize = function (key, definition) {
+    if (typeof definition === 'string') {
+        definition = {type: definition};
+    }
+
+    var entry = Object.assign({type: 'string', group: 'plugin', required: false}, definition, {key: key});
+    if (typeof TYPES[entry.type] === 'undefined') {
+        throw new errors.ValidationError(util.format(
+            "Unknown type %s for configuration key %s, expected one of %s",
+            entry.type,
+            key,
+            Object.keys(TYPES).join(', ')
+        ), key);
+    }
+    if (typeof entry.name === 'undefined') {
+        entry.name = key;
+    }
+    return entry;
+};
+
+/**
+ * Convert a value retrieved from DaZeus to the type of its key, and validate it
+ * @param  {Object} entry The schema of the key
+ * @param  {String} value
+ * @return {Object}
+ * @throws {ValidationError} If the value is missing or invalid
+ */
+var convert = function (entry, value) {
+    if (typeof value === 'undefined' || value === null || value === '') {
+        if (typeof entry['default'] !== 'undefined') {
+            return entry['default'];
+        }
+        if (entry.required) {
+            throw new errors.ValidationError(util.format("%s is required", describe(entry)), entry.key);
+        }
+        return undefined;
+    }
+
+    var converted = TYPES[entry.type](value);
+    if (typeof converted === 'undefined') {
+        throw new errors.ValidationError(
+            util.format("%s should be of type %s, got %s", describe(entry), entry.type, JSON.stringify(value)),
+            entry.key,
+            value
+        );
+    }
+
+    if (typeof entry.validate === 'function') {
+        var result = entry.validate(converted);
+        if (result !== true) {
+            var reason = typeof result === 'string' ? result : 'rejected by schema';
+            throw new errors.ValidationError(
+                util.format("%s is invalid: %s", describe(entry), reason),
+                entry.key,
+                value
+            );
+        }
+    }
+    return converted;
+};
+
+/**
+ * The name of a key in error messages
+ * @param  {Object} entry
+ * @return {String}
+ */
+var describe = function (entry) {
+    return entry.group === 'plugin' ? entry.name : entry.group + '.' + entry.name;
+};
+
+module.exports.TYPES = TYPES;
+module.exports.load = load;
@@ -0,0 +1,124 @@
+var util = require('util');
+
+/**
+ * Base class for all errors produced by the DaZeus client
+ * @param {String} message Description of the error
+ */
+var DaZeusError = function (message) {
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+    this.name = 'DaZeusError';
+    this.message = message;
+};
+util.inherits(DaZeusError, Error);
+
+/**
+ * The connection to DaZeus could not be established or was lost
+ * @param {String} message Description of the error
+ * @param {Error}  cause   The underlying socket error (optional)
+ */
+var ConnectionError = function (message, cause) {
+    DaZeusError.call(this, message);
+    this.name = 'ConnectionError';
+    this.cause = cause;
+};
+util.inherits(ConnectionError, DaZeusError);
+
+/**
+ * DaZeus sent data that could not be understood
+ * @param {String} message Description of the error
+ * @param {String} data    The data that could not be parsed (optional)
+ */
+var ProtocolError = function (message, data) {
+    DaZeusError.call(this, message);
+    this.name = 'ProtocolError';
+    this.data = data;
+};
+util.inherits(ProtocolError, DaZeusError);
+
+/**
+ * DaZeus responded to a request with `success: false`
+ * @param {Object} request  The request that was sent (optional)
+ * @param {Object} response The response as received from the server
+ */
+var RequestFailedError = function (request, response) {
+    DaZeusError.call(this, util.format("DaZeus request failed: %s", response.error || 'unknown error'));
+    this.name = 'RequestFailedError';
+    this.request = request;
+    this.response = response;
+};
+util.inherits(RequestFailedError, DaZeusError);
+
+/**
+ * No response to a request was received in time
+ * @param {Object}  request The request that was sent
+ * @param {Integer} timeout Number of milliseconds that was waited
+ * @param {String}  message Description of the error (optional)
+ */
+var TimeoutError = function (request, timeout, message) {
+    DaZeusError.call(this, message || util.format("No response received within %d ms", timeout));
+    this.name = 'TimeoutError';
+    this.request = request;
+    this.timeout = timeout;
+};
+util.inherits(TimeoutError, DaZeusError);
+
+/**
+ * Waiting for a response was stopped on request
+ * @param {String} message Description of the error
+ * @param {Object} request The request that was cancelled (optional)
+ */
+var CancelledError = function (message, request) {
+    DaZeusError.call(this, message);
+    this.name = 'CancelledError';
+    this.request = request;
+};
+util.inherits(CancelledError, DaZeusError);
+
+/**
+ * The connected DaZeus does not support a request
+ * @param {String} message Description of the error
+ * @param {Object} request The request that was not sent (optional)
+ */
+var UnsupportedError = function (message, request) {
+    DaZeusError.call(this, message);
+    this.name = 'UnsupportedError';
+    this.request = request;
+};
+util.inherits(UnsupportedError, DaZeusError);
+
+/**
+ * A command was invoked with arguments that don't match its declaration
+ * @param {String} message Description of the error
+ * @param {Object} command The command that was invoked (optional)
+ */
+var UsageError = function (message, command) {
+    DaZeusError.call(this, message);
+    this.name = 'UsageError';
+    this.command = command;
+};
+util.inherits(UsageError, DaZeusError);
+
+/**
+ * A value does not match the schema it should adhere to
+ * @param {String} message Description of the error
+ * @param {String} key     The key of the value (optional)
+ * @param {Object} value   The value that was rejected (optional)
+ */
+var ValidationError = function (message, key, value) {
+    DaZeusError.call(this, message);
+    this.name = 'ValidationError';
+    this.key = key;
+    this.value = value;
+};
+util.inherits(ValidationError, DaZeusError);
+
+module.exports.DaZeusError = DaZeusError;
+module.exports.ConnectionError = ConnectionError;
+module.exports.ProtocolError = ProtocolError;
+module.exports.RequestFailedError = RequestFailedError;
+module.exports.TimeoutError = TimeoutError;
+module.exports.CancelledError = CancelledError;
+module.exports.UnsupportedError = UnsupportedError;
+module.exports.UsageError = UsageError;
+module.exports.ValidationError = ValidationError;
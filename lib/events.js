@@ -0,0 +1,285 @@
+var util = require('util');
+var errors = require('./errors');
+var middleware = require('./middleware');
+
+/**
+ * Default settings for subscriptions that are iterated over
+ * @type {Object}
+ */
+var SUBSCRIPTION_DEFAULTS = {
+    buffer: 100,
+    dropPolicy: 'oldest'
+};
+
+/**
+ * Names of the fields of each type of event, in the order DaZeus sends their parameters.
+ * A field name ending in ... receives all remaining parameters as an array.
+ * @type {Object}
+ */
+var SCHEMAS = {
+    CONNECT: ['network'],
+    DISCONNECT: ['network'],
+    JOIN: ['network', 'sender', 'channel'],
+    PART: ['network', 'sender', 'channel', 'message'],
+    QUIT: ['network', 'sender', 'message'],
+    NICK: ['network', 'sender', 'newNick'],
+    MODE: ['network', 'sender', 'channel', 'mode', 'args...'],
+    TOPIC: ['network', 'sender', 'channel', 'topic'],
+    INVITE: ['network', 'sender', 'channel', 'target'],
+    KICK: ['network', 'sender', 'channel', 'target', 'message'],
+    PRIVMSG: ['network', 'sender', 'channel', 'message'],
+    NOTICE: ['network', 'sender', 'channel', 'message'],
+    CTCP: ['network', 'sender', 'channel', 'message'],
+    CTCP_REP: ['network', 'sender', 'channel', 'message'],
+    ACTION: ['network', 'sender', 'channel', 'message'],
+    UNKNOWN: ['network', 'sender', 'args...'],
+    NUMERIC: ['network', 'sender', 'target', 'code', 'args...'],
+    WHOIS: ['network', 'server', 'target', 'identified'],
+    NAMES: ['network', 'server', 'channel', 'names...'],
+    PRIVMSG_ME: ['network', 'sender', 'channel', 'message'],
+    CTCP_ME: ['network', 'sender', 'channel', 'message'],
+    ACTION_ME: ['network', 'sender', 'channel', 'message'],
+    COMMAND: ['network', 'sender', 'channel', 'command', 'message', 'args...']
+};
+
+/**
+ * An event received from DaZeus, with named fields instead of positional parameters.
+ * Every event has a type, the raw params and the fields from its schema. Events that happen in a
+ * channel or query also have isPrivate and a reply function.
+ * @param {String} type   Type of the event, e.g. PRIVMSG
+ * @param {Array}  params Parameters of the event as sent by DaZeus
+ * @param {DaZeus} client The client that received the event (optional)
+ */
+var Event = function (type, params, client) {
+    var schema = SCHEMAS[type] || ['network', 'args...'];
+
+    this.type = type;
+    this.params = params.slice();
+
+    schema.forEach(function (field, index) {
+        if (field.substr(-3) === '...') {
+            this[field.substr(0, field.length - 3)] = params.slice(index);
+        } else {
+            this[field] = params[index];
+        }
+    }, this);
+
+    if (type === 'WHOIS') {
+        this.identified = this.identified === true || this.identified === 'true';
+    }
+
+    if (typeof this.channel !== 'undefined' && typeof this.sender !== 'undefined') {
+        this.isPrivate = !middleware.isChannel(this.channel);
+    }
+
+    if (typeof client !== 'undefined') {
+        Object.defineProperty(this, 'client', {value: client, enumerable: false});
+    }
+};
+
+/**
+ * Reply to the sender of this event, in the channel or query where it happened.
+ * See DaZeus.reply for the options.
+ * @param  {String}   message  The reply message
+ * @param  {Object}   options  Options such as highlight and type (optional)
+ * @param  {Function} callback Function to be executed when the reply was sent (optional)
+ * @return {Promise}           Promise for the response, if no callback was given
+ * @throws {UsageError}        If the event has no sender or channel to reply to
+ */
+Event.prototype.reply = function (message, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    if (typeof this.client === 'undefined' || typeof this.sender === 'undefined' ||
+            typeof this.channel === 'undefined') {
+        throw new errors.UsageError(this.type + " events can't be replied to");
+    }
+    return this.client.reply(this.network, this.channel, this.sender, message, options || {}, callback);
+};
+
+/**
+ * Retrieve the positional parameters of an event from listener arguments, which are either
+ * the parameters themselves or a single Event.
+ * @param  {Arguments} args Arguments passed to an event listener
+ * @return {Array}
+ */
+var params = function (args) {
+    if (args.length === 1 && args[0] instanceof Event) {
+        return args[0].params;
+    }
+    return Array.prototype.slice.call(args);
+};
+
+/**
+ * A subscription to one or more types of events, optionally only those matching a filter. The
+ * filter maps fields of the events (such as network, channel, sender or message) to what they should
+ * match: a string (compared case-insensitively), a regular expression, an array of alternatives or
+ * a function returning true for matching values.
+ *
+ * With a listener, the listener receives every matching event as an Event. Without one, the
+ * subscription is an async iterator over the matching events, which holds at most `buffer` events
+ * that were not consumed yet; when it is full, the `dropPolicy` decides whether the oldest event or
+ * the new event is dropped ('oldest' or 'newest').
+ *
+ * @param {DaZeus}   client
+ * @param {Array}    types    Types of events, e.g. ['PRIVMSG']
+ * @param {Object}   filter   (optional)
+ * @param {Object}   options  buffer and dropPolicy (optional)
+ * @param {Function} listener (optional)
+ */
+var Subscription = function (client, types, filter, options, listener) {
+    var self = this;
+    this.client = client;
+    this.types = types;
+    this.filter = filter || {};
+    this.options = Object.assign({}, SUBSCRIPTION_DEFAULTS, options || {});
+    this.listener = listener || null;
+    this.active = true;
+    this.dropped = 0;
+
+    // events that were not consumed yet, and consumers waiting for the next event
+    this.buffered = [];
+    this.waiting = [];
+
+    if (['oldest', 'newest'].indexOf(this.options.dropPolicy) === -1) {
+        throw new errors.UsageError(util.format("Unknown drop policy %s, expected oldest or newest", this.options.dropPolicy));
+    }
+
+    this.handlers = {};
+    types.forEach(function (type) {
+        this.handlers[type] = function () {
+            var event = arguments.length === 1 && arguments[0] instanceof Event ?
+                arguments[0] :
+                new Event(type, Array.prototype.slice.call(arguments), client);
+            deliver.call(self, event);
+        };
+        client.on(type, this.handlers[type]);
+    }, this);
+};
+
+/**
+ * Check whether an event matches the filter of this subscription
+ * @param  {Event}   event
+ * @return {Boolean}
+ */
+Subscription.prototype.matches = function (event) {
+    return Object.keys(this.filter).every(function (field) {
+        return matchValue(this.filter[field], event[field], event);
+    }, this);
+};
+
+/**
+ * Wait for the next matching event
+ * @return {Promise} Promise for an object with the event as value, and done when the subscription ended
+ */
+Subscription.prototype.next = function () {
+    var self = this;
+    if (this.listener !== null) {
+        return Promise.reject(new errors.UsageError("Events of a subscription with a listener can't be iterated over"));
+    }
+    if (this.buffered.length > 0) {
+        return Promise.resolve({value: this.buffered.shift(), done: false});
+    }
+    if (!this.active) {
+        return Promise.resolve({value: undefined, done: true});
+    }
+    return new Promise(function (resolve) {
+        self.waiting.push(resolve);
+    });
+};
+
+/**
+ * End the iteration, which unsubscribes. Called when a for await loop is left early.
+ * @return {Promise}
+ */
+Subscription.prototype['return'] = function () {
+    this.unsubscribe();
+    this.buffered = [];
+    return Promise.resolve({value: undefined, done: true});
+};
+
+/**
+ * Stop receiving events. When no listeners are left for a type of event, the client unsubscribes
+ * from it at DaZeus. Events that were already buffered can still be iterated over.
+ */
+Subscription.prototype.unsubscribe = function () {
+    if (!this.active) {
+        return;
+    }
+    this.active = false;
+    Object.keys(this.handlers).forEach(function (type) {
+        this.client.removeListener(type, this.handlers[type]);
+    }, this);
+    this.waiting.splice(0).forEach(function (resolve) {
+        resolve({value: undefined, done: true});
+    });
+};
+
+// lets a subscription be consumed with for await
+if (typeof Symbol !== 'undefined' && typeof Symbol.asyncIterator !== 'undefined') {
+    Subscription.prototype[Symbol.asyncIterator] = function () {
+        return this;
+    };
+}
+
+/**
+ * Pass an event on to the listener, a waiting consumer or the buffer, if it matches the filter
+ * @param  {Event} event
+ */
+var deliver = function (event) {
+    if (!this.active || !this.matches(event)) {
+        return;
+    }
+
+    if (this.listener !== null) {
+        this.listener.call(this.client, event);
+    } else if (this.waiting.length > 0) {
+        this.waiting.shift()({value: event, done: false});
+    } else if (this.buffered.length < this.options.buffer) {
+        this.buffered.push(event);
+    } else {
+        this.dropped += 1;
+        this.client.log.component('events').debug(
+            {type: event.type, dropped: this.dropped},
+            "Subscription buffer is full, dropping the %s event",
+            this.options.dropPolicy
+        );
+        if (this.options.dropPolicy === 'oldest') {
+            this.buffered.shift();
+            this.buffered.push(event);
+        }
+    }
+};
+
+/**
+ * Check a field of an event against a filter
+ * @param  {Object}  expected String, RegExp, array of alternatives or function
+ * @param  {Object}  value    The field of the event
+ * @param  {Event}   event
+ * @return {Boolean}
+ */
+var matchValue = function (expected, value, event) {
+    if (Array.isArray(expected)) {
+        return expected.some(function (alternative) {
+            return matchValue(alternative, value, event);
+        });
+    }
+    if (typeof expected === 'function') {
+        return !!expected(value, event);
+    }
+    if (typeof value === 'undefined' || value === null) {
+        return false;
+    }
+    if (expected instanceof RegExp) {
+        // unlike test(), search() ignores lastIndex, so global and sticky patterns match every event
+        return String(value).search(expected) !== -1;
+    }
+    return String(value).toLowerCase() === String(expected).toLowerCase();
+};
+
+module.exports.SCHEMAS = SCHEMAS;
+module.exports.Event = Event;
+module.exports.Subscription = Subscription;
+module.exports.params = params;
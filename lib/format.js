@@ -0,0 +1,253 @@
+var util = require('util');
+var errors = require('./errors');
+
+/**
+ * Control characters used by IRC clients for formatting
+ * @type {Object}
+ */
+var CODES = {
+    bold: '\x02',
+    color: '\x03',
+    hexColor: '\x04',
+    reset: '\x0F',
+    monospace: '\x11',
+    reverse: '\x16',
+    italic: '\x1D',
+    strikethrough: '\x1E',
+    underline: '\x1F'
+};
+
+/**
+ * Names of the standard mIRC colours
+ * @type {Object}
+ */
+var COLORS = {
+    white: 0,
+    black: 1,
+    blue: 2,
+    green: 3,
+    red: 4,
+    brown: 5,
+    purple: 6,
+    orange: 7,
+    yellow: 8,
+    lime: 9,
+    teal: 10,
+    cyan: 11,
+    royal: 12,
+    pink: 13,
+    grey: 14,
+    gray: 14,
+    silver: 15
+};
+
+/**
+ * Regular expression for all formatting in a message
+ * @type {RegExp}
+ */
+var FORMATTING_REGEX = /\x03(\d{1,2}(,\d{1,2})?)?|\x04([0-9a-f]{6}(,[0-9a-f]{6})?)?|[\x02\x0F\x11\x16\x1D\x1E\x1F]/gi;
+
+/**
+ * Property that disables colours and other formatting for a network or channel, when set to 'true'
+ * @type {String}
+ */
+var NO_COLORS_PROPERTY = 'format.nocolors';
+
+/**
+ * Builder for formatted messages. All methods return the builder, so calls can be chained:
+ *     format.build().bold('Score:').text(' ').color('42', 'green').toString()
+ * A builder can be passed directly to message, notice, reply and the other methods that send text.
+ */
+var Formatter = function () {
+    this.parts = [];
+};
+
+/**
+ * Add plain text
+ * @param  {String}    text
+ * @return {Formatter}
+ */
+Formatter.prototype.text = function (text) {
+    this.parts.push(String(text));
+    return this;
+};
+
+['bold', 'italic', 'underline', 'reverse', 'strikethrough', 'monospace'].forEach(function (style) {
+    /**
+     * Add text in a style
+     * @param  {String}    text
+     * @return {Formatter}
+     */
+    Formatter.prototype[style] = function (text) {
+        this.parts.push(module.exports[style](text));
+        return this;
+    };
+});
+
+/**
+ * Add coloured text
+ * @param  {String}         text
+ * @param  {String|Integer} foreground Name or number of the text colour
+ * @param  {String|Integer} background Name or number of the background colour (optional)
+ * @return {Formatter}
+ */
+Formatter.prototype.color = function (text, foreground, background) {
+    this.parts.push(color(text, foreground, background));
+    return this;
+};
+
+/**
+ * Reset all formatting
+ * @return {Formatter}
+ */
+Formatter.prototype.reset = function () {
+    this.parts.push(CODES.reset);
+    return this;
+};
+
+/**
+ * The formatted message
+ * @return {String}
+ */
+Formatter.prototype.toString = function () {
+    return this.parts.join('');
+};
+
+/**
+ * Start building a formatted message
+ * @param  {String}    text Plain text to start with (optional)
+ * @return {Formatter}
+ */
+var build = function (text) {
+    var formatter = new Formatter();
+    return typeof text === 'undefined' ? formatter : formatter.text(text);
+};
+
+/**
+ * Surround text with a control character, which toggles a style
+ * @param  {String} code
+ * @param  {String} text
+ * @return {String}
+ */
+var wrap = function (code, text) {
+    return code + text + code;
+};
+
+/**
+ * Convert a colour name or number to the two digits used in messages
+ * @param  {String|Integer} value
+ * @return {String}
+ * @throws {UsageError} For unknown colours
+ */
+var colorCode = function (value) {
+    var number = typeof value === 'number' ? value : COLORS[String(value).toLowerCase()];
+    if (typeof number === 'undefined' && /^\d{1,2}$/.test(value)) {
+        number = parseInt(value, 10);
+    }
+    if (typeof number !== 'number' || number < 0 || number > 99) {
+        throw new errors.UsageError(util.format("Unknown colour %s", value));
+    }
+
+    // always use two digits, so digits at the start of the text are not taken as part of the colour
+    return (number < 10 ? '0' : '') + number;
+};
+
+/**
+ * Colour text
+ * @param  {String}         text
+ * @param  {String|Integer} foreground Name or number of the text colour
+ * @param  {String|Integer} background Name or number of the background colour (optional)
+ * @return {String}
+ */
+var color = function (text, foreground, background) {
+    var code = CODES.color + colorCode(foreground);
+    if (typeof background !== 'undefined' && background !== null) {
+        code += ',' + colorCode(background);
+    }
+    return code + text + CODES.color;
+};
+
+/**
+ * Remove all formatting from a message, such as incoming messages with mIRC colours
+ * @param  {String} text
+ * @return {String}
+ */
+var strip = function (text) {
+    return String(text).replace(FORMATTING_REGEX, '');
+};
+
+/**
+ * Check whether a message contains any formatting
+ * @param  {String}  text
+ * @return {Boolean}
+ */
+var isFormatted = function (text) {
+    return strip(text) !== String(text);
+};
+
+/**
+ * The number of characters that are visible when a message is displayed
+ * @param  {String}  text
+ * @return {Integer}
+ */
+var visibleLength = function (text) {
+    return Array.from(strip(text)).length;
+};
+
+/**
+ * The number of bytes a message takes on IRC, including formatting
+ * @param  {String}  text
+ * @return {Integer}
+ */
+var byteLength = function (text) {
+    return Buffer.byteLength(String(text), 'utf8');
+};
+
+/**
+ * Check whether formatting is allowed in a channel. Formatting is disabled by setting the
+ * format.nocolors property to 'true' for the channel or its network.
+ * @param  {DaZeus}  client
+ * @param  {String}  network
+ * @param  {String}  channel
+ * @return {Promise}         Promise for a boolean
+ */
+var allowsColors = function (client, network, channel) {
+    return client.getProperty(NO_COLORS_PROPERTY, [network, channel]).then(function (result) {
+        return String(result.value) !== 'true';
+    });
+};
+
+/**
+ * Allow or disallow formatting in a channel, or a whole network if no channel is given
+ * @param  {DaZeus}  client
+ * @param  {Boolean} allowed
+ * @param  {String}  network
+ * @param  {String}  channel (optional)
+ * @return {Promise}
+ */
+var setAllowsColors = function (client, allowed, network, channel) {
+    var scope = typeof channel === 'undefined' ? [network] : [network, channel];
+    if (allowed) {
+        return client.unsetProperty(NO_COLORS_PROPERTY, scope);
+    }
+    return client.setProperty(NO_COLORS_PROPERTY, 'true', scope);
+};
+
+module.exports.CODES = CODES;
+module.exports.COLORS = COLORS;
+module.exports.NO_COLORS_PROPERTY = NO_COLORS_PROPERTY;
+module.exports.Formatter = Formatter;
+module.exports.build = build;
+module.exports.bold = wrap.bind(null, CODES.bold);
+module.exports.italic = wrap.bind(null, CODES.italic);
+module.exports.underline = wrap.bind(null, CODES.underline);
+module.exports.reverse = wrap.bind(null, CODES.reverse);
+module.exports.strikethrough = wrap.bind(null, CODES.strikethrough);
+module.exports.monospace = wrap.bind(null, CODES.monospace);
+module.exports.color = color;
+module.exports.strip = strip;
+module.exports.isFormatted = isFormatted;
+module.exports.visibleLength = visibleLength;
+module.exports.byteLength = byteLength;
+module.exports.allowsColors = allowsColors;
+module.exports.setAllowsColors = setAllowsColors;
@@ -0,0 +1,531 @@
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var errors = require('./errors');
+var CommandRouter = require('./commands').CommandRouter;
+var Store = require('./store').Store;
+var Scheduler = require('./scheduler').Scheduler;
+var config = require('./config');
+
+/**
+ * Methods a plugin uses to listen for events, these are tracked so they can be undone
+ * @type {Array}
+ */
+var LISTENER_METHODS = ['on', 'addListener', 'prependListener', 'once', 'prependOnceListener'];
+
+/**
+ * Milliseconds to wait after a file changes before reloading, editors often write files in steps
+ * @type {Integer}
+ */
+var RELOAD_DELAY = 100;
+
+/**
+ * Runs several plugins over a single connection to DaZeus. Every plugin gets its own view of the
+ * client, with its own handshake and configuration, its own command registrations and event
+ * listeners, and properties prefixed with the name of the plugin. Plugins can be unloaded and
+ * reloaded without affecting the connection or the other plugins.
+ *
+ * A plugin is a module exporting a function that receives the view of the client and the
+ * configuration of the plugin, or an object with such a load function and optionally an unload
+ * function. The load function may return a function (or a promise for one) to call when unloading.
+ *
+ * Available options are directory (every .js file and subdirectory in it is loaded as a plugin),
+ * plugins (an array of paths, or objects with a path, name and config), config (the path of a JSON
+ * file with a plugins array, relative paths are relative to the file) and watch (reload plugins
+ * when their files change).
+ *
+ * @param {DaZeus} client
+ * @param {Object} options
+ */
+var Host = function (client, options) {
+    EventEmitter.call(this);
+    this.client = client;
+    this.log = client.log.component('host');
+    this.options = options || {};
+    this.plugins = {};
+
+    var self = this;
+    this.ready = Promise.resolve().then(function () {
+        return Promise.all(findPlugins.call(self, self.options).map(function (spec) {
+            return self.load(spec).catch(function () {
+                // reported by load, the other plugins are loaded anyway
+            });
+        }));
+    }).then(function () {
+        return self;
+    });
+};
+util.inherits(Host, EventEmitter);
+
+/**
+ * Load a plugin
+ * @param  {String|Object} spec Path of the plugin, or an object with a path, name and config
+ * @return {Promise}            Promise that is resolved when the plugin is loaded
+ */
+Host.prototype.load = function (spec) {
+    var self = this;
+    if (typeof spec === 'string') {
+        spec = {path: spec};
+    }
+
+    var file, name = spec.name || pluginName(spec.path);
+    try {
+        file = require.resolve(path.resolve(spec.path));
+    } catch (err) {
+        this.handleError(err, name);
+        return Promise.reject(err);
+    }
+    if (typeof this.plugins[name] !== 'undefined') {
+        return Promise.reject(new errors.UsageError(util.format("A plugin named %s is already loaded", name)));
+    }
+
+    var plugin = {
+        name: name,
+        path: path.resolve(spec.path),
+        file: file,
+        config: spec.config || {},
+        handshake: null,
+        listeners: [],
+        subscriptions: [],
+        schedulers: [],
+        prompts: [],
+        teardown: null,
+        watcher: null,
+        reloading: null
+    };
+    plugin.view = createView.call(this, plugin);
+    this.plugins[name] = plugin;
+
+    return Promise.resolve().then(function () {
+        var exported = require(file);
+        var load = typeof exported === 'function' ? exported : exported.load;
+        if (typeof load !== 'function') {
+            throw new errors.UsageError(util.format("Plugin %s exports no load function", name));
+        }
+        if (typeof exported.unload === 'function') {
+            plugin.teardown = exported.unload;
+        }
+        return load.call(exported, plugin.view, plugin.config);
+    }).then(function (teardown) {
+        if (typeof teardown === 'function') {
+            plugin.teardown = teardown;
+        }
+        if (self.options.watch) {
+            watch.call(self, plugin);
+        }
+        self.log.info({plugin: name}, "Loaded plugin %s", name);
+        self.emit('load', name);
+    }).catch(function (err) {
+        cleanup.call(self, plugin);
+        delete self.plugins[name];
+        self.handleError(err, name);
+        throw err;
+    });
+};
+
+/**
+ * Unload a plugin: remove its listeners, stop its schedulers, cancel its prompts and call its
+ * unload function.
+ * The commands it registered stay registered with DaZeus, but no longer reach the plugin.
+ * @param  {String}  name
+ * @return {Promise}      Promise that is resolved when the plugin is unloaded
+ */
+Host.prototype.unload = function (name) {
+    var self = this, plugin = this.plugins[name];
+    if (typeof plugin === 'undefined') {
+        return Promise.reject(new errors.UsageError(util.format("No plugin named %s is loaded", name)));
+    }
+
+    delete this.plugins[name];
+    clearTimeout(plugin.reloading);
+    if (plugin.watcher !== null) {
+        plugin.watcher.close();
+    }
+    return Promise.resolve().then(function () {
+        if (typeof plugin.teardown === 'function') {
+            return plugin.teardown.call(plugin.view);
+        }
+        return undefined;
+    }).catch(function (err) {
+        self.handleError(err, name);
+    }).then(function () {
+        cleanup.call(self, plugin);
+        forget(plugin);
+        self.log.info({plugin: name}, "Unloaded plugin %s", name);
+        self.emit('unload', name);
+    });
+};
+
+/**
+ * Unload a plugin and load it again from its files
+ * @param  {String}  name
+ * @return {Promise}      Promise that is resolved when the plugin is loaded again
+ */
+Host.prototype.reload = function (name) {
+    var self = this, plugin = this.plugins[name];
+    if (typeof plugin === 'undefined') {
+        return Promise.reject(new errors.UsageError(util.format("No plugin named %s is loaded", name)));
+    }
+
+    var spec = {path: plugin.path, name: plugin.name, config: plugin.config};
+    return this.unload(name).then(function () {
+        return self.load(spec);
+    }).then(function () {
+        self.emit('reload', name);
+    });
+};
+
+/**
+ * Unload all plugins
+ * @return {Promise}
+ */
+Host.prototype.unloadAll = function () {
+    return Promise.all(Object.keys(this.plugins).map(function (name) {
+        return this.unload(name);
+    }, this));
+};
+
+/**
+ * Stop watching the files of the plugins, the plugins themselves stay loaded
+ */
+Host.prototype.stop = function () {
+    Object.keys(this.plugins).forEach(function (name) {
+        var plugin = this.plugins[name];
+        clearTimeout(plugin.reloading);
+        if (plugin.watcher !== null) {
+            plugin.watcher.close();
+            plugin.watcher = null;
+        }
+    }, this);
+};
+
+/**
+ * Names of the loaded plugins
+ * @return {Array}
+ */
+Host.prototype.loaded = function () {
+    return Object.keys(this.plugins);
+};
+
+/**
+ * Called when finding, loading, running or unloading a plugin failed.
+ * Emits the error on the host, if anyone is listening.
+ * @param  {Error}  err
+ * @param  {String} name Name of the plugin, or the directory or config file it was looked for in
+ */
+Host.prototype.handleError = function (err, name) {
+    this.log.error({plugin: name}, "Plugin %s failed: %s", name, err.message);
+    if (this.listeners('error').length > 0) {
+        this.emit('error', err, name);
+    }
+};
+
+/**
+ * Create the view of the client for a plugin. Everything is passed on to the client, except
+ * for what a plugin should not share with other plugins.
+ * @param  {Object} plugin
+ * @return {Object}
+ */
+var createView = function (plugin) {
+    var host = this, client = this.client, view = {};
+    var prefix = plugin.name + '.';
+
+    for (var key in client) {
+        if (typeof client[key] === 'function') {
+            view[key] = client[key].bind(client);
+        } else if (key.charAt(0) !== '_') {
+            Object.defineProperty(view, key, {get: passOn(client, key), enumerable: true, configurable: true});
+        }
+    }
+
+    LISTENER_METHODS.forEach(function (method) {
+        view[method] = function (event, listener) {
+            plugin.listeners.push([event, listener]);
+            client[method](event, listener);
+            return view;
+        };
+    });
+
+    view.removeListener = view.off = function (event, listener) {
+        plugin.listeners = plugin.listeners.filter(function (entry) {
+            return entry[0] !== event || entry[1] !== listener;
+        });
+        client.removeListener(event, listener);
+        return view;
+    };
+
+    view.removeAllListeners = function (event) {
+        plugin.listeners.filter(function (entry) {
+            return typeof event === 'undefined' || entry[0] === event;
+        }).forEach(function (entry) {
+            view.removeListener(entry[0], entry[1]);
+        });
+        return view;
+    };
+
+    view.subscribe = function () {
+        var subscription = client.subscribe.apply(client, arguments);
+        plugin.subscriptions.push(subscription);
+        return subscription;
+    };
+
+    view.onCommand = function (command, network, callback) {
+        var listener = typeof network === 'function' ? network : callback;
+        var registered = client.onCommand(command, network, callback);
+        client.removeListener('command_' + command, listener);
+        view.on('command_' + command, listener);
+        return registered;
+    };
+
+    view.handshake = function (name, version, configname, callback) {
+        if (typeof configname === 'function') {
+            callback = configname;
+            configname = null;
+        }
+        plugin.handshake = {name: name, version: version, configname: configname || name};
+        view.log.info("Plugin %s identifies as %s %s", plugin.name, name, version);
+        return answer(callback, {did: 'handshake', success: true});
+    };
+
+    view.getConfig = function (key, group, callback) {
+        if (typeof group === 'function') {
+            callback = group;
+            group = null;
+        }
+        if (typeof group !== 'undefined' && group !== null && group !== 'plugin') {
+            return client.getConfig(key, group, callback);
+        }
+        if (Object.prototype.hasOwnProperty.call(plugin.config, key)) {
+            return answer(callback, {got: 'config', success: true, variable: key, value: plugin.config[key]});
+        }
+        var section = plugin.handshake === null ? plugin.name : plugin.handshake.configname;
+        return client.getConfig(section + '.' + key, 'plugin', callback);
+    };
+
+    view.loadConfig = function (schema) {
+        return config.load(view, schema);
+    };
+
+    view.getProperty = function (property, scope, callback) {
+        return client.getProperty(prefix + property, scope, callback);
+    };
+
+    view.setProperty = function (property, value, scope, callback) {
+        return client.setProperty(prefix + property, value, scope, callback);
+    };
+
+    view.unsetProperty = function (property, scope, callback) {
+        return client.unsetProperty(prefix + property, scope, callback);
+    };
+
+    view.propertyKeys = function (property, scope, callback) {
+        if (typeof scope === 'function') {
+            callback = scope;
+            scope = undefined;
+        }
+        var strip = function (result) {
+            if (result && Array.isArray(result.keys)) {
+                result.keys = result.keys.map(function (name) {
+                    return name.indexOf(prefix) === 0 ? name.substr(prefix.length) : name;
+                });
+            }
+            return result;
+        };
+        if (typeof callback === 'function') {
+            return client.propertyKeys(prefix + property, scope, function (result, err) {
+                callback(strip(result), err);
+            });
+        }
+        return client.propertyKeys(prefix + property, scope).then(strip);
+    };
+
+    view.prompt = function (network, channel, user, options) {
+        var prompt = [network, channel, user];
+        var answer = client.prompt(network, channel, user, options);
+        var done = function () {
+            var index = plugin.prompts.indexOf(prompt);
+            if (index !== -1) {
+                plugin.prompts.splice(index, 1);
+            }
+        };
+        plugin.prompts.push(prompt);
+        answer.then(done, done);
+        return answer;
+    };
+
+    view.router = function (options) {
+        return new CommandRouter(view, options);
+    };
+
+    view.store = function (name, options) {
+        return new Store(view, name, options);
+    };
+
+    view.scheduler = function (name, options) {
+        var scheduler = new Scheduler(view, name, options);
+        plugin.schedulers.push(scheduler);
+        client.schedulers.push(scheduler);
+        return scheduler;
+    };
+
+    view.close = function (callback) {
+        view.log.warn("Plugin %s tried to close the shared connection, unloading it instead", plugin.name);
+        return host.unload(plugin.name).then(function () {
+            if (typeof callback === 'function') {
+                callback();
+            }
+        });
+    };
+
+    Object.defineProperty(view, 'log', {value: client.log.child({plugin: plugin.name}), enumerable: true});
+    view.debug = function () {
+        view.log.debug.apply(view.log, arguments);
+    };
+
+    view.plugin = plugin.name;
+    return view;
+};
+
+/**
+ * Create a getter for a property of the client
+ * @param  {DaZeus}   client
+ * @param  {String}   key
+ * @return {Function}
+ */
+var passOn = function (client, key) {
+    return function () {
+        return client[key];
+    };
+};
+
+/**
+ * Answer a request that is handled without asking DaZeus
+ * @param  {Function} callback (optional)
+ * @param  {Object}   result
+ * @return {Promise}           Promise for the result, if no callback was given
+ */
+var answer = function (callback, result) {
+    if (typeof callback === 'function') {
+        callback(result);
+        return undefined;
+    }
+    return Promise.resolve(result);
+};
+
+/**
+ * Undo everything a plugin set up through its view
+ * @param  {Object} plugin
+ */
+var cleanup = function (plugin) {
+    plugin.listeners.forEach(function (entry) {
+        this.client.removeListener(entry[0], entry[1]);
+    }, this);
+    plugin.listeners = [];
+
+    plugin.subscriptions.forEach(function (subscription) {
+        subscription.unsubscribe();
+    });
+    plugin.subscriptions = [];
+
+    plugin.schedulers.forEach(function (scheduler) {
+        scheduler.stop();
+        var index = this.client.schedulers.indexOf(scheduler);
+        if (index !== -1) {
+            this.client.schedulers.splice(index, 1);
+        }
+    }, this);
+    plugin.schedulers = [];
+
+    plugin.prompts.slice().forEach(function (prompt) {
+        this.client.cancelPrompt(prompt[0], prompt[1], prompt[2], util.format("Plugin %s was unloaded", plugin.name));
+    }, this);
+    plugin.prompts = [];
+};
+
+/**
+ * Remove the files of a plugin from the module cache, so they are read again when loading it
+ * @param  {Object} plugin
+ */
+var forget = function (plugin) {
+    var directory = path.dirname(plugin.file);
+    var ownDirectory = plugin.path !== plugin.file;
+    Object.keys(require.cache).forEach(function (file) {
+        if (file === plugin.file || (ownDirectory && file.indexOf(plugin.path + path.sep) === 0 &&
+                file.indexOf(path.sep + 'node_modules' + path.sep, directory.length) === -1)) {
+            delete require.cache[file];
+        }
+    });
+};
+
+/**
+ * Reload a plugin when its files change
+ * @param  {Object} plugin
+ */
+var watch = function (plugin) {
+    var self = this;
+    plugin.watcher = fs.watch(plugin.path, {recursive: plugin.path !== plugin.file}, function () {
+        clearTimeout(plugin.reloading);
+        plugin.reloading = setTimeout(function () {
+            if (self.plugins[plugin.name] !== plugin) {
+                return;
+            }
+            self.log.info({plugin: plugin.name}, "Files of plugin %s changed, reloading", plugin.name);
+            self.reload(plugin.name).catch(function () {
+                // reported by load
+            });
+        }, RELOAD_DELAY);
+    });
+    plugin.watcher.on('error', function (err) {
+        self.handleError(err, plugin.name);
+    });
+};
+
+/**
+ * Collect the plugins to load from the options of the host. A directory or config file that cannot
+ * be read is reported, and the plugins from the other options are loaded anyway.
+ * @param  {Object} options
+ * @return {Array}          Specifications of plugins, with a path, name and config
+ */
+var findPlugins = function (options) {
+    var specs = [];
+
+    if (options.directory) {
+        try {
+            fs.readdirSync(options.directory).sort().forEach(function (entry) {
+                var file = path.join(options.directory, entry);
+                if (entry.charAt(0) !== '.' && (path.extname(entry) === '.js' || fs.statSync(file).isDirectory())) {
+                    specs.push({path: file});
+                }
+            });
+        } catch (err) {
+            this.handleError(err, options.directory);
+        }
+    }
+
+    if (options.config) {
+        try {
+            var contents = JSON.parse(fs.readFileSync(options.config, 'utf8'));
+            (contents.plugins || []).forEach(function (spec) {
+                spec = typeof spec === 'string' ? {path: spec} : Object.assign({}, spec);
+                spec.path = path.resolve(path.dirname(options.config), spec.path);
+                specs.push(spec);
+            });
+        } catch (err) {
+            this.handleError(err, options.config);
+        }
+    }
+
+    return specs.concat(options.plugins || []);
+};
+
+/**
+ * The name of a plugin, based on its path
+ * @param  {String} file
+ * @return {String}
+ */
+var pluginName = function (file) {
+    return path.basename(file, '.js');
+};
+
+module.exports.Host = Host;
@@ -0,0 +1,508 @@
+var util = require('util');
+var errors = require('./errors');
+var middleware = require('./middleware');
+var Store = require('./store').Store;
+
+/**
+ * Default settings for the limiter
+ * @type {Object}
+ */
+var DEFAULTS = {
+    name: 'limits',
+    ignoreFor: 10 * 60 * 1000,
+    permission: 'ignore',
+    saveDelay: 5000
+};
+
+/**
+ * What a limit can be kept for: every user, every channel, every command or everyone at once
+ * @type {Array}
+ */
+var DIMENSIONS = ['user', 'channel', 'command', 'global'];
+
+/**
+ * What happens when a limit is exceeded
+ * @type {Array}
+ */
+var ACTIONS = ['drop', 'notice', 'ignore'];
+
+/**
+ * Default notice for users that exceed a limit, with the number of seconds to wait
+ * @type {String}
+ */
+var LIMIT_MESSAGE = "You're doing that too often, try again in %d seconds.";
+
+/**
+ * Milliseconds in the units of a duration, largest first
+ * @type {Object}
+ */
+var UNITS = {d: 86400000, h: 3600000, m: 60000, s: 1000};
+
+/**
+ * Keeps track of how often commands are used and which users are ignored, for every handler on a
+ * client. Both are stored as properties, so they survive restarts. Ignored users are stored right
+ * away, counted uses are stored together every saveDelay milliseconds, and only as long as they
+ * still count against a limit.
+ *
+ * A limit allows `limit` uses within `interval` milliseconds (or one use per `cooldown`
+ * milliseconds), counted separately `per` user, channel or command, or for everyone at once
+ * ('global'); a combination such as ['user', 'command'] is also possible. The `action` decides what
+ * happens to users that exceed it: 'drop' ignores the command, 'notice' also tells the user how long
+ * to wait (once, with `message` if given), and 'ignore' ignores all commands of the user for
+ * `ignoreFor` milliseconds.
+ *
+ * Available options are name (prefix of the stored properties), ignoreFor (the default for limits),
+ * permission (needed for the ignore command) and saveDelay.
+ *
+ * @param {DaZeus} client
+ * @param {Object} options (optional)
+ */
+var Limiter = function (client, options) {
+    this.client = client;
+    this.log = client.log.component('limits');
+    this.options = Object.assign({}, DEFAULTS, options || {});
+    this.store = new Store(client, this.options.name);
+
+    // uses within the interval of each limit, and the ignored users, by key
+    this.buckets = {};
+    this.ignores = {};
+
+    // keys of the buckets that changed since they were stored, and the timer to store them
+    this.unsaved = {};
+    this.saveTimer = null;
+
+    // whether loading the stored uses and ignored users finished, successfully or not
+    this.loaded = false;
+    this.ready = load.call(this);
+    this.ready.catch(function () {
+        // reported by load, and by everything waiting for the limiter to be ready
+    });
+};
+
+/**
+ * Count a use against a limit, and deal with users that exceed it. Uses are only counted once the
+ * stored uses are loaded.
+ * @param  {Object}  rule    The limit
+ * @param  {Object}  context Network, user, channel and command of the use
+ * @return {Promise}         Promise for whether the use is allowed
+ */
+Limiter.prototype.check = function (rule, context) {
+    var self = this;
+    rule = normalize(rule);
+    if (!this.loaded) {
+        var later = function () {
+            return self.check(rule, context);
+        };
+        return this.ready.then(later, later);
+    }
+
+    var key = bucketKey(rule, context), now = Date.now();
+    var bucket = this.buckets[key] || {interval: rule.interval, hits: [], notified: false, stored: false};
+    bucket.hits = bucket.hits.filter(function (time) {
+        return time > now - rule.interval;
+    });
+    this.buckets[key] = bucket;
+
+    if (bucket.hits.length < rule.limit) {
+        bucket.hits.push(now);
+        bucket.notified = false;
+        schedule.call(this, key);
+        return Promise.resolve(true);
+    }
+
+    var wait = bucket.hits[0] + rule.interval - now;
+    this.log.info(
+        {network: context.network, channel: context.channel, user: context.user, command: context.command, limit: rule.name},
+        "User %s exceeded the limit %s, %s",
+        context.user,
+        rule.name,
+        rule.action
+    );
+    return violated.call(this, rule, context, bucket, wait).then(function () {
+        return false;
+    });
+};
+
+/**
+ * Store the uses counted since the last time, without waiting for the saveDelay. Uses that no
+ * longer count against their limit are removed instead, and forgotten.
+ * @return {Promise} Promise that is resolved when everything is stored
+ */
+Limiter.prototype.flush = function () {
+    var now = Date.now(), keys = Object.keys(this.unsaved);
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.unsaved = {};
+
+    return Promise.all(keys.map(function (key) {
+        var bucket = this.buckets[key];
+        bucket.hits = bucket.hits.filter(function (time) {
+            return time > now - bucket.interval;
+        });
+        if (bucket.hits.length === 0) {
+            delete this.buckets[key];
+        }
+        return save.call(this, key, bucket);
+    }, this));
+};
+
+/**
+ * Ignore all commands of a user
+ * @param  {String}  network
+ * @param  {String}  user    Nickname of the user
+ * @param  {Object}  options Duration in milliseconds (forever if not given), reason and by (optional)
+ * @return {Promise}         Promise for the stored entry
+ */
+Limiter.prototype.ignore = function (network, user, options) {
+    options = options || {};
+    var entry = {
+        network: network,
+        user: user,
+        until: options.duration ? Date.now() + options.duration : null,
+        reason: options.reason || null,
+        by: options.by || null
+    };
+    var key = ignoreKey(network, user);
+    this.ignores[key] = entry;
+    this.log.info({network: network, user: user, until: entry.until}, "Ignoring %s", user);
+    return this.store.set('ignore.' + key, entry).then(function () {
+        return entry;
+    });
+};
+
+/**
+ * Stop ignoring a user
+ * @param  {String}  network
+ * @param  {String}  user    Nickname of the user
+ * @return {Promise}         Promise for whether the user was ignored
+ */
+Limiter.prototype.unignore = function (network, user) {
+    var key = ignoreKey(network, user);
+    var known = this.isIgnored(network, user);
+    delete this.ignores[key];
+    this.log.info({network: network, user: user}, "No longer ignoring %s", user);
+    return this.store['delete']('ignore.' + key).then(function () {
+        return known;
+    });
+};
+
+/**
+ * Check whether the commands of a user are ignored
+ * @param  {String}  network
+ * @param  {String}  user    Nickname of the user
+ * @return {Boolean}
+ */
+Limiter.prototype.isIgnored = function (network, user) {
+    var key = ignoreKey(network, user), entry = this.ignores[key];
+    if (typeof entry === 'undefined') {
+        return false;
+    }
+    if (entry.until !== null && entry.until <= Date.now()) {
+        expire.call(this, key);
+        return false;
+    }
+    return true;
+};
+
+/**
+ * List the ignored users
+ * @param  {String} network Only list users on this network (optional)
+ * @return {Array}          Entries with the network, user, until, reason and by
+ */
+Limiter.prototype.ignored = function (network) {
+    return Object.keys(this.ignores).map(function (key) {
+        return this.ignores[key];
+    }, this).filter(function (entry) {
+        return (typeof network === 'undefined' || entry.network === network) &&
+            this.isIgnored(entry.network, entry.user);
+    }, this);
+};
+
+/**
+ * Declare the ignore command on a router, to manage the ignore list from IRC:
+ *     }ignore add <nick> [duration]
+ *     }ignore remove <nick>
+ *     }ignore list
+ * Durations are given as, for example, 30m, 2h or 1d12h. Using the command requires the
+ * permission option of the limiter, unless another permission is given.
+ * @param  {CommandRouter} router
+ * @param  {Object}        options Name of the command and permission (optional)
+ * @return {Command}               The command
+ */
+Limiter.prototype.registerCommands = function (router, options) {
+    var self = this;
+    options = options || {};
+    var command = router.command(options.name || 'ignore', {
+        description: "Ignore the commands of a user",
+        middleware: [middleware.requirePermission(options.permission || this.options.permission)]
+    });
+
+    command.subcommand('add', {args: '<nick> [duration]', description: "Ignore a user"}, function (context) {
+        var duration = typeof context.args.duration === 'undefined' ? null : parseDuration(context.args.duration);
+        if (duration === 0) {
+            return context.reply(util.format("Invalid duration %s, use for example 30m, 2h or 1d.", context.args.duration), {highlight: true});
+        }
+        return self.ignore(context.network, context.args.nick, {duration: duration, by: context.user}).then(function () {
+            return context.reply(duration === null ?
+                util.format("Ignoring %s.", context.args.nick) :
+                util.format("Ignoring %s for %s.", context.args.nick, formatDuration(duration)), {highlight: true});
+        });
+    });
+
+    command.subcommand('remove', {args: '<nick>', aliases: ['del', 'rm'], description: "Stop ignoring a user"}, function (context) {
+        return self.unignore(context.network, context.args.nick).then(function (known) {
+            return context.reply(known ?
+                util.format("No longer ignoring %s.", context.args.nick) :
+                util.format("%s was not ignored.", context.args.nick), {highlight: true});
+        });
+    });
+
+    command.subcommand('list', {description: "Show the ignored users"}, function (context) {
+        var now = Date.now();
+        var entries = self.ignored(context.network).map(function (entry) {
+            return entry.until === null ? entry.user : util.format("%s (%s left)", entry.user, formatDuration(entry.until - now));
+        });
+        return context.reply(entries.length > 0 ? "Ignoring " + entries.join(', ') + "." : "Nobody is ignored.", {highlight: true});
+    });
+
+    return command;
+};
+
+/**
+ * Deal with a user exceeding a limit
+ * @param  {Object}  rule
+ * @param  {Object}  context
+ * @param  {Object}  bucket  The uses counted against the limit
+ * @param  {Integer} wait    Milliseconds until the user may try again
+ * @return {Promise}
+ */
+var violated = function (rule, context, bucket, wait) {
+    var client = this.client;
+    if (rule.action === 'ignore') {
+        var duration = typeof rule.ignoreFor === 'number' ? rule.ignoreFor : this.options.ignoreFor;
+        return this.ignore(context.network, context.user, {
+            duration: duration,
+            reason: util.format("Exceeded the limit %s", rule.name)
+        }).then(function () {
+            if (typeof rule.message === 'string') {
+                return client.notice(context.network, context.user, rule.message);
+            }
+        });
+    }
+
+    if (rule.action === 'notice' && !bucket.notified) {
+        bucket.notified = true;
+        var message = typeof rule.message === 'string' ? rule.message : LIMIT_MESSAGE;
+        return client.notice(context.network, context.user, util.format(message, Math.ceil(wait / 1000)));
+    }
+    return Promise.resolve();
+};
+
+/**
+ * Check a limit and fill in its defaults
+ * @param  {Object|Integer} rule The limit, or the number of milliseconds of a cooldown
+ * @param  {String}         name Name of the limit, if it has none (optional)
+ * @return {Object}
+ * @throws {UsageError}          If the limit is invalid
+ */
+var normalize = function (rule, name) {
+    if (typeof rule === 'number') {
+        rule = {cooldown: rule};
+    }
+    rule = Object.assign({per: 'user', action: 'drop'}, rule);
+    if (typeof rule.cooldown === 'number') {
+        rule.limit = 1;
+        rule.interval = rule.cooldown;
+    }
+    rule.per = Array.isArray(rule.per) ? rule.per : [rule.per];
+
+    if (!(rule.limit > 0) || !(rule.interval > 0)) {
+        throw new errors.UsageError("A limit needs a cooldown, or a limit and an interval");
+    }
+    rule.per.forEach(function (dimension) {
+        if (DIMENSIONS.indexOf(dimension) === -1) {
+            throw new errors.UsageError(util.format("Unknown limit per %s, expected one of %s", dimension, DIMENSIONS.join(', ')));
+        }
+    });
+    if (ACTIONS.indexOf(rule.action) === -1) {
+        throw new errors.UsageError(util.format("Unknown limit action %s, expected one of %s", rule.action, ACTIONS.join(', ')));
+    }
+
+    if (typeof rule.name === 'undefined') {
+        rule.name = name || util.format("%s/%d/%d", rule.per.join('+'), rule.limit, rule.interval);
+    }
+    return rule;
+};
+
+/**
+ * The key of the uses counted against a limit
+ * @param  {Object} rule
+ * @param  {Object} context
+ * @return {String}
+ */
+var bucketKey = function (rule, context) {
+    return [rule.name].concat(rule.per.map(function (dimension) {
+        switch (dimension) {
+        case 'user':
+            return context.network + ':' + String(context.user).toLowerCase();
+        case 'channel':
+            return context.network + ':' + String(context.channel).toLowerCase();
+        case 'command':
+            return context.command;
+        default:
+            return '*';
+        }
+    })).join('/');
+};
+
+/**
+ * The key of an ignored user
+ * @param  {String} network
+ * @param  {String} user
+ * @return {String}
+ */
+var ignoreKey = function (network, user) {
+    return network + '.' + String(user).toLowerCase();
+};
+
+/**
+ * Remember that the uses counted against a limit changed, and plan to store them
+ * @param  {String} key
+ */
+var schedule = function (key) {
+    var self = this;
+    this.unsaved[key] = true;
+    if (this.saveTimer === null) {
+        this.saveTimer = setTimeout(function () {
+            self.flush();
+        }, this.options.saveDelay);
+    }
+};
+
+/**
+ * Store the uses counted against a limit, or remove them when there are none
+ * @param  {String}  key
+ * @param  {Object}  bucket
+ * @return {Promise}        Promise that is resolved when they are stored, or storing them failed
+ */
+var save = function (key, bucket) {
+    var self = this;
+    if (bucket.hits.length === 0 && !bucket.stored) {
+        return Promise.resolve();
+    }
+
+    var stored = bucket.hits.length > 0;
+    var saved = stored ?
+        this.store.set('bucket.' + key, {interval: bucket.interval, hits: bucket.hits}) :
+        this.store['delete']('bucket.' + key);
+    return saved.then(function () {
+        bucket.stored = stored;
+    }, function (err) {
+        self.log.error({limit: key}, "Could not store the uses of %s: %s", key, err.message);
+    });
+};
+
+/**
+ * Forget an ignored user whose time is up
+ * @param  {String} key
+ */
+var expire = function (key) {
+    var self = this, entry = this.ignores[key];
+    delete this.ignores[key];
+    this.log.info({network: entry.network, user: entry.user}, "No longer ignoring %s, the time is up", entry.user);
+    this.store['delete']('ignore.' + key).catch(function (err) {
+        self.log.error({user: entry.user}, "Could not remove %s from the ignore list: %s", entry.user, err.message);
+    });
+};
+
+/**
+ * Load the stored uses and ignored users, and remove those that have expired
+ * @return {Promise}
+ */
+var load = function () {
+    var self = this, now = Date.now();
+    return Promise.all([this.store.entries('bucket.'), this.store.entries('ignore.')]).then(function (results) {
+        results[0].forEach(function (entry) {
+            var key = entry[0].substr('bucket.'.length), stored = entry[1];
+            if (stored === null || typeof stored !== 'object' || !Array.isArray(stored.hits)) {
+                return;
+            }
+            var hits = stored.hits.filter(function (time) {
+                return time > now - stored.interval;
+            });
+            if (hits.length === 0) {
+                self.store['delete'](entry[0]).catch(function (err) {
+                    self.log.error({limit: key}, "Could not remove the expired uses of %s: %s", key, err.message);
+                });
+            } else if (typeof self.buckets[key] === 'undefined') {
+                self.buckets[key] = {interval: stored.interval, hits: hits, notified: false, stored: true};
+            }
+        });
+
+        results[1].forEach(function (entry) {
+            var key = entry[0].substr('ignore.'.length), stored = entry[1];
+            if (stored === null || typeof stored !== 'object' || typeof stored.user === 'undefined') {
+                return;
+            }
+            if (stored.until !== null && stored.until <= now) {
+                self.store['delete'](entry[0]).catch(function (err) {
+                    self.log.error({user: stored.user}, "Could not remove %s from the ignore list: %s", stored.user, err.message);
+                });
+            } else if (typeof self.ignores[key] === 'undefined') {
+                self.ignores[key] = stored;
+            }
+        });
+        self.loaded = true;
+        self.log.debug(
+            {buckets: Object.keys(self.buckets).length, ignores: Object.keys(self.ignores).length},
+            "Loaded the stored limits and ignored users"
+        );
+    }, function (err) {
+        self.loaded = true;
+        self.log.error("Could not load the stored limits and ignored users: %s", err.message);
+        throw err;
+    });
+};
+
+/**
+ * Parse a duration such as 30m, 2h or 1d12h. A number without unit is in minutes.
+ * @param  {String}  text
+ * @return {Integer}      Milliseconds, or 0 if the duration is invalid
+ */
+var parseDuration = function (text) {
+    text = String(text).trim().toLowerCase();
+    if (/^\d+$/.test(text)) {
+        return parseInt(text, 10) * UNITS.m;
+    }
+    if (!/^(\d+[dhms])+$/.test(text)) {
+        return 0;
+    }
+
+    var total = 0, regex = /(\d+)([dhms])/g, match;
+    while ((match = regex.exec(text)) !== null) {
+        total += parseInt(match[1], 10) * UNITS[match[2]];
+    }
+    return total;
+};
+
+/**
+ * Describe a duration with its two largest units, such as 1h 30m
+ * @param  {Integer} milliseconds
+ * @return {String}
+ */
+var formatDuration = function (milliseconds) {
+    var rest = Math.max(1000, milliseconds), parts = [];
+    Object.keys(UNITS).forEach(function (unit) {
+        var amount = Math.floor(rest / UNITS[unit]);
+        if (amount > 0 && parts.length < 2) {
+            parts.push(amount + unit);
+            rest -= amount * UNITS[unit];
+        }
+    });
+    return parts.join(' ');
+};
+
+module.exports.Limiter = Limiter;
+module.exports.normalize = normalize;
+module.exports.parseDuration = parseDuration;
+module.exports.formatDuration = formatDuration;
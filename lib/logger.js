@@ -0,0 +1,279 @@
+var util = require('util');
+var strftime = require('prettydate').strftime;
+
+/**
+ * Severity of each level, messages below the level of a logger are dropped
+ * @type {Object}
+ */
+var LEVELS = {
+    trace: 10,
+    debug: 20,
+    info: 30,
+    warn: 40,
+    error: 50,
+    silent: Infinity
+};
+
+/**
+ * Fields that are redacted when redaction is enabled
+ * @type {Array}
+ */
+var REDACT_FIELDS = ['message', 'value', 'request', 'response', 'event'];
+
+/**
+ * Replacement for redacted values
+ * @type {String}
+ */
+var REDACTED = '[redacted]';
+
+/**
+ * Requests that carry a message body as their third parameter
+ * @type {Array}
+ */
+var MESSAGE_REQUESTS = ['message', 'notice', 'ctcp', 'ctcp_rep', 'action'];
+
+/**
+ * Events that carry a message body from their fourth parameter on
+ * @type {Object}
+ */
+var MESSAGE_EVENTS = {
+    PRIVMSG: 3, PRIVMSG_ME: 3, NOTICE: 3, ACTION: 3, ACTION_ME: 3, CTCP: 3, CTCP_REP: 3, CTCP_ME: 3,
+    TOPIC: 3, COMMAND: 4
+};
+
+/**
+ * Logs messages with a level and structured fields, such as the network, channel, request id or
+ * event type they are about. Loggers for parts of the client are created with child(), and share
+ * their settings and output with their parent.
+ *
+ * Available options are level (the minimum level to log, 'silent' logs nothing), components (levels
+ * for specific components, such as {protocol: 'trace'}), format ('text' or 'json'), stream (where to
+ * write to, standard error by default), redact (true to hide message bodies and property values, or
+ * an array of field names) and logger (a pino-style logger with a method for each level, or a
+ * function called with the level, message and fields, to log to instead of the stream).
+ *
+ * @param {Object} options
+ * @param {Object} fields  Fields added to every message (optional)
+ */
+var Logger = function (options, fields) {
+    options = options || {};
+    this.settings = options instanceof Settings ? options : new Settings(options);
+    this.fields = fields || {};
+    this.children = {};
+};
+
+/**
+ * Settings shared by a logger and its children
+ * @param {Object} options
+ */
+var Settings = function (options) {
+    this.level = level(options.level || 'info');
+    this.components = {};
+    Object.keys(options.components || {}).forEach(function (component) {
+        this.components[component] = level(options.components[component]);
+    }, this);
+    this.format = options.format || 'text';
+    this.stream = options.stream || process.stderr;
+    this.redact = options.redact === true ? REDACT_FIELDS : (options.redact || []);
+    this.target = options.logger || null;
+};
+
+/**
+ * Create a logger that adds some fields to every message
+ * @param  {Object} fields
+ * @return {Logger}
+ */
+Logger.prototype.child = function (fields) {
+    return new Logger(this.settings, Object.assign({}, this.fields, fields));
+};
+
+/**
+ * The logger for a component, such as 'protocol' or 'events'
+ * @param  {String} name
+ * @return {Logger}
+ */
+Logger.prototype.component = function (name) {
+    if (typeof this.children[name] === 'undefined') {
+        this.children[name] = this.child({component: name});
+    }
+    return this.children[name];
+};
+
+/**
+ * Change the minimum level to log, for everything or for a single component
+ * @param {String} name      Name of the level
+ * @param {String} component (optional)
+ */
+Logger.prototype.setLevel = function (name, component) {
+    if (typeof component === 'undefined') {
+        this.settings.level = level(name);
+    } else {
+        this.settings.components[component] = level(name);
+    }
+};
+
+/**
+ * Check whether messages of a level would be logged, to avoid preparing expensive messages
+ * @param  {String}  name Name of the level
+ * @return {Boolean}
+ */
+Logger.prototype.isEnabled = function (name) {
+    var threshold = this.settings.components[this.fields.component];
+    if (typeof threshold === 'undefined') {
+        threshold = this.settings.level;
+    }
+    return LEVELS[name] >= threshold;
+};
+
+/**
+ * Log a message. Like util.format, placeholders in the message are replaced by the arguments.
+ * @param {String} name    Name of the level
+ * @param {Object} fields  Fields describing what the message is about (optional)
+ * @param {String} message
+ */
+Logger.prototype.log = function (name, fields, message) {
+    if (!this.isEnabled(name)) {
+        return;
+    }
+
+    var args = Array.prototype.slice.call(arguments, 2);
+    if (typeof fields !== 'object' || fields === null) {
+        args.unshift(fields);
+        fields = {};
+    }
+    if (args.length > 1) {
+        message = util.format.apply(null, args);
+    } else {
+        message = String(args[0]);
+    }
+
+    write(this.settings, name, message, redact(this.settings.redact, Object.assign({}, this.fields, fields)));
+};
+
+Object.keys(LEVELS).forEach(function (name) {
+    if (name === 'silent') {
+        return;
+    }
+
+    /**
+     * Log a message at this level
+     * @param {Object} fields  Fields describing what the message is about (optional)
+     * @param {String} message
+     */
+    Logger.prototype[name] = function () {
+        this.log.apply(this, [name].concat(Array.prototype.slice.call(arguments)));
+    };
+});
+
+/**
+ * The severity of a level
+ * @param  {String}  name
+ * @return {Integer}
+ */
+var level = function (name) {
+    if (typeof LEVELS[name] === 'undefined') {
+        throw new Error(util.format("Unknown log level %s, expected one of %s", name, Object.keys(LEVELS).join(', ')));
+    }
+    return LEVELS[name];
+};
+
+/**
+ * Hide the fields that should not end up in the logs. For requests, responses and events only the
+ * message body or property value is hidden.
+ * @param  {Array}  names  Names of the fields to redact
+ * @param  {Object} fields
+ * @return {Object}
+ */
+var redact = function (names, fields) {
+    names.forEach(function (name) {
+        if (typeof fields[name] === 'undefined') {
+            return;
+        }
+        if (name === 'request' || name === 'response' || name === 'event') {
+            fields[name] = redactMessage(fields[name]);
+        } else {
+            fields[name] = REDACTED;
+        }
+    });
+    return fields;
+};
+
+/**
+ * Hide the message body or property value in a message to or from DaZeus
+ * @param  {Object} message
+ * @return {Object}
+ */
+var redactMessage = function (message) {
+    if (typeof message !== 'object' || message === null) {
+        return message;
+    }
+
+    var copy = Object.assign({}, message);
+    var params = Array.isArray(message.params) ? message.params.slice() : null;
+    if (params !== null && MESSAGE_REQUESTS.indexOf(message['do']) !== -1 && params.length > 2) {
+        params[2] = REDACTED;
+    } else if (params !== null && message['do'] === 'property' && params[0] === 'set') {
+        params[2] = REDACTED;
+    } else if (params !== null && typeof MESSAGE_EVENTS[message.event] !== 'undefined') {
+        for (var i = MESSAGE_EVENTS[message.event]; i < params.length; i += 1) {
+            params[i] = REDACTED;
+        }
+    }
+    if (params !== null) {
+        copy.params = params;
+    }
+    if (typeof copy.value !== 'undefined') {
+        copy.value = REDACTED;
+    }
+    return copy;
+};
+
+/**
+ * Write a message to the configured logger or stream
+ * @param  {Settings} settings
+ * @param  {String}   name     Name of the level
+ * @param  {String}   message
+ * @param  {Object}   fields
+ */
+var write = function (settings, name, message, fields) {
+    var target = settings.target;
+    if (typeof target === 'function') {
+        target(name, message, fields);
+    } else if (target !== null) {
+        var method = typeof target[name] === 'function' ? name : 'debug';
+        target[method](fields, message);
+    } else if (settings.format === 'json') {
+        settings.stream.write(JSON.stringify(Object.assign(
+            {time: new Date().toISOString(), level: name, msg: message},
+            fields
+        )) + "\n");
+    } else {
+        settings.stream.write(strftime(new Date(), "[%Y-%m-%dT%H:%M:%S] ") + text(name, message, fields) + "\n");
+    }
+};
+
+/**
+ * Format a message as a line of text
+ * @param  {String} name    Name of the level
+ * @param  {String} message
+ * @param  {Object} fields
+ * @return {String}
+ */
+var text = function (name, message, fields) {
+    var line = name.toUpperCase() + ' ';
+    if (typeof fields.component !== 'undefined') {
+        line += fields.component + ': ';
+    }
+    line += message;
+    Object.keys(fields).forEach(function (key) {
+        if (key !== 'component' && typeof fields[key] !== 'undefined') {
+            var value = fields[key];
+            line += ' ' + key + '=' + (typeof value === 'string' ? value : JSON.stringify(value));
+        }
+    });
+    return line;
+};
+
+module.exports.LEVELS = LEVELS;
+module.exports.Logger = Logger;
+module.exports.redactMessage = redactMessage;
@@ -0,0 +1,156 @@
+/**
+ * Regular expression for the name of a channel, as opposed to a nickname
+ * @type {RegExp}
+ */
+var CHANNEL_REGEX = /^[#&+!]/;
+
+/**
+ * Default reply when a user lacks a permission
+ * @type {String}
+ */
+var DENIED_MESSAGE = "You don't have permission to do that.";
+
+/**
+ * Combine middleware functions into a single function. Each function receives the context and a
+ * function to continue with the next one, which returns a promise.
+ * @param  {Array}    chain Middleware functions, in order
+ * @return {Function}       Function that runs the chain for a context and returns a promise
+ */
+var compose = function (chain) {
+    return function (context) {
+        var step = function (index) {
+            if (index >= chain.length) {
+                return Promise.resolve();
+            }
+
+            var called = false;
+            return new Promise(function (resolve) {
+                resolve(chain[index](context, function () {
+                    if (called) {
+                        return Promise.reject(new Error("next() was called more than once"));
+                    }
+                    called = true;
+                    return step(index + 1);
+                }));
+            });
+        };
+        return step(0);
+    };
+};
+
+/**
+ * Check whether a target is a channel, and not a user (for queries)
+ * @param  {String}  target
+ * @return {Boolean}
+ */
+var isChannel = function (target) {
+    return CHANNEL_REGEX.test(target);
+};
+
+/**
+ * Send a reply if a message was given, and stop handling the context
+ * @param  {Object}  context
+ * @param  {String}  message Message to reply with, or null for a silent refusal
+ * @return {Promise}
+ */
+var refuse = function (context, message) {
+    if (message === null || typeof message === 'undefined') {
+        return Promise.resolve();
+    }
+    return context.reply(message, {highlight: true});
+};
+
+/**
+ * Only continue if the user has a permission in DaZeus.
+ * The scope is [network, channel, user] unless a scope function is given.
+ * Available options are default, scope and deniedMessage (null for no reply). If no denied message
+ * is given, the deniedMessage option of the router is used.
+ * @param  {String}   permission Name of the permission
+ * @param  {Object}   options    (optional)
+ * @return {Function}            Middleware
+ */
+var requirePermission = function (permission, options) {
+    options = options || {};
+    return function (context, next) {
+        var client = context.router.client;
+        var scope = typeof options.scope === 'function' ?
+            options.scope(context) :
+            [context.network, context.channel, context.user];
+
+        return client.getPermission(permission, scope, !!options.default).then(function (result) {
+            if (result.has_permission) {
+                return next();
+            }
+
+            client.log.component('commands').info(
+                {network: context.network, channel: context.channel, user: context.user, permission: permission},
+                "User %s lacks permission %s",
+                context.user,
+                permission
+            );
+            var message = options.deniedMessage;
+            if (typeof message === 'undefined') {
+                message = typeof context.router.options.deniedMessage !== 'undefined' ?
+                    context.router.options.deniedMessage :
+                    DENIED_MESSAGE;
+            }
+            return refuse(context, message);
+        });
+    };
+};
+
+/**
+ * Only continue for messages in a channel
+ * @param  {String}   message Reply for use in a query (optional)
+ * @return {Function}         Middleware
+ */
+var channelOnly = function (message) {
+    return function (context, next) {
+        return isChannel(context.channel) ? next() : refuse(context, message);
+    };
+};
+
+/**
+ * Only continue for messages in a query (private conversation)
+ * @param  {String}   message Reply for use in a channel (optional)
+ * @return {Function}         Middleware
+ */
+var queryOnly = function (message) {
+    return function (context, next) {
+        return isChannel(context.channel) ? refuse(context, message) : next();
+    };
+};
+
+/**
+ * Only continue if the user stays within a limit on how often the command may be used. The limit is
+ * counted by the limiter of the client, so it is shared with every other handler on the client.
+ * See Limiter for the settings of a limit: limit and interval (or cooldown), per, action, message
+ * and ignoreFor.
+ * @param  {Object}   rule
+ * @return {Function}      Middleware
+ */
+var rateLimit = function (rule) {
+    return function (context, next) {
+        return context.router.client.limits().check(rule, context).then(function (allowed) {
+            return allowed ? next() : undefined;
+        });
+    };
+};
+
+/**
+ * Only continue if the user did not use the command in the last milliseconds
+ * @param  {Integer}  time    Milliseconds between uses
+ * @param  {Object}   options Other settings of the limit, such as per and action (optional)
+ * @return {Function}         Middleware
+ */
+var cooldown = function (time, options) {
+    return rateLimit(Object.assign({}, options, {cooldown: time}));
+};
+
+module.exports.compose = compose;
+module.exports.isChannel = isChannel;
+module.exports.requirePermission = requirePermission;
+module.exports.channelOnly = channelOnly;
+module.exports.queryOnly = queryOnly;
+module.exports.rateLimit = rateLimit;
+module.exports.cooldown = cooldown;
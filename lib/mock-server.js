@@ -0,0 +1,698 @@
+var net = require('net');
+var fs = require('fs');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var protocol = require('./protocol');
+
+/**
+ * Request verbs that send something to IRC, these are recorded as sent messages
+ * @type {Array}
+ */
+var MESSAGE_VERBS = ['message', 'notice', 'ctcp', 'ctcp_rep', 'action'];
+
+/**
+ * Version of the protocol the mock server speaks
+ * @type {Integer}
+ */
+var PROTOCOL_VERSION = 1;
+
+/**
+ * An in-process imitation of the DaZeus core, for testing plugins without DaZeus or IRC.
+ * Available options are networks, config, highlight and capabilities (the requests to announce in
+ * the handshake response as {get: [...], do: [...]}, or false to announce none, like old versions
+ * of DaZeus; requests that are not announced are still answered).
+ *
+ * Networks are given as an object mapping network names to their settings:
+ *     {freenode: {nick: 'DaZeus', channels: {'#dazeus': ['@Someone', 'Other']}}}
+ *
+ * @param {Object} options
+ */
+var MockServer = function (options) {
+    var self = this;
+    EventEmitter.call(this);
+    options = options || {};
+
+    this.networks = {};
+    this.users = {};
+    this.config = {core: {highlight: options.highlight || '}'}, plugin: {}};
+    this.properties = [];
+    this.permissions = [];
+    this.capabilities = typeof options.capabilities !== 'undefined' ? options.capabilities : {
+        get: Object.keys(getters),
+        'do': Object.keys(actions)
+    };
+
+    // everything received from and sent to clients, for assertions
+    this.requests = [];
+    this.messages = [];
+
+    this.clients = [];
+    this.server = net.createServer(function (socket) {
+        accept.call(self, socket);
+    });
+
+    Object.keys(options.networks || {}).forEach(function (network) {
+        var settings = options.networks[network];
+        this.addNetwork(network, settings.nick);
+        Object.keys(settings.channels || {}).forEach(function (channel) {
+            this.addChannel(network, channel, settings.channels[channel]);
+        }, this);
+    }, this);
+
+    Object.keys(options.config || {}).forEach(function (group) {
+        Object.keys(options.config[group]).forEach(function (key) {
+            this.setConfig(group, key, options.config[group][key]);
+        }, this);
+    }, this);
+};
+util.inherits(MockServer, EventEmitter);
+
+/**
+ * Start listening for clients
+ * @param  {String|Integer} where    Path of a unix socket, or a TCP port (0 picks a free port)
+ * @param  {Function}       callback Executed with the connection options for dazeus.connect (optional)
+ * @return {MockServer}
+ */
+MockServer.prototype.listen = function (where, callback) {
+    var self = this;
+    var done = function () {
+        if (typeof callback === 'function') {
+            callback.call(self, self.address());
+        }
+    };
+
+    if (typeof where === 'string') {
+        if (fs.existsSync(where)) {
+            fs.unlinkSync(where);
+        }
+        this.server.listen(where, done);
+    } else {
+        this.server.listen(where || 0, '127.0.0.1', done);
+    }
+    return this;
+};
+
+/**
+ * Retrieve the options to pass to dazeus.connect to connect to this server
+ * @return {Object} Either a path, or a host and port
+ */
+MockServer.prototype.address = function () {
+    var address = this.server.address();
+    if (typeof address === 'string') {
+        return {path: address};
+    }
+    return {host: address.address, port: address.port};
+};
+
+/**
+ * Stop listening and disconnect all clients
+ * @param  {Function} callback Executed when the server is closed (optional)
+ */
+MockServer.prototype.close = function (callback) {
+    this.clients.forEach(function (client) {
+        client.socket.destroy();
+    });
+    this.clients = [];
+    this.server.close(callback);
+};
+
+/**
+ * Disconnect all clients, but keep accepting new connections (for example to test reconnecting)
+ */
+MockServer.prototype.disconnect = function () {
+    this.clients.forEach(function (client) {
+        client.socket.end();
+    });
+};
+
+/**
+ * Add a network the bot is connected to
+ * @param {String} network Name of the network
+ * @param {String} nick    Nickname of the bot on this network (optional, default: DaZeus)
+ */
+MockServer.prototype.addNetwork = function (network, nick) {
+    this.networks[network] = {nick: nick || 'DaZeus', channels: {}};
+    this.users[network] = this.users[network] || {};
+};
+
+/**
+ * Add a channel the bot has joined
+ * @param {String} network Name of the network
+ * @param {String} channel Name of the channel
+ * @param {Array}  names   Names in the channel, with mode prefixes (optional)
+ */
+MockServer.prototype.addChannel = function (network, channel, names) {
+    if (typeof this.networks[network] === 'undefined') {
+        this.addNetwork(network);
+    }
+    this.networks[network].channels[channel] = {names: (names || []).slice(), topic: ''};
+};
+
+/**
+ * Store information about a user, to be returned for WHOIS requests
+ * @param {String} network Name of the network
+ * @param {String} nick    Nickname of the user
+ * @param {Object} info    Information such as identified, account, user, host, realname, idle,
+ *                         signon (a unix timestamp) and channels (with prefixes)
+ */
+MockServer.prototype.setUser = function (network, nick, info) {
+    this.users[network] = this.users[network] || {};
+    this.users[network][nick] = info;
+};
+
+/**
+ * Set a configuration value
+ * @param {String} group Either 'plugin' or 'core'
+ * @param {String} key
+ * @param {String} value
+ */
+MockServer.prototype.setConfig = function (group, key, value) {
+    this.config[group] = this.config[group] || {};
+    this.config[group][key] = value;
+};
+
+/**
+ * Retrieve a property from the in-memory store, with the same fallback to less specific scopes as DaZeus
+ * @param  {String} property Name of the property
+ * @param  {Array}  scope    Scope identifier (optional)
+ * @return {Object}          The value, or undefined
+ */
+MockServer.prototype.getProperty = function (property, scope) {
+    scope = (scope || []).slice();
+    for (;;) {
+        var entry = find(this.properties, property, scope);
+        if (entry !== null) {
+            return entry.value;
+        }
+        if (scope.length === 0) {
+            return undefined;
+        }
+        scope.pop();
+    }
+};
+
+/**
+ * Store a property in the in-memory store
+ * @param {String} property Name of the property
+ * @param {Object} value    Value to store
+ * @param {Array}  scope    Scope identifier (optional)
+ */
+MockServer.prototype.setProperty = function (property, value, scope) {
+    store(this.properties, property, value, scope || []);
+};
+
+/**
+ * Check a permission in the in-memory store
+ * @param  {String}  permission Name of the permission
+ * @param  {Array}   scope      Scope identifier (optional)
+ * @param  {Boolean} defaultval Value if the permission is not set (optional, default: false)
+ * @return {Boolean}
+ */
+MockServer.prototype.getPermission = function (permission, scope, defaultval) {
+    scope = (scope || []).slice();
+    for (;;) {
+        var entry = find(this.permissions, permission, scope);
+        if (entry !== null) {
+            return entry.value;
+        }
+        if (scope.length === 0) {
+            return !!defaultval;
+        }
+        scope.pop();
+    }
+};
+
+/**
+ * Grant or deny a permission in the in-memory store
+ * @param {String}  permission Name of the permission
+ * @param {Array}   scope      Scope identifier (optional)
+ * @param {Boolean} allow      Whether to allow or deny (optional, default: true)
+ */
+MockServer.prototype.setPermission = function (permission, scope, allow) {
+    store(this.permissions, permission, typeof allow === 'undefined' ? true : !!allow, scope || []);
+};
+
+/**
+ * Send an event to all clients that subscribed to it
+ * @param  {String} event  Type of event
+ * @param  {Array}  params Parameters of the event
+ */
+MockServer.prototype.event = function (event, params) {
+    this.clients.forEach(function (client) {
+        if (client.events.indexOf(event) !== -1) {
+            write(client, {event: event, params: params});
+        }
+    });
+};
+
+/**
+ * Let a user send a message. Like DaZeus, this also triggers a COMMAND event if the
+ * message starts with the highlight character, and PRIVMSG_ME for messages to the bot.
+ * @param {String} network Name of the network
+ * @param {String} sender  Nickname of the user sending the message
+ * @param {String} channel Channel (or nickname of the bot) the message is sent to
+ * @param {String} message The message
+ */
+MockServer.prototype.privmsg = function (network, sender, channel, message) {
+    this.event('PRIVMSG', [network, sender, channel, message]);
+    if (this.networks[network] && channel === this.networks[network].nick) {
+        this.event('PRIVMSG_ME', [network, sender, channel, message]);
+    }
+
+    var highlight = this.config.core.highlight;
+    if (highlight && message.indexOf(highlight) === 0) {
+        var line = message.substr(highlight.length);
+        var match = /^(\S+)\s*(.*)$/.exec(line);
+        if (match !== null) {
+            this.command(network, sender, channel, match[1], match[2]);
+        }
+    }
+};
+
+/**
+ * Let a user execute a command, clients that registered the command receive a COMMAND event
+ * @param {String} network Name of the network
+ * @param {String} sender  Nickname of the user executing the command
+ * @param {String} channel Channel the command was executed in
+ * @param {String} command Name of the command
+ * @param {String} args    Everything after the command (optional)
+ */
+MockServer.prototype.command = function (network, sender, channel, command, args) {
+    args = args || '';
+    var params = [network, sender, channel, command, args].concat(args.split(/\s+/).filter(function (arg) {
+        return arg.length > 0;
+    }));
+
+    this.clients.forEach(function (client) {
+        var registered = client.commands.some(function (registration) {
+            return registration.command === command &&
+                (typeof registration.network === 'undefined' || registration.network === network);
+        });
+        if (registered) {
+            write(client, {event: 'COMMAND', params: params});
+        }
+    });
+};
+
+/**
+ * Let a user join a channel
+ * @param {String} network Name of the network
+ * @param {String} nick    Nickname of the user
+ * @param {String} channel Name of the channel
+ */
+MockServer.prototype.join = function (network, nick, channel) {
+    var state = channelState.call(this, network, channel);
+    if (state !== null && state.names.indexOf(nick) === -1) {
+        state.names.push(nick);
+    }
+    this.event('JOIN', [network, nick, channel]);
+};
+
+/**
+ * Let a user leave a channel
+ * @param {String} network Name of the network
+ * @param {String} nick    Nickname of the user
+ * @param {String} channel Name of the channel
+ * @param {String} message Part message (optional)
+ */
+MockServer.prototype.part = function (network, nick, channel, message) {
+    var state = channelState.call(this, network, channel);
+    if (state !== null) {
+        state.names = state.names.filter(function (name) {
+            return name.replace(/^[~&@%+]/, '') !== nick;
+        });
+    }
+    this.event('PART', [network, nick, channel, message || '']);
+};
+
+/**
+ * Retrieve the requests received from clients, optionally only those with a given verb
+ * @param  {String} verb The value of 'do' or 'get' (optional)
+ * @return {Array}
+ */
+MockServer.prototype.received = function (verb) {
+    return this.requests.filter(function (request) {
+        return typeof verb === 'undefined' || request['do'] === verb || request.get === verb;
+    });
+};
+
+/**
+ * Retrieve the messages sent by clients through message, notice, ctcp, ctcp_rep and action
+ * @param  {String} network Only messages to this network (optional)
+ * @param  {String} target  Only messages to this channel or user (optional)
+ * @return {Array}          Objects containing the type, network, target and message
+ */
+MockServer.prototype.sent = function (network, target) {
+    return this.messages.filter(function (message) {
+        return (typeof network === 'undefined' || message.network === network) &&
+            (typeof target === 'undefined' || message.target === target);
+    });
+};
+
+/**
+ * Wait for the next request matching a verb or predicate
+ * @param  {String|Function} match   The value of 'do' or 'get', or a function given the request
+ * @param  {Integer}         timeout Milliseconds to wait before failing (optional, default: 2000)
+ * @return {Promise}                 Promise for the request
+ */
+MockServer.prototype.waitFor = function (match, timeout) {
+    var self = this;
+    var test = typeof match === 'function' ? match : function (request) {
+        return request['do'] === match || request.get === match;
+    };
+
+    return new Promise(function (resolve, reject) {
+        var timer = setTimeout(function () {
+            self.removeListener('request', listener);
+            reject(new Error(util.format("No matching request received within %d ms", timeout || 2000)));
+        }, timeout || 2000);
+        var listener = function (request) {
+            if (test(request)) {
+                clearTimeout(timer);
+                self.removeListener('request', listener);
+                resolve(request);
+            }
+        };
+        self.on('request', listener);
+    });
+};
+
+/**
+ * Forget all received requests and sent messages
+ */
+MockServer.prototype.reset = function () {
+    this.requests = [];
+    this.messages = [];
+};
+
+/**
+ * Start talking to a newly connected client
+ * @param  {net.Socket} socket
+ */
+var accept = function (socket) {
+    var self = this;
+    var client = {
+        socket: socket,
+        parser: new protocol.Parser(function (err) {
+            self.emit('protocolError', err, client);
+        }),
+        events: [],
+        commands: [],
+        plugin: null
+    };
+    this.clients.push(client);
+
+    socket.on('data', function (data) {
+        client.parser.dezeusify(data).forEach(function (request) {
+            handle.call(self, client, request);
+        });
+    });
+
+    socket.on('close', function () {
+        self.clients = self.clients.filter(function (other) {
+            return other !== client;
+        });
+    });
+
+    socket.on('error', function () {
+        // the client went away, nothing left to do
+    });
+
+    this.emit('connection', client);
+};
+
+/**
+ * Respond to a request from a client
+ * @param  {Object} client
+ * @param  {Object} request
+ */
+var handle = function (client, request) {
+    this.requests.push(request);
+    this.emit('request', request, client);
+
+    var response, handler, verb;
+    if (typeof request['do'] !== 'undefined') {
+        verb = request['do'];
+        handler = actions[verb];
+        response = {did: verb};
+    } else {
+        verb = request.get;
+        handler = getters[verb];
+        response = {got: verb};
+    }
+
+    if (typeof handler !== 'function') {
+        response.success = false;
+        response.error = util.format("Unknown request %s", verb);
+        write(client, response);
+        return;
+    }
+
+    var result = handler.call(this, client, request.params || [], request.scope);
+    if (result === null) {
+        // answered through an event instead of a response
+        return;
+    }
+
+    if (typeof result.error !== 'undefined') {
+        response.success = false;
+    } else {
+        response.success = true;
+    }
+    Object.keys(result).forEach(function (key) {
+        response[key] = result[key];
+    });
+    write(client, response);
+};
+
+/**
+ * Handlers for 'get' requests
+ * @type {Object}
+ */
+var getters = {
+    networks: function () {
+        return {networks: Object.keys(this.networks)};
+    },
+    channels: function (client, params) {
+        if (typeof this.networks[params[0]] === 'undefined') {
+            return {network: params[0], error: "Unknown network"};
+        }
+        return {network: params[0], channels: Object.keys(this.networks[params[0]].channels)};
+    },
+    nick: function (client, params) {
+        if (typeof this.networks[params[0]] === 'undefined') {
+            return {network: params[0], error: "Unknown network"};
+        }
+        return {network: params[0], nick: this.networks[params[0]].nick};
+    },
+    config: function (client, params) {
+        var group = this.config[params[0]] || {};
+        return {variable: params[1], value: group[params[1]]};
+    }
+};
+
+/**
+ * Handlers for 'do' requests
+ * @type {Object}
+ */
+var actions = {
+    handshake: function (client, params) {
+        client.plugin = {name: params[0], version: params[1], protocol: params[2], config: params[3]};
+        if (this.capabilities === false) {
+            return {};
+        }
+        return {protocol_version: PROTOCOL_VERSION, capabilities: this.capabilities};
+    },
+    subscribe: function (client, params) {
+        var added = 0;
+        params.forEach(function (event) {
+            if (client.events.indexOf(event) === -1) {
+                client.events.push(event);
+                added += 1;
+            }
+        });
+        return {added: added};
+    },
+    unsubscribe: function (client, params) {
+        var before = client.events.length;
+        client.events = client.events.filter(function (event) {
+            return params.indexOf(event) === -1;
+        });
+        return {removed: before - client.events.length};
+    },
+    command: function (client, params) {
+        client.commands.push({command: params[0], network: params[1]});
+        return {};
+    },
+    property: function (client, params, scope) {
+        switch (params[0]) {
+        case 'get':
+            return {variable: params[1], value: this.getProperty(params[1], scope)};
+        case 'set':
+            this.setProperty(params[1], params[2], scope);
+            return {};
+        case 'unset':
+            this.properties = this.properties.filter(function (entry) {
+                return entry.key !== params[1] || !sameScope(entry.scope, scope || []);
+            });
+            return {};
+        case 'keys':
+            return {keys: this.properties.filter(function (entry) {
+                return entry.key.indexOf(params[1]) === 0 && sameScope(entry.scope, scope || []);
+            }).map(function (entry) {
+                return entry.key;
+            })};
+        default:
+            return {error: util.format("Unknown property action %s", params[0])};
+        }
+    },
+    permission: function (client, params, scope) {
+        switch (params[0]) {
+        case 'get':
+            return {has_permission: this.getPermission(params[1], scope, params[2])};
+        case 'set':
+            this.setPermission(params[1], scope, params[2]);
+            return {};
+        case 'unset':
+            this.permissions = this.permissions.filter(function (entry) {
+                return entry.key !== params[1] || !sameScope(entry.scope, scope || []);
+            });
+            return {};
+        default:
+            return {error: util.format("Unknown permission action %s", params[0])};
+        }
+    },
+    join: function (client, params) {
+        if (typeof this.networks[params[0]] === 'undefined') {
+            return {error: "Unknown network"};
+        }
+        if (channelState.call(this, params[0], params[1]) === null) {
+            this.addChannel(params[0], params[1], [this.networks[params[0]].nick]);
+        }
+        return {};
+    },
+    part: function (client, params) {
+        if (channelState.call(this, params[0], params[1]) === null) {
+            return {error: "Not in that channel"};
+        }
+        delete this.networks[params[0]].channels[params[1]];
+        return {};
+    },
+    names: function (client, params) {
+        var state = channelState.call(this, params[0], params[1]);
+        var names = state === null ? [] : state.names;
+        this.event('NAMES', [params[0], 'mock.server', params[1]].concat(names));
+        return null;
+    },
+    whois: function (client, params) {
+        var self = this;
+        var users = this.users[params[0]] || {};
+        var nick = Object.keys(users).filter(function (name) {
+            return name.toLowerCase() === String(params[1]).toLowerCase();
+        })[0];
+        var info = users[nick];
+        var numeric = function (code, args) {
+            var receiver = typeof self.networks[params[0]] === 'undefined' ? 'DaZeus' : self.networks[params[0]].nick;
+            self.event('NUMERIC', [params[0], 'mock.server', receiver, code, nick].concat(args));
+        };
+
+        if (typeof info !== 'undefined') {
+            numeric('311', [info.user || nick.toLowerCase(), info.host || 'mock.host', '*', info.realname || nick]);
+            numeric('312', ['mock.server', "DaZeus mock server"]);
+            if (typeof info.idle !== 'undefined') {
+                numeric('317', [String(info.idle), String(info.signon || 0), "seconds idle, signon time"]);
+            }
+            if (info.channels && info.channels.length > 0) {
+                numeric('319', [info.channels.join(' ')]);
+            }
+            if (info.account) {
+                numeric('330', [info.account, "is logged in as"]);
+            }
+        }
+        this.event('WHOIS', [params[0], 'mock.server', params[1], info && info.identified ? 'true' : 'false']);
+        return null;
+    }
+};
+
+MESSAGE_VERBS.forEach(function (verb) {
+    actions[verb] = function (client, params) {
+        if (typeof this.networks[params[0]] === 'undefined') {
+            return {error: "Unknown network"};
+        }
+        var message = {type: verb, network: params[0], target: params[1], message: params[2]};
+        this.messages.push(message);
+        this.emit('message', message, client);
+        return {};
+    };
+});
+
+/**
+ * Retrieve the state of a channel
+ * @param  {String} network
+ * @param  {String} channel
+ * @return {Object} The channel state, or null if the bot is not in the channel
+ */
+var channelState = function (network, channel) {
+    if (typeof this.networks[network] === 'undefined' ||
+            typeof this.networks[network].channels[channel] === 'undefined') {
+        return null;
+    }
+    return this.networks[network].channels[channel];
+};
+
+/**
+ * Send a message to a client
+ * @param  {Object} client
+ * @param  {Object} message
+ */
+var write = function (client, message) {
+    if (!client.socket.destroyed) {
+        client.socket.write(protocol.encode(message));
+    }
+};
+
+/**
+ * Check whether two scopes are the same
+ * @param  {Array} a
+ * @param  {Array} b
+ * @return {Boolean}
+ */
+var sameScope = function (a, b) {
+    return a.length === b.length && a.every(function (part, i) {
+        return part === b[i];
+    });
+};
+
+/**
+ * Find an entry with exactly the given key and scope
+ * @param  {Array}  entries
+ * @param  {String} key
+ * @param  {Array}  scope
+ * @return {Object} The entry, or null
+ */
+var find = function (entries, key, scope) {
+    for (var i = 0; i < entries.length; i += 1) {
+        if (entries[i].key === key && sameScope(entries[i].scope, scope)) {
+            return entries[i];
+        }
+    }
+    return null;
+};
+
+/**
+ * Store a value for a key and scope, replacing any previous value
+ * @param  {Array}  entries
+ * @param  {String} key
+ * @param  {Object} value
+ * @param  {Array}  scope
+ */
+var store = function (entries, key, value, scope) {
+    var entry = find(entries, key, scope);
+    if (entry === null) {
+        entries.push({key: key, scope: scope.slice(), value: value});
+    } else {
+        entry.value = value;
+    }
+};
+
+module.exports.MockServer = MockServer;
@@ -0,0 +1,261 @@
+var util = require('util');
+var errors = require('./errors');
+var events = require('./events');
+var format = require('./format');
+
+/**
+ * Default settings for prompts, the timeout is in milliseconds
+ * @type {Object}
+ */
+var DEFAULTS = {
+    timeout: 60000,
+    retries: 2,
+    cancelOnCommand: true
+};
+
+/**
+ * Keeps track of the questions the bot is waiting for an answer to. There is at most one pending
+ * prompt for each user in each channel or query, so conversations with different users (or with the
+ * same user in different channels) don't interfere.
+ * @param {DaZeus} client
+ */
+var Prompts = function (client) {
+    this.client = client;
+    this.log = client.log.component('prompts');
+    this.pending = {};
+    this.listener = null;
+};
+
+/**
+ * Wait for the next message of a user in a channel or query.
+ *
+ * Available options are question (asked before waiting), choices (answers that are accepted, in any
+ * case), validate (a function returning true for valid answers, or an error message), retries
+ * (how often an invalid answer may be corrected), timeout (in milliseconds, 0 to wait forever),
+ * timeoutMessage (sent when no answer arrived in time) and cancelOnCommand (whether a new
+ * command of the user cancels the prompt).
+ *
+ * @param  {String}  network
+ * @param  {String}  channel Channel, or the nickname of the bot for queries
+ * @param  {String}  user
+ * @param  {Object}  options (optional)
+ * @return {Promise}         Promise for the answer, which is rejected with a TimeoutError,
+ *                           CancelledError or ValidationError if no valid answer was given, or
+ *                           with the error thrown by validate
+ */
+Prompts.prototype.ask = function (network, channel, user, options) {
+    var self = this, client = this.client;
+    var id = key(network, channel, user);
+    var entry = {
+        client: client,
+        network: network,
+        channel: channel,
+        user: user,
+        options: Object.assign({}, DEFAULTS, options || {}),
+        attempts: 0,
+        highlight: null,
+        timer: null
+    };
+
+    this.cancel(network, channel, user, "Replaced by a new prompt");
+
+    var promise = new Promise(function (resolve, reject) {
+        entry.finish = function (err, answer) {
+            clearTimeout(entry.timer);
+            if (self.pending[id] === entry) {
+                delete self.pending[id];
+                listen.call(self);
+            }
+            if (err) {
+                reject(err);
+            } else {
+                resolve(answer);
+            }
+        };
+    });
+    promise.catch(function () {
+        // handled by the plugin, a prompt that is never awaited should not crash anything
+    });
+
+    this.pending[id] = entry;
+    listen.call(this);
+
+    if (entry.options.cancelOnCommand) {
+        client.highlightCharacter().then(function (chr) {
+            entry.highlight = chr || null;
+        }, function () {});
+    }
+
+    if (entry.options.timeout > 0) {
+        entry.timer = setTimeout(function () {
+            if (entry.options.timeoutMessage) {
+                say(entry, entry.options.timeoutMessage);
+            }
+            entry.finish(new errors.TimeoutError(
+                null,
+                entry.options.timeout,
+                util.format("%s did not answer within %d ms", user, entry.options.timeout)
+            ));
+        }, entry.options.timeout);
+    }
+
+    if (entry.options.question) {
+        say(entry, entry.options.question);
+    }
+    return promise;
+};
+
+/**
+ * Stop waiting for the answer of a user
+ * @param  {String}  network
+ * @param  {String}  channel
+ * @param  {String}  user
+ * @param  {String}  reason  (optional)
+ * @return {Boolean}         Whether a prompt was pending
+ */
+Prompts.prototype.cancel = function (network, channel, user, reason) {
+    var entry = this.pending[key(network, channel, user)];
+    if (typeof entry === 'undefined') {
+        return false;
+    }
+    entry.finish(new errors.CancelledError(reason || "The prompt was cancelled"));
+    return true;
+};
+
+/**
+ * Stop waiting for all answers
+ * @param  {String} reason (optional)
+ */
+Prompts.prototype.cancelAll = function (reason) {
+    Object.keys(this.pending).forEach(function (id) {
+        this.pending[id].finish(new errors.CancelledError(reason || "The prompt was cancelled"));
+    }, this);
+};
+
+/**
+ * Check whether the bot is waiting for an answer of a user
+ * @param  {String}  network
+ * @param  {String}  channel
+ * @param  {String}  user
+ * @return {Boolean}
+ */
+Prompts.prototype.isWaiting = function (network, channel, user) {
+    return typeof this.pending[key(network, channel, user)] !== 'undefined';
+};
+
+/**
+ * Listen for messages while prompts are pending, and stop listening when none are left
+ */
+var listen = function () {
+    var waiting = Object.keys(this.pending).length > 0;
+    if (waiting && this.listener === null) {
+        this.listener = function () {
+            receive.apply(this, events.params(arguments));
+        }.bind(this);
+        this.client.on('PRIVMSG', this.listener);
+    } else if (!waiting && this.listener !== null) {
+        this.client.removeListener('PRIVMSG', this.listener);
+        this.listener = null;
+    }
+};
+
+/**
+ * Handle a message, which may answer a prompt
+ * @param  {String} network
+ * @param  {String} sender
+ * @param  {String} channel
+ * @param  {String} message
+ */
+var receive = function (network, sender, channel, message) {
+    var entry = this.pending[key(network, channel, sender)];
+    if (typeof entry === 'undefined') {
+        return;
+    }
+
+    if (entry.options.cancelOnCommand && entry.highlight !== null && message.indexOf(entry.highlight) === 0) {
+        entry.finish(new errors.CancelledError(util.format("%s started a new command", sender)));
+        return;
+    }
+
+    var result;
+    try {
+        result = check(entry.options, message);
+    } catch (err) {
+        // a validate function that throws fails the prompt, instead of the PRIVMSG listener
+        entry.finish(err);
+        return;
+    }
+    if (result.valid) {
+        entry.finish(null, result.answer);
+        return;
+    }
+
+    entry.attempts += 1;
+    if (entry.attempts > entry.options.retries) {
+        say(entry, result.message + " Never mind.");
+        entry.finish(new errors.ValidationError(
+            util.format("No valid answer from %s after %d attempts", sender, entry.attempts),
+            null,
+            message
+        ));
+        return;
+    }
+    say(entry, result.message);
+};
+
+/**
+ * Check an answer against the choices and validate function of a prompt
+ * @param  {Object} options
+ * @param  {String} message
+ * @return {Object}         Whether the answer is valid, the answer and an error message
+ */
+var check = function (options, message) {
+    var answer = format.strip(message).trim();
+
+    if (Array.isArray(options.choices)) {
+        var choice = options.choices.filter(function (choice) {
+            return String(choice).toLowerCase() === answer.toLowerCase();
+        })[0];
+        if (typeof choice === 'undefined') {
+            return {valid: false, message: util.format("Please answer %s.", options.choices.join(' or '))};
+        }
+        answer = choice;
+    }
+
+    if (typeof options.validate === 'function') {
+        var result = options.validate(answer);
+        if (result !== true) {
+            return {valid: false, message: typeof result === 'string' ? result : "That's not a valid answer."};
+        }
+    }
+    return {valid: true, answer: answer};
+};
+
+/**
+ * Say something to the user of a prompt
+ * @param  {Object} entry
+ * @param  {String} message
+ */
+var say = function (entry, message) {
+    entry.client.reply(entry.network, entry.channel, entry.user, message, {highlight: true}).catch(function (err) {
+        entry.client.log.component('prompts').warn(
+            {network: entry.network, channel: entry.channel, user: entry.user},
+            "Could not send a prompt to %s: %s",
+            entry.user,
+            err.message
+        );
+    });
+};
+
+/**
+ * The key of the prompt of a user, nicknames and channels are case-insensitive
+ * @param  {String} network
+ * @param  {String} channel
+ * @param  {String} user
+ * @return {String}
+ */
+var key = function (network, channel, user) {
+    return [network, channel, user].join(' ').toLowerCase();
+};
+
+module.exports.Prompts = Prompts;
@@ -0,0 +1,211 @@
+var util = require('util');
+var Transform = require('stream').Transform;
+var errors = require('./errors');
+
+/**
+ * Default maximum size of a single message in bytes, larger messages are skipped
+ * @type {Integer}
+ */
+var MAX_FRAME_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Transform an object to a string suitable for sending to DaZeus
+ * @param  {Object} message
+ * @return {String}
+ */
+var dazeusify = function (message) {
+    var str = JSON.stringify(message);
+
+    return Buffer.byteLength(str, 'utf8') + str + "\r\n";
+};
+
+/**
+ * Transform an object to the bytes to send to DaZeus
+ * @param  {Object} message
+ * @return {Buffer}
+ */
+var encode = function (message) {
+    var json = Buffer.from(JSON.stringify(message), 'utf8');
+    var length = String(json.length);
+    var frame = Buffer.allocUnsafe(length.length + json.length + 2);
+
+    frame.write(length, 0, 'latin1');
+    json.copy(frame, length.length);
+    frame.write("\r\n", length.length + json.length, 'latin1');
+    return frame;
+};
+
+/**
+ * Collects data received from DaZeus (or sent to it) and splits it into messages.
+ *
+ * Data is handled byte by byte as it arrives, so characters that are split over several chunks
+ * are decoded correctly, and every byte is looked at only once. The bytes of a message are only
+ * copied when the message is spread over several chunks.
+ *
+ * @param {Function} onError Function to be executed with a ProtocolError for invalid data (optional)
+ * @param {Object}   options Available options are maxFrameSize (optional)
+ */
+var Parser = function (onError, options) {
+    options = options || {};
+    this.onError = onError;
+    this.maxFrameSize = options.maxFrameSize || MAX_FRAME_SIZE;
+
+    // length of the message being read, null while reading the length itself
+    this.expected = null;
+    this.length = 0;
+    this.digits = 0;
+
+    // parts of the message being read, and their total size
+    this.chunks = [];
+    this.buffered = 0;
+
+    // whether the message being read is too large and is skipped
+    this.skipping = false;
+};
+
+/**
+ * Add data retrieved from DaZeus and transform any complete messages to their
+ * javascript-object-equivalents.
+ * @param  {Buffer|String} data
+ * @return {Array}              Array of parsed messages
+ */
+Parser.prototype.dezeusify = function (data) {
+    var objs = [], pos = 0, chr, needed;
+
+    if (typeof data === 'string') {
+        data = Buffer.from(data, 'utf8');
+    }
+
+    while (pos < data.length) {
+        if (this.expected === null) {
+            chr = data[pos];
+            if (chr > 47 && chr < 58) {
+                this.length = this.length * 10 + (chr - 48);
+                this.digits += 1;
+                pos += 1;
+            } else if (chr === 10 || chr === 13) {
+                pos += 1;
+            } else if (this.digits === 0) {
+                this.error(new errors.ProtocolError(
+                    util.format("Expected a message length, received byte %d", chr)
+                ));
+                pos += 1;
+            } else {
+                // the message starts at this byte
+                start.call(this);
+            }
+            continue;
+        }
+
+        needed = this.expected - this.buffered;
+        if (data.length - pos < needed) {
+            if (!this.skipping) {
+                this.chunks.push(data.slice(pos));
+            }
+            this.buffered += data.length - pos;
+            break;
+        }
+
+        if (!this.skipping) {
+            this.chunks.push(data.slice(pos, pos + needed));
+            parse.call(this, objs);
+        }
+        pos += needed;
+        this.reset();
+    }
+    return objs;
+};
+
+/**
+ * Forget the message being read
+ */
+Parser.prototype.reset = function () {
+    this.expected = null;
+    this.length = 0;
+    this.digits = 0;
+    this.chunks = [];
+    this.buffered = 0;
+    this.skipping = false;
+};
+
+/**
+ * Report invalid data
+ * @param  {ProtocolError} err
+ */
+Parser.prototype.error = function (err) {
+    if (typeof this.onError === 'function') {
+        this.onError(err);
+    }
+};
+
+/**
+ * Start reading a message now its length is known
+ */
+var start = function () {
+    this.expected = this.length;
+    if (this.expected > this.maxFrameSize) {
+        this.skipping = true;
+        this.error(new errors.ProtocolError(util.format(
+            "Message of %d bytes exceeds the maximum of %d bytes",
+            this.expected,
+            this.maxFrameSize
+        )));
+    }
+};
+
+/**
+ * Parse the collected bytes of a complete message
+ * @param  {Array} objs Array to add the parsed message to
+ */
+var parse = function (objs) {
+    var bytes = this.chunks.length === 1 ? this.chunks[0] : Buffer.concat(this.chunks, this.expected);
+    var json = bytes.toString('utf8');
+    try {
+        objs.push(JSON.parse(json));
+    } catch (e) {
+        this.error(new errors.ProtocolError(
+            util.format("Received invalid JSON: %s", e.message),
+            json
+        ));
+    }
+};
+
+/**
+ * Stream that turns bytes received from DaZeus into messages. Invalid data does not end the
+ * stream, but is emitted as a `protocolError` event.
+ * @param {Object} options Available options are maxFrameSize (optional)
+ */
+var Decoder = function (options) {
+    var self = this;
+    Transform.call(this, {readableObjectMode: true});
+    this.parser = new Parser(function (err) {
+        self.emit('protocolError', err);
+    }, options);
+};
+util.inherits(Decoder, Transform);
+
+Decoder.prototype._transform = function (chunk, encoding, callback) {
+    this.parser.dezeusify(chunk).forEach(function (message) {
+        this.push(message);
+    }, this);
+    callback();
+};
+
+/**
+ * Stream that turns messages into bytes to send to DaZeus
+ */
+var Encoder = function () {
+    Transform.call(this, {writableObjectMode: true});
+};
+util.inherits(Encoder, Transform);
+
+Encoder.prototype._transform = function (message, encoding, callback) {
+    callback(null, encode(message));
+};
+
+module.exports.MAX_FRAME_SIZE = MAX_FRAME_SIZE;
+module.exports.dazeusify = dazeusify;
+module.exports.encode = encode;
+module.exports.Parser = Parser;
+module.exports.Decoder = Decoder;
+module.exports.Encoder = Encoder;
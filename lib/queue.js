@@ -0,0 +1,335 @@
+var util = require('util');
+var errors = require('./errors');
+
+/**
+ * Default settings for the send queue
+ * @type {Object}
+ */
+var DEFAULTS = {
+    rate: 1,
+    burst: 4,
+    maxLength: 400,
+    maxDepth: 100,
+    dropPolicy: 'oldest'
+};
+
+/**
+ * Request verbs whose messages may be split into multiple lines
+ * @type {Array}
+ */
+var SPLITTABLE = ['message', 'notice', 'action'];
+
+/**
+ * Queue for outgoing messages, which limits how fast messages are sent to each network and splits
+ * messages that are too long for a single IRC line.
+ *
+ * Every network has a token bucket that holds up to `burst` tokens and is refilled with `rate`
+ * tokens per second; sending a line costs one token. Every target (channel or user) has its own
+ * queue, and targets take turns. High priority lines (replies) are sent before low priority lines.
+ * A target queue holds at most `maxDepth` lines, when it is full the `dropPolicy` decides whether
+ * the oldest low priority line or the new line is dropped ('oldest' or 'newest').
+ *
+ * @param {DaZeus} client
+ * @param {Object} options rate, burst, maxLength, maxDepth and dropPolicy (optional)
+ */
+var SendQueue = function (client, options) {
+    this.client = client;
+    this.log = client.log.component('queue');
+    this.options = Object.assign({}, DEFAULTS, options || {});
+    this.networks = {};
+    this.dropped = 0;
+};
+
+/**
+ * Queue a message for sending
+ * @param  {String}  verb     Request verb: message, notice, action, ctcp or ctcp_rep
+ * @param  {String}  network  Name of the network
+ * @param  {String}  target   Channel or user to send to
+ * @param  {String}  message  The message, which may be split into multiple lines
+ * @param  {String}  priority Either 'high' or 'low' (optional, default: low)
+ * @return {Promise}          Promise for the response to the last line
+ */
+SendQueue.prototype.push = function (verb, network, target, message, priority) {
+    var self = this;
+    var lines = SPLITTABLE.indexOf(verb) !== -1 ? split(message, this.options.maxLength) : [message];
+    var queue = targetQueue.call(this, network, target);
+
+    return Promise.all(lines.map(function (line) {
+        return new Promise(function (resolve, reject) {
+            enqueue.call(self, queue, {
+                verb: verb,
+                network: network,
+                target: target,
+                message: line,
+                high: priority === 'high',
+                resolve: resolve,
+                reject: reject
+            });
+        });
+    })).then(function (responses) {
+        return responses[responses.length - 1];
+    });
+};
+
+/**
+ * Number of lines waiting to be sent
+ * @param  {String}  network Only count lines for this network (optional)
+ * @param  {String}  target  Only count lines for this target (optional)
+ * @return {Integer}
+ */
+SendQueue.prototype.depth = function (network, target) {
+    var total = 0;
+    Object.keys(this.networks).forEach(function (name) {
+        if (typeof network !== 'undefined' && name !== network) {
+            return;
+        }
+        this.networks[name].targets.forEach(function (queue) {
+            if (typeof target === 'undefined' || queue.target === target) {
+                total += queue.items.length;
+            }
+        });
+    }, this);
+    return total;
+};
+
+/**
+ * Describe the state of the queue, for monitoring
+ * @return {Object} Total depth, number of dropped lines, and the depth and tokens per network
+ */
+SendQueue.prototype.stats = function () {
+    var networks = {};
+    Object.keys(this.networks).forEach(function (name) {
+        var state = this.networks[name];
+        refill.call(this, state);
+        networks[name] = {tokens: state.tokens, targets: {}};
+        state.targets.forEach(function (queue) {
+            networks[name].targets[queue.target] = queue.items.length;
+        });
+    }, this);
+    return {depth: this.depth(), dropped: this.dropped, networks: networks};
+};
+
+/**
+ * Drop every line that has not been sent yet
+ * @param  {String} network Only lines for this network (optional)
+ */
+SendQueue.prototype.clear = function (network) {
+    var cleared = 0;
+    Object.keys(this.networks).forEach(function (name) {
+        if (typeof network !== 'undefined' && name !== network) {
+            return;
+        }
+        var state = this.networks[name];
+        clearTimeout(state.timer);
+        state.timer = null;
+        state.targets.forEach(function (queue) {
+            var items = queue.items;
+            queue.items = [];
+            cleared += items.length;
+            items.forEach(function (item) {
+                item.reject(new errors.CancelledError("The send queue was cleared"));
+            });
+        });
+    }, this);
+
+    if (cleared > 0) {
+        this.log.warn("Cleared the send queue, %d lines were not sent", cleared);
+    }
+};
+
+/**
+ * Get the queue of a target, creating it if needed
+ * @param  {String} network
+ * @param  {String} target
+ * @return {Object}
+ */
+var targetQueue = function (network, target) {
+    if (typeof this.networks[network] === 'undefined') {
+        this.networks[network] = {
+            tokens: this.options.burst,
+            refilled: Date.now(),
+            targets: [],
+            turns: 0,
+            timer: null
+        };
+    }
+
+    var state = this.networks[network];
+    for (var i = 0; i < state.targets.length; i += 1) {
+        if (state.targets[i].target === target) {
+            return state.targets[i];
+        }
+    }
+
+    var queue = {target: target, network: network, items: [], turn: 0};
+    state.targets.push(queue);
+    return queue;
+};
+
+/**
+ * Add a line to a target queue, dropping a line if the queue is full
+ * @param  {Object} queue
+ * @param  {Object} item
+ */
+var enqueue = function (queue, item) {
+    if (queue.items.length >= this.options.maxDepth) {
+        var victim = item, index = -1;
+        if (this.options.dropPolicy === 'oldest') {
+            for (var i = 0; i < queue.items.length && index === -1; i += 1) {
+                if (!queue.items[i].high || item.high) {
+                    index = i;
+                }
+            }
+        }
+
+        if (index !== -1) {
+            victim = queue.items.splice(index, 1)[0];
+        }
+        this.dropped += 1;
+        this.log.warn(
+            {network: queue.network, channel: queue.target},
+            "Send queue for %s is full, dropping a line",
+            queue.target
+        );
+        victim.reject(new errors.CancelledError(util.format(
+            "Dropped from the send queue for %s on %s, which holds at most %d lines",
+            queue.target,
+            queue.network,
+            this.options.maxDepth
+        )));
+        if (victim === item) {
+            return;
+        }
+    }
+
+    if (item.high) {
+        // after other high priority lines, but before all low priority lines
+        var position = 0;
+        while (position < queue.items.length && queue.items[position].high) {
+            position += 1;
+        }
+        queue.items.splice(position, 0, item);
+    } else {
+        queue.items.push(item);
+    }
+    drain.call(this, queue.network);
+};
+
+/**
+ * Add the tokens earned since the last refill
+ * @param  {Object} state State of a network
+ */
+var refill = function (state) {
+    var now = Date.now();
+    state.tokens = Math.min(this.options.burst, state.tokens + (now - state.refilled) / 1000 * this.options.rate);
+    state.refilled = now;
+};
+
+/**
+ * Send as many lines for a network as the token bucket allows, and plan to continue later
+ * @param  {String} network
+ */
+var drain = function (network) {
+    var self = this, state = this.networks[network], queue;
+    if (typeof state === 'undefined' || state.timer !== null) {
+        return;
+    }
+
+    refill.call(this, state);
+    while (state.tokens >= 1 && (queue = nextQueue(state)) !== null) {
+        state.tokens -= 1;
+        send.call(this, queue.items.shift());
+    }
+
+    if (this.depth(network) > 0) {
+        var wait = Math.ceil((1 - state.tokens) / this.options.rate * 1000);
+        state.timer = setTimeout(function () {
+            state.timer = null;
+            drain.call(self, network);
+        }, Math.max(wait, 1));
+    }
+};
+
+/**
+ * Pick the target queue that should send next: any queue with high priority lines first,
+ * otherwise targets take turns.
+ * @param  {Object} state State of a network
+ * @return {Object}       A target queue, or null if all are empty
+ */
+var nextQueue = function (state) {
+    var candidates = state.targets.filter(function (queue) {
+        return queue.items.length > 0;
+    });
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    var urgent = candidates.filter(function (queue) {
+        return queue.items[0].high;
+    });
+    // the target that has waited longest since its last turn goes first
+    var queue = (urgent.length > 0 ? urgent : candidates).reduce(function (best, queue) {
+        return queue.turn < best.turn ? queue : best;
+    });
+    state.turns += 1;
+    queue.turn = state.turns;
+    return queue;
+};
+
+/**
+ * Send a line to DaZeus
+ * @param  {Object} item
+ */
+var send = function (item) {
+    this.client.request({'do': item.verb, params: [item.network, item.target, item.message]}).then(
+        item.resolve,
+        item.reject
+    );
+};
+
+/**
+ * Split a message into lines of at most maxLength bytes. Newlines always start a new line, lines
+ * are split between words where possible, and never inside a UTF-8 character.
+ * @param  {String}  message
+ * @param  {Integer} maxLength Maximum number of bytes per line
+ * @return {Array}             The lines
+ */
+var split = function (message, maxLength) {
+    var lines = [];
+
+    String(message).split(/\r?\n/).forEach(function (text) {
+        var line = '';
+        text.split(' ').forEach(function (word) {
+            var candidate = line === '' ? word : line + ' ' + word;
+            if (Buffer.byteLength(candidate, 'utf8') <= maxLength) {
+                line = candidate;
+                return;
+            }
+
+            if (line !== '') {
+                lines.push(line);
+            }
+
+            // words that don't fit on a line of their own are cut between characters
+            line = '';
+            Array.from(word).forEach(function (chr) {
+                if (Buffer.byteLength(line + chr, 'utf8') > maxLength) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += chr;
+            });
+        });
+
+        if (line !== '' || text === '') {
+            lines.push(line);
+        }
+    });
+
+    return lines.filter(function (line) {
+        return line.length > 0;
+    });
+};
+
+module.exports.SendQueue = SendQueue;
+module.exports.split = split;
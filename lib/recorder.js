@@ -0,0 +1,320 @@
+var fs = require('fs');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var errors = require('./errors');
+var protocol = require('./protocol');
+var redactMessage = require('./logger').redactMessage;
+
+/**
+ * Version of the recording format, written in the first line of every recording
+ * @type {Integer}
+ */
+var FORMAT_VERSION = 1;
+
+/**
+ * Default number of milliseconds a replay waits for the client to send a recorded request
+ * @type {Integer}
+ */
+var DEFAULT_WAIT = 1000;
+
+/**
+ * Records every frame sent to and received from DaZeus as JSON lines. The first line describes
+ * the recording, every other line holds the time, the milliseconds since the recording started,
+ * the direction ('out' for frames sent by the client, 'in' for frames received) and the frame.
+ *
+ * Available options are path (file to append the recording to), stream (to write to instead of a
+ * file) and redact (true to hide message bodies and property values, like the logger does).
+ *
+ * @param {DaZeus} client
+ * @param {Object} options
+ */
+var Recorder = function (client, options) {
+    var self = this;
+    this.log = client.log.component('recorder');
+    this.redact = options.redact === true;
+    this.started = Date.now();
+    this.frames = 0;
+
+    if (options.stream) {
+        this.stream = options.stream;
+        this.owned = false;
+    } else if (options.path) {
+        this.stream = fs.createWriteStream(options.path, {flags: 'a'});
+        this.owned = true;
+        this.stream.on('error', function (err) {
+            self.log.error({path: options.path}, "Writing the recording failed: %s", err.message);
+        });
+    } else {
+        throw new errors.UsageError("A recording needs a path or a stream to write to");
+    }
+
+    this.log.info({path: options.path}, "Recording the traffic with DaZeus");
+    write.call(this, {recording: FORMAT_VERSION, started: new Date(this.started).toISOString(), redacted: this.redact});
+};
+
+/**
+ * Record a frame
+ * @param {String} direction Either 'out' or 'in'
+ * @param {Object} frame
+ */
+Recorder.prototype.record = function (direction, frame) {
+    var now = Date.now();
+    this.frames += 1;
+    write.call(this, {
+        time: new Date(now).toISOString(),
+        offset: now - this.started,
+        direction: direction,
+        frame: this.redact ? redactMessage(frame) : frame
+    });
+};
+
+/**
+ * Stop recording. Streams that were passed in are left open.
+ */
+Recorder.prototype.close = function () {
+    this.log.info({frames: this.frames}, "Stopped recording after %d frames", this.frames);
+    if (this.owned) {
+        this.stream.end();
+    }
+};
+
+/**
+ * Write a line of the recording
+ * @param  {Object} line
+ */
+var write = function (line) {
+    this.stream.write(JSON.stringify(line) + "\n");
+};
+
+/**
+ * Read a recording from a file
+ * @param  {String}  path
+ * @return {Promise}      Promise for the lines of the recording
+ */
+var read = function (path) {
+    return new Promise(function (resolve, reject) {
+        fs.readFile(path, 'utf8', function (err, contents) {
+            if (err) {
+                reject(err);
+                return;
+            }
+            try {
+                resolve(parse(contents));
+            } catch (e) {
+                reject(e);
+            }
+        });
+    });
+};
+
+/**
+ * Parse the text of a recording
+ * @param  {String} contents
+ * @return {Array}           The lines of the recording
+ * @throws {ProtocolError}   If a line is not valid JSON
+ */
+var parse = function (contents) {
+    return contents.split("\n").filter(function (line) {
+        return line.trim() !== '';
+    }).map(function (line, index) {
+        try {
+            return JSON.parse(line);
+        } catch (e) {
+            throw new errors.ProtocolError(util.format("Line %d of the recording is not valid JSON", index + 1), line);
+        }
+    });
+};
+
+/**
+ * Plays a recording back to a client, in place of the socket to DaZeus. Pass it as the socket
+ * option when connecting:
+ *     var replay = new Replay(lines);
+ *     var client = dazeus.connect({socket: replay}, plugin);
+ *
+ * Received frames are fed to the client in the recorded order. Before moving past a recorded
+ * outgoing frame, the replay waits for the client to send it (at most `wait` milliseconds) and
+ * compares them, so responses always follow the requests they belong to. Every difference is
+ * emitted as a 'mismatch' event and collected in the report.
+ *
+ * Available options are timing ('fast' to feed frames as fast as possible, or 'original' to keep
+ * the recorded delays between them) and wait.
+ *
+ * @param {Array}  lines   The lines of a recording, as returned by read() (or a string)
+ * @param {Object} options (optional)
+ */
+var Replay = function (lines, options) {
+    var self = this;
+    EventEmitter.call(this);
+    options = options || {};
+
+    if (typeof lines === 'string') {
+        lines = parse(lines);
+    }
+    var header = lines.length > 0 && typeof lines[0].recording !== 'undefined' ? lines[0] : {};
+    this.redacted = header.redacted === true;
+    this.entries = lines.filter(function (line) {
+        return line.direction === 'out' || line.direction === 'in';
+    });
+    this.timing = options.timing || 'fast';
+    if (this.timing !== 'fast' && this.timing !== 'original') {
+        throw new errors.UsageError(util.format("Unknown timing %s, expected fast or original", this.timing));
+    }
+    this.wait = typeof options.wait === 'number' ? options.wait : DEFAULT_WAIT;
+
+    // frames written by the client, and those that were not compared to the recording yet
+    this.sent = [];
+    this.outbox = [];
+    this.mismatches = [];
+    this.parser = new protocol.Parser(function (err) {
+        self.emit('error', err);
+    });
+    this.position = 0;
+    this.timer = null;
+    this.waiting = null;
+    this.ended = false;
+
+    this.done = new Promise(function (resolve) {
+        self.finish = resolve;
+    });
+
+    // start feeding the recording once a client reads from the replay
+    var start = function (evt) {
+        if (evt === 'data') {
+            self.removeListener('newListener', start);
+            setImmediate(function () {
+                step.call(self);
+            });
+        }
+    };
+    this.on('newListener', start);
+};
+util.inherits(Replay, EventEmitter);
+
+/**
+ * Receive data written by the client
+ * @param {Buffer} data
+ */
+Replay.prototype.write = function (data) {
+    this.parser.dezeusify(data).forEach(function (frame) {
+        this.sent.push(frame);
+        this.outbox.push(frame);
+    }, this);
+
+    if (this.waiting !== null) {
+        var waiting = this.waiting;
+        this.waiting = null;
+        clearTimeout(this.timer);
+        waiting();
+    }
+};
+
+/**
+ * Close the connection, as a socket would
+ */
+Replay.prototype.end = function () {
+    var self = this;
+    if (this.ended) {
+        return;
+    }
+    this.ended = true;
+    clearTimeout(this.timer);
+    this.waiting = null;
+    complete.call(this);
+    process.nextTick(function () {
+        self.emit('end');
+        self.emit('close');
+    });
+};
+
+/**
+ * Process the next entry of the recording
+ */
+var step = function () {
+    var self = this;
+    if (this.ended) {
+        return;
+    }
+    if (this.position >= this.entries.length) {
+        complete.call(this);
+        return;
+    }
+
+    var entry = this.entries[this.position];
+    var next = function () {
+        self.position += 1;
+        step.call(self);
+    };
+
+    if (entry.direction === 'out') {
+        if (this.outbox.length > 0) {
+            compare.call(this, entry, this.outbox.shift());
+            next();
+            return;
+        }
+        this.waiting = function () {
+            compare.call(self, entry, self.outbox.shift());
+            next();
+        };
+        this.timer = setTimeout(function () {
+            self.waiting = null;
+            compare.call(self, entry, null);
+            next();
+        }, this.wait);
+        return;
+    }
+
+    var delay = 0;
+    if (this.timing === 'original' && this.position > 0) {
+        delay = Math.max(0, entry.offset - this.entries[this.position - 1].offset);
+    }
+    this.timer = setTimeout(function () {
+        self.emit('data', protocol.encode(entry.frame));
+        next();
+    }, delay);
+};
+
+/**
+ * Compare a frame the client sent to the recorded frame
+ * @param  {Object} entry  The recorded entry
+ * @param  {Object} actual The frame the client sent, or null if it sent nothing in time
+ */
+var compare = function (entry, actual) {
+    var comparable = actual !== null && this.redacted ? redactMessage(actual) : actual;
+    if (JSON.stringify(comparable) !== JSON.stringify(entry.frame)) {
+        mismatch.call(this, {offset: entry.offset, expected: entry.frame, actual: actual});
+    }
+};
+
+/**
+ * Register a difference between the recording and the client
+ * @param  {Object} difference
+ */
+var mismatch = function (difference) {
+    this.mismatches.push(difference);
+    this.emit('mismatch', difference);
+};
+
+/**
+ * Finish the replay: frames the client sent that were not in the recording are mismatches too
+ */
+var complete = function () {
+    if (this.finish === null) {
+        return;
+    }
+    this.outbox.splice(0).forEach(function (frame) {
+        mismatch.call(this, {offset: null, expected: null, actual: frame});
+    }, this);
+    this.finish({
+        frames: this.position,
+        sent: this.sent.slice(),
+        mismatches: this.mismatches.slice()
+    });
+    this.finish = null;
+    this.emit('finish');
+};
+
+module.exports.FORMAT_VERSION = FORMAT_VERSION;
+module.exports.Recorder = Recorder;
+module.exports.Replay = Replay;
+module.exports.read = read;
+module.exports.parse = parse;
@@ -0,0 +1,529 @@
+var util = require('util');
+var Store = require('./store').Store;
+var errors = require('./errors');
+
+/**
+ * Longest delay setTimeout supports, longer waits are done in steps
+ * @type {Integer}
+ */
+var MAX_DELAY = 2147483647;
+
+/**
+ * Shorthands for common cron expressions
+ * @type {Object}
+ */
+var CRON_ALIASES = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+/**
+ * Ranges of the fields of a cron expression
+ * @type {Array}
+ */
+var CRON_FIELDS = [
+    {name: 'minute', min: 0, max: 59},
+    {name: 'hour', min: 0, max: 23},
+    {name: 'day', min: 1, max: 31},
+    {name: 'month', min: 1, max: 12},
+    {name: 'weekday', min: 0, max: 7}
+];
+
+/**
+ * Runs jobs at a given time, or repeatedly at an interval or cron schedule. Jobs are stored as
+ * properties, so they survive restarts of the plugin. Because functions can't be stored, every job
+ * has a type, and the function that runs jobs of a type is given to define.
+ *
+ * Available options are missed, which decides what happens to jobs that should have run while the
+ * plugin was not running: 'run' runs them once as soon as possible, 'skip' skips them (recurring
+ * jobs continue at their next time). Jobs can override this with their own missed option.
+ *
+ * @param {DaZeus} client
+ * @param {String} name    Name of the plugin, used as prefix for the stored jobs
+ * @param {Object} options (optional)
+ */
+var Scheduler = function (client, name, options) {
+    this.client = client;
+    this.log = client.log.component('scheduler');
+    this.name = name;
+    this.options = Object.assign({missed: 'run'}, options || {});
+    this.store = new Store(client, name + '.scheduler');
+    this.handlers = {};
+    this.jobs = {};
+    this.timer = null;
+    this.stopped = false;
+
+    this.ready = load.call(this);
+    this.ready.catch(function () {
+        // reported by load, and by everything waiting for the scheduler to be ready
+    });
+};
+
+/**
+ * Set the function that runs jobs of a type. The function receives a context with the job, its
+ * network, channel, user and data, and message and reply functions. It may return a promise.
+ * @param  {String}    type
+ * @param  {Function}  handler
+ * @return {Scheduler}
+ */
+Scheduler.prototype.define = function (type, handler) {
+    this.handlers[type] = handler;
+    arm.call(this);
+    return this;
+};
+
+/**
+ * Run a job once, at the given time
+ * @param  {Date|Integer} when    Date or timestamp in milliseconds
+ * @param  {String}       type
+ * @param  {Object}       options Network, channel, user, data, missed and id (optional)
+ * @return {Promise}              Promise for the job
+ */
+Scheduler.prototype.at = function (when, type, options) {
+    return this.schedule(Object.assign({}, options, {type: type, at: +when}));
+};
+
+/**
+ * Run a job repeatedly, with a fixed interval
+ * @param  {Integer} interval Milliseconds between runs
+ * @param  {String}  type
+ * @param  {Object}  options  Network, channel, user, data, missed, id and start, the time of
+ *                            the first run (optional)
+ * @return {Promise}          Promise for the job
+ */
+Scheduler.prototype.every = function (interval, type, options) {
+    return this.schedule(Object.assign({}, options, {type: type, every: interval}));
+};
+
+/**
+ * Run a job repeatedly, according to a cron expression ('minute hour day month weekday',
+ * in local time)
+ * @param  {String}  expression
+ * @param  {String}  type
+ * @param  {Object}  options    Network, channel, user, data, missed and id (optional)
+ * @return {Promise}            Promise for the job
+ */
+Scheduler.prototype.cron = function (expression, type, options) {
+    return this.schedule(Object.assign({}, options, {type: type, cron: expression}));
+};
+
+/**
+ * Add a job. A job with the same id as an existing job replaces it.
+ * @param  {Object}  spec Type, one of at, every or cron, and the options of at, every or cron
+ * @return {Promise}      Promise for the job
+ */
+Scheduler.prototype.schedule = function (spec) {
+    var self = this, job;
+    try {
+        job = createJob(spec);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return this.ready.then(function () {
+        self.jobs[job.id] = job;
+        arm.call(self);
+        return self.store.set('job.' + job.id, job);
+    }).then(function () {
+        self.log.debug(
+            {job: job.id, type: job.type, next: new Date(job.next).toISOString()},
+            "Scheduled %s job %s",
+            job.type,
+            job.id
+        );
+        return copy(job);
+    });
+};
+
+/**
+ * Remove a job
+ * @param  {String}  id
+ * @return {Promise}    Promise for whether the job existed
+ */
+Scheduler.prototype.cancel = function (id) {
+    var self = this;
+    return this.ready.then(function () {
+        if (typeof self.jobs[id] === 'undefined') {
+            return false;
+        }
+        delete self.jobs[id];
+        arm.call(self);
+        return self.store['delete']('job.' + id).then(function () {
+            return true;
+        });
+    });
+};
+
+/**
+ * Retrieve a job
+ * @param  {String} id
+ * @return {Object}    The job, or null if there is no such job
+ */
+Scheduler.prototype.get = function (id) {
+    return typeof this.jobs[id] === 'undefined' ? null : copy(this.jobs[id]);
+};
+
+/**
+ * Retrieve all jobs, the first to run first
+ * @param  {String} type Only jobs of this type (optional)
+ * @return {Array}
+ */
+Scheduler.prototype.list = function (type) {
+    return Object.keys(this.jobs).map(function (id) {
+        return copy(this.jobs[id]);
+    }, this).filter(function (job) {
+        return typeof type === 'undefined' || job.type === type;
+    }).sort(function (a, b) {
+        return a.next - b.next;
+    });
+};
+
+/**
+ * Stop running jobs. The jobs remain stored, and run when a new scheduler is created.
+ */
+Scheduler.prototype.stop = function () {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+};
+
+/**
+ * Called when running a job failed. Emits the error on the client, if anyone is listening.
+ * @param  {Error}  err
+ * @param  {Object} job
+ */
+Scheduler.prototype.handleError = function (err, job) {
+    this.log.error({job: job.id, type: job.type}, "Running %s job %s failed: %s", job.type, job.id, err.message);
+    if (this.client.listeners('error').length > 0) {
+        this.client.emit('error', err);
+    }
+};
+
+/**
+ * Parse a cron expression
+ * @param  {String}     expression Five fields (minute hour day month weekday) or an alias like @daily
+ * @return {Object}                Allowed values of each field
+ * @throws {UsageError}            If the expression is invalid
+ */
+var parseCron = function (expression) {
+    var fields = String(CRON_ALIASES[expression] || expression).trim().split(/\s+/);
+    if (fields.length !== CRON_FIELDS.length) {
+        throw new errors.UsageError(util.format("Invalid cron expression '%s': expected %d fields", expression, CRON_FIELDS.length));
+    }
+
+    var cron = {};
+    CRON_FIELDS.forEach(function (field, index) {
+        cron[field.name] = parseCronField(fields[index], field, expression);
+    });
+
+    // 7 is also Sunday
+    if (cron.weekday[7]) {
+        cron.weekday[0] = true;
+    }
+
+    // if both day and weekday are restricted, either of them has to match
+    cron.anyDay = fields[2] === '*';
+    cron.anyWeekday = fields[4] === '*';
+    return cron;
+};
+
+/**
+ * Parse a field of a cron expression, such as '*', '1,15', '9-17' or '*\/5'
+ * @param  {String} value
+ * @param  {Object} field      Name and range of the field
+ * @param  {String} expression The whole expression, for error messages
+ * @return {Object}            Maps allowed values to true
+ */
+var parseCronField = function (value, field, expression) {
+    var allowed = {};
+    value.split(',').forEach(function (part) {
+        var match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (match === null) {
+            throw new errors.UsageError(util.format("Invalid cron expression '%s': can't parse %s '%s'", expression, field.name, part));
+        }
+
+        var from = match[1] === '*' ? field.min : parseInt(match[2], 10);
+        var to = match[1] === '*' ? field.max : parseInt(match[3] || match[2], 10);
+        var step = match[4] ? parseInt(match[4], 10) : 1;
+        if (typeof match[4] !== 'undefined' && typeof match[3] === 'undefined' && match[1] !== '*') {
+            to = field.max;
+        }
+
+        if (from < field.min || to > field.max || from > to || step < 1) {
+            throw new errors.UsageError(util.format("Invalid cron expression '%s': %s '%s' is out of range", expression, field.name, part));
+        }
+        for (var i = from; i <= to; i += step) {
+            allowed[i] = true;
+        }
+    });
+    return allowed;
+};
+
+/**
+ * Find the next time a cron expression matches, after a given time
+ * @param  {String}  expression
+ * @param  {Integer} after      Timestamp in milliseconds
+ * @return {Integer}            Timestamp in milliseconds, or null if the expression never matches
+ */
+var nextCron = function (expression, after) {
+    var cron = parseCron(expression);
+    var date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    // looking ahead a few years covers every expression that matches at all, like February 29
+    var limit = new Date(date.getTime());
+    limit.setFullYear(limit.getFullYear() + 5);
+
+    while (date < limit) {
+        if (!cron.month[date.getMonth() + 1]) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!matchesDay(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cron.hour[date.getHours()]) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minute[date.getMinutes()]) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date.getTime();
+        }
+    }
+    return null;
+};
+
+/**
+ * Check whether the day of a date matches the day and weekday fields of a cron expression
+ * @param  {Object}  cron
+ * @param  {Date}    date
+ * @return {Boolean}
+ */
+var matchesDay = function (cron, date) {
+    var day = cron.day[date.getDate()] === true;
+    var weekday = cron.weekday[date.getDay()] === true;
+    if (!cron.anyDay && !cron.anyWeekday) {
+        return day || weekday;
+    }
+    return day && weekday;
+};
+
+/**
+ * Validate the specification of a job and turn it into a job
+ * @param  {Object}     spec
+ * @return {Object}
+ * @throws {UsageError} If the specification is invalid
+ */
+var createJob = function (spec) {
+    var now = Date.now();
+    var job = {
+        id: spec.id || now.toString(36) + Math.random().toString(36).substr(2, 6),
+        type: spec.type,
+        network: spec.network,
+        channel: spec.channel,
+        user: spec.user,
+        data: typeof spec.data === 'undefined' ? null : spec.data,
+        missed: spec.missed,
+        created: now
+    };
+
+    if (typeof job.type !== 'string' || job.type === '') {
+        throw new errors.UsageError("A job needs a type");
+    }
+    if (typeof job.missed !== 'undefined' && job.missed !== 'run' && job.missed !== 'skip') {
+        throw new errors.UsageError(util.format("Unknown missed job policy %s", job.missed));
+    }
+
+    if (typeof spec.at !== 'undefined') {
+        if (isNaN(spec.at)) {
+            throw new errors.UsageError("Invalid time for a job");
+        }
+        job.next = +spec.at;
+    } else if (typeof spec.every !== 'undefined') {
+        if (typeof spec.every !== 'number' || !(spec.every > 0)) {
+            throw new errors.UsageError("The interval of a job should be a positive number of milliseconds");
+        }
+        job.every = spec.every;
+        job.next = typeof spec.start === 'undefined' ? now + spec.every : +spec.start;
+    } else if (typeof spec.cron !== 'undefined') {
+        job.cron = spec.cron;
+        job.next = nextCron(spec.cron, now);
+        if (job.next === null) {
+            throw new errors.UsageError(util.format("Cron expression '%s' never matches", spec.cron));
+        }
+    } else {
+        throw new errors.UsageError("A job needs one of at, every or cron");
+    }
+    return job;
+};
+
+/**
+ * The time a recurring job should run next, after a given time
+ * @param  {Object}  job
+ * @param  {Integer} after Timestamp in milliseconds
+ * @return {Integer}       Timestamp in milliseconds, or null if the job should not run again
+ */
+var following = function (job, after) {
+    if (typeof job.every === 'number') {
+        var next = job.next + job.every;
+        if (next <= after) {
+            next += Math.ceil((after - next + 1) / job.every) * job.every;
+        }
+        return next;
+    }
+    if (typeof job.cron === 'string') {
+        return nextCron(job.cron, after);
+    }
+    return null;
+};
+
+/**
+ * Load the stored jobs, and deal with jobs that were missed
+ * @return {Promise}
+ */
+var load = function () {
+    var self = this, now = Date.now();
+    return this.store.entries('job.').then(function (entries) {
+        return Promise.all(entries.map(function (entry) {
+            var job = entry[1];
+            if (job === null || typeof job !== 'object' || typeof job.id === 'undefined') {
+                return null;
+            }
+
+            self.jobs[job.id] = job;
+            var policy = job.missed || self.options.missed;
+            if (job.next > now || policy === 'run') {
+                return null;
+            }
+
+            self.log.info({job: job.id, type: job.type}, "Skipping missed %s job %s", job.type, job.id);
+            return advance.call(self, job, now);
+        }));
+    }).then(function () {
+        arm.call(self);
+    }, function (err) {
+        self.log.error({scheduler: self.name}, "Could not load the scheduled jobs: %s", err.message);
+        throw err;
+    });
+};
+
+/**
+ * Set a timer for the job that should run first
+ */
+var arm = function () {
+    var self = this, first = null;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.stopped) {
+        return;
+    }
+
+    Object.keys(this.jobs).forEach(function (id) {
+        var job = this.jobs[id];
+        if (typeof this.handlers[job.type] === 'function' && (first === null || job.next < first.next)) {
+            first = job;
+        }
+    }, this);
+
+    if (first !== null) {
+        this.timer = setTimeout(function () {
+            self.timer = null;
+            fire.call(self);
+        }, Math.min(Math.max(first.next - Date.now(), 0), MAX_DELAY));
+    }
+};
+
+/**
+ * Run all jobs that are due
+ */
+var fire = function () {
+    var now = Date.now();
+    Object.keys(this.jobs).map(function (id) {
+        return this.jobs[id];
+    }, this).filter(function (job) {
+        return job.next <= now && typeof this.handlers[job.type] === 'function';
+    }, this).sort(function (a, b) {
+        return a.next - b.next;
+    }).forEach(function (job) {
+        run.call(this, job, now);
+    }, this);
+    arm.call(this);
+};
+
+/**
+ * Run a job, and plan its next run
+ * @param  {Object}  job
+ * @param  {Integer} now Current timestamp in milliseconds
+ */
+var run = function (job, now) {
+    var self = this;
+    this.log.debug({job: job.id, type: job.type}, "Running %s job %s", job.type, job.id);
+    var context = createContext.call(this, job);
+    advance.call(this, job, now).then(function () {
+        return self.handlers[job.type].call(self, context);
+    }).catch(function (err) {
+        self.handleError(err, job);
+    });
+};
+
+/**
+ * Plan the next run of a job, or remove it if it should not run again
+ * @param  {Object}  job
+ * @param  {Integer} now Current timestamp in milliseconds
+ * @return {Promise}     Promise that is resolved when the change is stored
+ */
+var advance = function (job, now) {
+    var next = following(job, now);
+    if (next === null) {
+        delete this.jobs[job.id];
+        return this.store['delete']('job.' + job.id);
+    }
+    job.next = next;
+    return this.store.set('job.' + job.id, job);
+};
+
+/**
+ * Create the context a job handler receives
+ * @param  {Object} job
+ * @return {Object}
+ */
+var createContext = function (job) {
+    var client = this.client;
+    return {
+        scheduler: this,
+        job: copy(job),
+        id: job.id,
+        type: job.type,
+        data: job.data,
+        network: job.network,
+        channel: job.channel,
+        user: job.user,
+        message: function (message) {
+            return client.message(job.network, job.channel, message);
+        },
+        reply: function (message, options) {
+            if (typeof job.user === 'undefined') {
+                return client.message(job.network, job.channel, message);
+            }
+            return client.reply(job.network, job.channel, job.user, message, options || {highlight: true});
+        }
+    };
+};
+
+/**
+ * Copy a job, so changes by plugins don't affect the scheduler
+ * @param  {Object} job
+ * @return {Object}
+ */
+var copy = function (job) {
+    return JSON.parse(JSON.stringify(job));
+};
+
+module.exports.Scheduler = Scheduler;
+module.exports.parseCron = parseCron;
+module.exports.nextCron = nextCron;
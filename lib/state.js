@@ -0,0 +1,581 @@
+var events = require('./events');
+var errors = require('./errors');
+
+/**
+ * Channel modes that give a user a status in a channel, with their prefix in NAMES replies,
+ * from highest to lowest
+ * @type {Array}
+ */
+var PREFIXES = [
+    {mode: 'q', prefix: '~'},
+    {mode: 'a', prefix: '&'},
+    {mode: 'o', prefix: '@'},
+    {mode: 'h', prefix: '%'},
+    {mode: 'v', prefix: '+'}
+];
+
+/**
+ * Channel modes that always take an argument, besides the user status modes
+ * @type {String}
+ */
+var ARGUMENT_MODES = 'beIk';
+
+/**
+ * Channel modes that contain a list of masks, these are not tracked
+ * @type {String}
+ */
+var LIST_MODES = 'beI';
+
+/**
+ * Events that change the state of channels
+ * @type {Array}
+ */
+var TRACKED_EVENTS = ['JOIN', 'PART', 'QUIT', 'KICK', 'NICK', 'MODE', 'TOPIC'];
+
+/**
+ * Keeps track of the channels the bot is in, who is in those channels with which status, and the
+ * topic and modes of each channel. The state is retrieved from DaZeus when the tracker is created
+ * (and after reconnecting), and kept up to date from events. All queries are synchronous.
+ * Nicknames and channel names are compared case-insensitively.
+ * @param {DaZeus} client
+ */
+var StateTracker = function (client) {
+    this.client = client;
+    this.log = client.log.component('state');
+    this.networks = {};
+    this.listeners = {};
+    // events seen by each refresh in progress, to replay onto the state it retrieves
+    this.missed = [];
+
+    TRACKED_EVENTS.forEach(function (event) {
+        this.listeners[event] = track.bind(this, event);
+        this.client.on(event, this.listeners[event]);
+    }, this);
+
+    this.listeners.reconnected = this.refresh.bind(this);
+    this.client.on('reconnected', this.listeners.reconnected);
+
+    this.ready = this.refresh();
+};
+
+/**
+ * Retrieve the networks, channels and names from DaZeus again. The new state replaces the current
+ * one once it is complete, until then (or if retrieving it fails) the current state is kept.
+ * Events that arrive in the meantime are applied to the current state, and again to the new state
+ * once it replaces the current one.
+ * @return {Promise} Promise that is resolved when the state is complete
+ */
+StateTracker.prototype.refresh = function () {
+    var self = this, networks = {}, missed = [];
+    this.missed.push(missed);
+    var finish = function () {
+        var index = self.missed.indexOf(missed);
+        if (index !== -1) {
+            self.missed.splice(index, 1);
+        }
+    };
+
+    var refreshing = this.client.networks().then(function (result) {
+        if (!Array.isArray(result.networks)) {
+            throw new errors.ProtocolError("DaZeus did not send a list of networks", result);
+        }
+        return Promise.all(result.networks.map(function (network) {
+            return refreshNetwork.call(self, networks, network);
+        }));
+    }).then(function () {
+        finish();
+        self.networks = networks;
+        missed.forEach(function (args) {
+            apply.apply(self, args);
+        });
+        self.log.debug("Channel state is up to date");
+        return self;
+    });
+
+    refreshing.catch(function (err) {
+        finish();
+        self.log.warn("Could not retrieve the channel state: %s", err.message);
+    });
+    return refreshing;
+};
+
+/**
+ * Stop tracking, and remove all event listeners
+ */
+StateTracker.prototype.stop = function () {
+    Object.keys(this.listeners).forEach(function (event) {
+        this.client.removeListener(event, this.listeners[event]);
+    }, this);
+    this.listeners = {};
+};
+
+/**
+ * The current nickname of the bot
+ * @param  {String} network
+ * @return {String}         The nickname, or undefined for unknown networks
+ */
+StateTracker.prototype.nick = function (network) {
+    var state = this.networks[network];
+    return typeof state === 'undefined' ? undefined : state.nick;
+};
+
+/**
+ * The channels the bot is in
+ * @param  {String} network
+ * @return {Array}
+ */
+StateTracker.prototype.channels = function (network) {
+    var state = this.networks[network];
+    if (typeof state === 'undefined') {
+        return [];
+    }
+    return Object.keys(state.channels).map(function (key) {
+        return state.channels[key].name;
+    });
+};
+
+/**
+ * The nicknames of the users in a channel, including the bot
+ * @param  {String} network
+ * @param  {String} channel
+ * @return {Array}
+ */
+StateTracker.prototype.users = function (network, channel) {
+    var state = findChannel.call(this, network, channel);
+    if (state === null) {
+        return [];
+    }
+    return Object.keys(state.users).map(function (key) {
+        return state.users[key].nick;
+    });
+};
+
+/**
+ * Check whether a user is in a channel
+ * @param  {String}  network
+ * @param  {String}  channel
+ * @param  {String}  nick
+ * @return {Boolean}
+ */
+StateTracker.prototype.isIn = function (network, channel, nick) {
+    return findUser.call(this, network, channel, nick) !== null;
+};
+
+/**
+ * The channels a user shares with the bot
+ * @param  {String} network
+ * @param  {String} nick
+ * @return {Array}
+ */
+StateTracker.prototype.commonChannels = function (network, nick) {
+    return this.channels(network).filter(function (channel) {
+        return this.isIn(network, channel, nick);
+    }, this);
+};
+
+/**
+ * The status modes of a user in a channel, such as 'o' for operators and 'v' for voiced users
+ * @param  {String} network
+ * @param  {String} channel
+ * @param  {String} nick
+ * @return {Array}          The modes, highest first (empty if the user is not in the channel)
+ */
+StateTracker.prototype.modes = function (network, channel, nick) {
+    var user = findUser.call(this, network, channel, nick);
+    return user === null ? [] : user.modes.slice();
+};
+
+/**
+ * The prefix of the highest status of a user in a channel, e.g. '@' for operators
+ * @param  {String} network
+ * @param  {String} channel
+ * @param  {String} nick
+ * @return {String}         The prefix, or an empty string
+ */
+StateTracker.prototype.prefix = function (network, channel, nick) {
+    var modes = this.modes(network, channel, nick);
+    return modes.length === 0 ? '' : prefixOf(modes[0]);
+};
+
+/**
+ * Check whether a user is an operator (or higher) in a channel
+ * @param  {String}  network
+ * @param  {String}  channel
+ * @param  {String}  nick
+ * @return {Boolean}
+ */
+StateTracker.prototype.isOp = function (network, channel, nick) {
+    return hasStatus.call(this, network, channel, nick, 'o');
+};
+
+/**
+ * Check whether a user is a half-operator (or higher) in a channel
+ * @param  {String}  network
+ * @param  {String}  channel
+ * @param  {String}  nick
+ * @return {Boolean}
+ */
+StateTracker.prototype.isHalfop = function (network, channel, nick) {
+    return hasStatus.call(this, network, channel, nick, 'h');
+};
+
+/**
+ * Check whether a user is voiced (or higher) in a channel
+ * @param  {String}  network
+ * @param  {String}  channel
+ * @param  {String}  nick
+ * @return {Boolean}
+ */
+StateTracker.prototype.isVoiced = function (network, channel, nick) {
+    return hasStatus.call(this, network, channel, nick, 'v');
+};
+
+/**
+ * The topic of a channel, as far as it is known
+ * @param  {String} network
+ * @param  {String} channel
+ * @return {String}         The topic, or undefined if it was not seen yet
+ */
+StateTracker.prototype.topic = function (network, channel) {
+    var state = findChannel.call(this, network, channel);
+    return state === null ? undefined : state.topic;
+};
+
+/**
+ * The modes of a channel that were seen being set, such as 'm', 'k' and 'l'
+ * @param  {String} network
+ * @param  {String} channel
+ * @return {Object}         Maps modes to their argument, or true for modes without an argument
+ */
+StateTracker.prototype.channelModes = function (network, channel) {
+    var state = findChannel.call(this, network, channel);
+    return state === null ? {} : Object.assign({}, state.modes);
+};
+
+/**
+ * Split a name from a NAMES reply into the nickname and status modes
+ * @param  {String} name Name with any number of prefixes, e.g. '@+Someone'
+ * @return {Object}      Object with the nick and the modes, highest first
+ */
+var parseName = function (name) {
+    var modes = [];
+    var i = 0;
+    for (; i < name.length; i += 1) {
+        var mode = modeOf(name.charAt(i));
+        if (mode === null) {
+            break;
+        }
+        modes.push(mode);
+    }
+    return {nick: name.substr(i), modes: sortModes(modes)};
+};
+
+/**
+ * Retrieve the nickname and channels of a network
+ * @param  {Object}  networks The state that is being built
+ * @param  {String}  network
+ * @return {Promise}
+ */
+var refreshNetwork = function (networks, network) {
+    var self = this;
+    return Promise.all([
+        this.client.nick(network),
+        this.client.channels(network)
+    ]).then(function (results) {
+        if (!Array.isArray(results[1].channels)) {
+            throw new errors.ProtocolError("DaZeus did not send a list of channels", results[1]);
+        }
+        networks[network] = {nick: results[0].nick, channels: {}};
+        return Promise.all(results[1].channels.map(function (channel) {
+            return refreshChannel.call(self, networks[network], network, channel);
+        }));
+    });
+};
+
+/**
+ * Retrieve the names in a channel
+ * @param  {Object}  networkState The state of the network to add the channel to
+ * @param  {String}  network
+ * @param  {String}  channel
+ * @return {Promise}
+ */
+var refreshChannel = function (networkState, network, channel) {
+    var state = {name: channel, topic: undefined, modes: {}, users: {}};
+    networkState.channels[key(channel)] = state;
+    return this.client.names(network, channel).then(function (names) {
+        names.forEach(function (name) {
+            var parsed = parseName(name);
+            if (parsed.nick !== '') {
+                state.users[key(parsed.nick)] = parsed;
+            }
+        });
+    });
+};
+
+/**
+ * Update the state for an event, and remember it for the refreshes in progress
+ */
+var track = function () {
+    var args = Array.prototype.slice.call(arguments);
+    this.missed.forEach(function (missed) {
+        missed.push(args);
+    });
+    apply.apply(this, args);
+};
+
+/**
+ * Update the state for an event
+ * @param  {String} event Type of the event
+ */
+var apply = function (event) {
+    var params = events.params(Array.prototype.slice.call(arguments, 1));
+    var network = params[0], sender = params[1];
+    var state = this.networks[network];
+    if (typeof state === 'undefined') {
+        return;
+    }
+
+    var isBot = key(sender) === key(state.nick);
+    switch (event) {
+    case 'JOIN':
+        if (isBot) {
+            refreshChannel.call(this, state, network, params[2]).catch(function (err) {
+                this.log.warn({network: network, channel: params[2]}, "Could not retrieve the names: %s", err.message);
+            }.bind(this));
+        } else {
+            addUser.call(this, network, params[2], sender);
+        }
+        break;
+    case 'PART':
+        removeUser.call(this, network, params[2], sender);
+        break;
+    case 'KICK':
+        removeUser.call(this, network, params[2], params[3]);
+        break;
+    case 'QUIT':
+        this.commonChannels(network, sender).forEach(function (channel) {
+            removeUser.call(this, network, channel, sender);
+        }, this);
+        break;
+    case 'NICK':
+        renameUser.call(this, network, sender, params[2]);
+        break;
+    case 'MODE':
+        changeModes.call(this, network, params[2], params[3], params.slice(4));
+        break;
+    case 'TOPIC':
+        var channel = findChannel.call(this, network, params[2]);
+        if (channel !== null) {
+            channel.topic = params[3];
+        }
+        break;
+    }
+};
+
+/**
+ * Add a user without any status to a channel
+ * @param  {String} network
+ * @param  {String} channel
+ * @param  {String} nick
+ */
+var addUser = function (network, channel, nick) {
+    var state = findChannel.call(this, network, channel);
+    if (state !== null && typeof state.users[key(nick)] === 'undefined') {
+        state.users[key(nick)] = {nick: nick, modes: []};
+    }
+};
+
+/**
+ * Remove a user from a channel, or forget the channel if the user is the bot itself
+ * @param  {String} network
+ * @param  {String} channel
+ * @param  {String} nick
+ */
+var removeUser = function (network, channel, nick) {
+    var state = findChannel.call(this, network, channel);
+    if (state === null) {
+        return;
+    }
+
+    if (key(nick) === key(this.networks[network].nick)) {
+        delete this.networks[network].channels[key(channel)];
+    } else {
+        delete state.users[key(nick)];
+    }
+};
+
+/**
+ * Process a change of nickname in every channel
+ * @param  {String} network
+ * @param  {String} oldNick
+ * @param  {String} newNick
+ */
+var renameUser = function (network, oldNick, newNick) {
+    var state = this.networks[network];
+    if (key(oldNick) === key(state.nick)) {
+        state.nick = newNick;
+    }
+
+    Object.keys(state.channels).forEach(function (name) {
+        var users = state.channels[name].users;
+        var user = users[key(oldNick)];
+        if (typeof user !== 'undefined') {
+            delete users[key(oldNick)];
+            user.nick = newNick;
+            users[key(newNick)] = user;
+        }
+    });
+};
+
+/**
+ * Apply a mode change to a channel, e.g. '+ov-k' with the arguments ['Someone', 'Other', 'key']
+ * @param  {String} network
+ * @param  {String} channel
+ * @param  {String} change
+ * @param  {Array}  args
+ */
+var changeModes = function (network, channel, change, args) {
+    var state = findChannel.call(this, network, channel);
+    if (state === null || typeof change !== 'string') {
+        return;
+    }
+
+    var adding = true;
+    args = args.slice();
+    change.split('').forEach(function (mode) {
+        if (mode === '+' || mode === '-') {
+            adding = mode === '+';
+            return;
+        }
+
+        if (prefixOf(mode) !== null) {
+            var user = state.users[key(args.shift() || '')];
+            if (typeof user !== 'undefined') {
+                user.modes = user.modes.filter(function (existing) {
+                    return existing !== mode;
+                });
+                if (adding) {
+                    user.modes = sortModes(user.modes.concat([mode]));
+                }
+            }
+            return;
+        }
+
+        var argument = true;
+        if (ARGUMENT_MODES.indexOf(mode) !== -1 || (mode === 'l' && adding)) {
+            argument = args.shift();
+        }
+        if (LIST_MODES.indexOf(mode) !== -1) {
+            return;
+        }
+
+        if (adding) {
+            state.modes[mode] = argument;
+        } else {
+            delete state.modes[mode];
+        }
+    });
+};
+
+/**
+ * Check whether a user has a status, or a higher one
+ * @param  {String}  network
+ * @param  {String}  channel
+ * @param  {String}  nick
+ * @param  {String}  mode
+ * @return {Boolean}
+ */
+var hasStatus = function (network, channel, nick, mode) {
+    var modes = this.modes(network, channel, nick);
+    return modes.length > 0 && rank(modes[0]) <= rank(mode);
+};
+
+/**
+ * Find the state of a channel
+ * @param  {String} network
+ * @param  {String} channel
+ * @return {Object}         The channel state, or null if the bot is not in the channel
+ */
+var findChannel = function (network, channel) {
+    var state = this.networks[network];
+    if (typeof state === 'undefined' || typeof channel !== 'string') {
+        return null;
+    }
+    return state.channels[key(channel)] || null;
+};
+
+/**
+ * Find a user in a channel
+ * @param  {String} network
+ * @param  {String} channel
+ * @param  {String} nick
+ * @return {Object}         The user, or null if the user is not in the channel
+ */
+var findUser = function (network, channel, nick) {
+    var state = findChannel.call(this, network, channel);
+    if (state === null || typeof nick !== 'string') {
+        return null;
+    }
+    return state.users[key(nick)] || null;
+};
+
+/**
+ * The key for a nickname or channel, so names that differ only in case are the same
+ * @param  {String} name
+ * @return {String}
+ */
+var key = function (name) {
+    return String(name).toLowerCase();
+};
+
+/**
+ * Position of a status mode, lower is higher
+ * @param  {String}  mode
+ * @return {Integer}      The position, or -1 for modes that are not a status
+ */
+var rank = function (mode) {
+    for (var i = 0; i < PREFIXES.length; i += 1) {
+        if (PREFIXES[i].mode === mode) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+/**
+ * Sort status modes, highest first
+ * @param  {Array} modes
+ * @return {Array}
+ */
+var sortModes = function (modes) {
+    return modes.slice().sort(function (a, b) {
+        return rank(a) - rank(b);
+    });
+};
+
+/**
+ * The prefix for a status mode
+ * @param  {String} mode
+ * @return {String}      The prefix, or null if the mode is not a status
+ */
+var prefixOf = function (mode) {
+    var index = rank(mode);
+    return index === -1 ? null : PREFIXES[index].prefix;
+};
+
+/**
+ * The status mode for a prefix
+ * @param  {String} prefix
+ * @return {String}        The mode, or null if the character is not a prefix
+ */
+var modeOf = function (prefix) {
+    for (var i = 0; i < PREFIXES.length; i += 1) {
+        if (PREFIXES[i].prefix === prefix) {
+            return PREFIXES[i].mode;
+        }
+    }
+    return null;
+};
+
+module.exports.StateTracker = StateTracker;
+module.exports.parseName = parseName;
@@ -0,0 +1,284 @@
+var util = require('util');
+var errors = require('./errors');
+
+/**
+ * Key-value store for a plugin, on top of the DaZeus properties.
+ * Keys are prefixed with the name of the plugin and values are stored as JSON.
+ * Available options are network, channel and user (to narrow the scope), defaults and schema.
+ *
+ * A schema maps keys to validators. A validator is either a type name ('string', 'number',
+ * 'boolean', 'object' or 'array'), a function that returns true for valid values (or an error
+ * message), or an object with a type and a validate function. Keys ending in * match every key
+ * starting with what comes before it.
+ *
+ * @param {DaZeus} client
+ * @param {String} name    Name of the plugin, used as prefix for all keys
+ * @param {Object} options (optional)
+ */
+var Store = function (client, name, options) {
+    this.client = client;
+    this.name = name;
+    this.options = options || {};
+    this.defaults = this.options.defaults || {};
+    this.schema = this.options.schema || {};
+    this.scope = buildScope(this.options);
+};
+
+/**
+ * Create a store for the same plugin, in a different scope
+ * @param  {Object} scope Object with a network, and optionally a channel and user
+ * @return {Store}
+ */
+Store.prototype.scoped = function (scope) {
+    return new Store(this.client, this.name, {
+        network: scope.network,
+        channel: scope.channel,
+        user: scope.user,
+        defaults: this.defaults,
+        schema: this.schema
+    });
+};
+
+/**
+ * Retrieve a value
+ * @param  {String}  key
+ * @param  {Object}  defaultValue Value if the key is not set (optional, overrides the defaults option)
+ * @return {Promise}              Promise for the value
+ */
+Store.prototype.get = function (key, defaultValue) {
+    if (typeof defaultValue === 'undefined') {
+        defaultValue = this.defaults[key];
+    }
+
+    return this.client.getProperty(this.fullKey(key), this.scope).then(function (result) {
+        return decode(result.value, defaultValue);
+    });
+};
+
+/**
+ * Store a value, after validating it against the schema
+ * @param  {String}  key
+ * @param  {Object}  value Any value that can be converted to JSON
+ * @return {Promise}       Promise that is resolved when the value is stored
+ */
+Store.prototype.set = function (key, value) {
+    try {
+        this.validate(key, value);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+    return this.client.setProperty(this.fullKey(key), JSON.stringify(value), this.scope);
+};
+
+/**
+ * Remove a value
+ * @param  {String}  key
+ * @return {Promise}     Promise that is resolved when the value is removed
+ */
+Store.prototype['delete'] = function (key) {
+    return this.client.unsetProperty(this.fullKey(key), this.scope);
+};
+
+/**
+ * List the keys starting with a prefix
+ * @param  {String}  prefix (optional)
+ * @return {Promise}        Promise for the keys, without the name of the plugin
+ */
+Store.prototype.keys = function (prefix) {
+    var namespace = this.fullKey('');
+    return this.client.propertyKeys(this.fullKey(prefix || ''), this.scope).then(function (result) {
+        return (result.keys || []).map(function (key) {
+            return key.indexOf(namespace) === 0 ? key.substr(namespace.length) : key;
+        });
+    });
+};
+
+/**
+ * Retrieve all keys and values starting with a prefix
+ * @param  {String}  prefix (optional)
+ * @return {Promise}        Promise for an array of [key, value] pairs
+ */
+Store.prototype.entries = function (prefix) {
+    var self = this;
+    return this.keys(prefix).then(function (keys) {
+        return Promise.all(keys.map(function (key) {
+            return self.get(key).then(function (value) {
+                return [key, value];
+            });
+        }));
+    });
+};
+
+/**
+ * Call a function for every key and value starting with a prefix, one at a time.
+ * If the function returns a promise, the next key is retrieved after it is resolved.
+ * @param  {String}   prefix (optional)
+ * @param  {Function} fn     Function receiving the value and the key
+ * @return {Promise}         Promise that is resolved when all keys are visited
+ */
+Store.prototype.each = function (prefix, fn) {
+    var self = this;
+    if (typeof prefix === 'function') {
+        fn = prefix;
+        prefix = '';
+    }
+
+    return this.keys(prefix).then(function (keys) {
+        return keys.reduce(function (previous, key) {
+            return previous.then(function () {
+                return self.get(key);
+            }).then(function (value) {
+                return fn(value, key);
+            });
+        }, Promise.resolve());
+    });
+};
+
+/**
+ * Read, modify and write a value. Updates of the same key are run one at a time, also when they
+ * are made through different stores of the same client, so concurrent updates don't overwrite
+ * each other.
+ * @param  {String}   key
+ * @param  {Function} fn           Function receiving the current value and returning (a promise for) the new value
+ * @param  {Object}   defaultValue Value passed to fn if the key is not set (optional)
+ * @return {Promise}               Promise for the new value
+ */
+Store.prototype.update = function (key, fn, defaultValue) {
+    var self = this, updates = this.client.storeUpdates;
+    var id = JSON.stringify([this.fullKey(key), this.scope || null]);
+    var previous = updates[id] || Promise.resolve();
+
+    var current = previous.catch(function () {
+        // a failed update should not prevent the next one
+    }).then(function () {
+        return self.get(key, defaultValue);
+    }).then(function (value) {
+        return fn(value);
+    }).then(function (value) {
+        return self.set(key, value).then(function () {
+            return value;
+        });
+    });
+
+    var cleanup = function () {
+        if (updates[id] === current) {
+            delete updates[id];
+        }
+    };
+
+    updates[id] = current;
+    current.then(cleanup, cleanup);
+    return current;
+};
+
+/**
+ * Check a value against the schema
+ * @param  {String} key
+ * @param  {Object} value
+ * @throws {ValidationError} If the value is invalid
+ */
+Store.prototype.validate = function (key, value) {
+    var validator = findValidator(this.schema, key);
+    if (validator === null) {
+        return;
+    }
+
+    var result = check(validator, value);
+    if (result !== true) {
+        var reason = typeof result === 'string' ? result : 'rejected by schema';
+        throw new errors.ValidationError(util.format("Invalid value for %s: %s", key, reason), key, value);
+    }
+};
+
+/**
+ * The name of the property a key is stored as
+ * @param  {String} key
+ * @return {String}
+ */
+Store.prototype.fullKey = function (key) {
+    return this.name + '.' + key;
+};
+
+/**
+ * Build the DaZeus scope for the given network, channel and user
+ * @param  {Object} options
+ * @return {Array}          The scope, or undefined for the global scope
+ */
+var buildScope = function (options) {
+    if (!options.network) {
+        return undefined;
+    }
+
+    var scope = [options.network];
+    if (options.channel || options.user) {
+        scope.push(options.channel || null);
+    }
+    if (options.user) {
+        scope.push(options.user);
+    }
+    return scope;
+};
+
+/**
+ * Convert a stored property back to its value
+ * @param  {String} stored       The stored JSON, or undefined
+ * @param  {Object} defaultValue
+ * @return {Object}
+ */
+var decode = function (stored, defaultValue) {
+    if (typeof stored === 'undefined' || stored === null) {
+        return defaultValue;
+    }
+
+    try {
+        return JSON.parse(stored);
+    } catch (e) {
+        // stored by something else than a store, just return it as it is
+        return stored;
+    }
+};
+
+/**
+ * Find the validator for a key
+ * @param  {Object} schema
+ * @param  {String} key
+ * @return {Object}        The validator, or null if the key has none
+ */
+var findValidator = function (schema, key) {
+    if (Object.prototype.hasOwnProperty.call(schema, key)) {
+        return schema[key];
+    }
+
+    var patterns = Object.keys(schema).filter(function (pattern) {
+        return pattern.substr(-1) === '*' && key.indexOf(pattern.substr(0, pattern.length - 1)) === 0;
+    });
+    return patterns.length > 0 ? schema[patterns[0]] : null;
+};
+
+/**
+ * Check a value with a validator
+ * @param  {Object} validator
+ * @param  {Object} value
+ * @return {Boolean|String}   True for valid values, false or an error message otherwise
+ */
+var check = function (validator, value) {
+    if (typeof validator === 'string') {
+        validator = {type: validator};
+    } else if (typeof validator === 'function') {
+        validator = {validate: validator};
+    }
+
+    if (validator.type) {
+        var type = Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+        if (type !== validator.type) {
+            return util.format("expected %s, got %s", validator.type, type);
+        }
+    }
+
+    if (typeof validator.validate === 'function') {
+        return validator.validate(value);
+    }
+    return true;
+};
+
+module.exports.Store = Store;
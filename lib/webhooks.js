@@ -0,0 +1,473 @@
+var http = require('http');
+var util = require('util');
+var crypto = require('crypto');
+var errors = require('./errors');
+var format = require('./format');
+
+/**
+ * Default settings of the webhook bridge, the rate limit is per token
+ * @type {Object}
+ */
+var DEFAULTS = {
+    port: 8765,
+    host: '127.0.0.1',
+    maxBodySize: 64 * 1024,
+    maxLines: 10,
+    rate: {limit: 30, interval: 60000}
+};
+
+/**
+ * Turn the payload of a webhook into the lines to send. Each receives the payload and the
+ * request headers, and returns a string or an array of lines.
+ * @type {Object}
+ */
+var FORMATS = {
+    /**
+     * Any JSON with a message or text field
+     */
+    generic: function (payload) {
+        var text = payload.message || payload.text;
+        if (typeof text !== 'string' || text === '') {
+            throw new WebhookError(400, "The payload has no message or text");
+        }
+        return payload.title ? format.bold(payload.title) + ': ' + text : text;
+    },
+
+    /**
+     * Push events of GitHub and services that copy their payload, such as Gitea
+     */
+    github: function (payload, headers) {
+        var event = headers['x-github-event'] || headers['x-gitea-event'] || 'push';
+        var repository = payload.repository ? payload.repository.full_name || payload.repository.name : '?';
+        if (event === 'ping') {
+            return util.format("[%s] Webhook is set up", format.bold(repository));
+        }
+        if (event !== 'push' || !Array.isArray(payload.commits)) {
+            throw new WebhookError(400, util.format("Unsupported GitHub event %s", event));
+        }
+
+        var branch = String(payload.ref || '').replace(/^refs\/heads\//, '');
+        var pusher = payload.pusher ? payload.pusher.name : (payload.sender ? payload.sender.login : 'someone');
+        var lines = [util.format(
+            "[%s] %s pushed %d commit%s to %s%s",
+            format.bold(repository),
+            pusher,
+            payload.commits.length,
+            payload.commits.length === 1 ? '' : 's',
+            branch,
+            payload.compare ? ': ' + payload.compare : ''
+        )];
+        payload.commits.slice(0, 3).forEach(function (commit) {
+            lines.push(util.format(
+                "  %s %s (%s)",
+                String(commit.id).substr(0, 7),
+                String(commit.message).split("\n")[0],
+                commit.author ? commit.author.name : '?'
+            ));
+        });
+        if (payload.commits.length > 3) {
+            lines.push(util.format("  ... and %d more", payload.commits.length - 3));
+        }
+        return lines;
+    },
+
+    /**
+     * Alerts of Prometheus Alertmanager and Grafana, or a single alert with a title and status
+     */
+    alert: function (payload) {
+        var alerts = Array.isArray(payload.alerts) ? payload.alerts : [payload];
+        return alerts.map(function (alert) {
+            var labels = alert.labels || {}, annotations = alert.annotations || {};
+            var status = String(alert.status || alert.state || payload.status || 'firing').toUpperCase();
+            var name = labels.alertname || alert.title || alert.name || payload.title || 'Alert';
+            var summary = annotations.summary || annotations.description || alert.message || payload.message;
+            var severity = labels.severity || alert.severity;
+            return util.format(
+                "[%s] %s%s%s",
+                format.color(status, status === 'RESOLVED' || status === 'OK' ? 'green' : 'red'),
+                format.bold(name),
+                severity ? ' (' + severity + ')' : '',
+                summary ? ': ' + summary : ''
+            );
+        });
+    }
+};
+
+/**
+ * A webhook request that could not be handled
+ * @param {Integer} status  HTTP status code of the response
+ * @param {String}  message Description of the error
+ */
+var WebhookError = function (status, message) {
+    errors.DaZeusError.call(this, message);
+    this.name = 'WebhookError';
+    this.status = status;
+};
+util.inherits(WebhookError, errors.DaZeusError);
+
+/**
+ * HTTP server that posts the payload of webhooks into channels.
+ *
+ * Requests are POSTed as JSON to /<network>/<channel> (with the # of the channel written as %23)
+ * or to / if the token may only post to a single channel. The token is passed as a bearer token
+ * in the Authorization header, as the X-DaZeus-Token header or as the token query parameter.
+ *
+ * Available options are port, host (127.0.0.1 by default, so only local tools can post), tokens,
+ * formats (additional payload formats), maxBodySize, maxLines (lines per request) and rate (the
+ * default rate limit for tokens). Tokens map a secret to an object with a name, the targets it may
+ * post to ('network/#channel', 'network/*' or '*'), a format (the name of a format, detected from
+ * the request by default), a template (such as "Deploy of {{app}}: {{status}}"), whether to send
+ * notices and a rate limit ({limit, interval} in milliseconds).
+ *
+ * @param {DaZeus} client
+ * @param {Object} options
+ */
+var WebhookBridge = function (client, options) {
+    this.client = client;
+    this.log = client.log.component('webhooks');
+    this.options = Object.assign({}, DEFAULTS, options || {});
+    this.tokens = this.options.tokens || {};
+    this.formats = Object.assign({}, FORMATS, this.options.formats || {});
+    this.server = null;
+
+    // times of recent requests for each token, for rate limiting
+    this.recent = {};
+};
+
+/**
+ * Start listening for webhooks
+ * @param  {Integer} port (optional, overrides the port option)
+ * @param  {String}  host (optional, overrides the host option)
+ * @return {Promise}      Promise for the address the server is listening on
+ */
+WebhookBridge.prototype.listen = function (port, host) {
+    var self = this;
+    if (typeof port === 'undefined') {
+        port = this.options.port;
+    }
+    host = host || this.options.host;
+
+    this.server = http.createServer(function (request, response) {
+        handle.call(self, request, response);
+    });
+    return new Promise(function (resolve, reject) {
+        self.server.once('error', reject);
+        self.server.listen(port, host, function () {
+            var address = self.server.address();
+            self.log.info({host: address.address, port: address.port}, "Listening for webhooks on port %d", address.port);
+            resolve({host: address.address, port: address.port});
+        });
+    });
+};
+
+/**
+ * Stop listening for webhooks
+ * @return {Promise}
+ */
+WebhookBridge.prototype.close = function () {
+    var server = this.server;
+    this.server = null;
+    if (server === null) {
+        return Promise.resolve();
+    }
+    return new Promise(function (resolve) {
+        server.close(function () {
+            resolve();
+        });
+    });
+};
+
+/**
+ * Handle a webhook request, and respond with JSON
+ * @param  {http.IncomingMessage} request
+ * @param  {http.ServerResponse}  response
+ */
+var handle = function (request, response) {
+    var self = this, name = null, parsed;
+
+    Promise.resolve().then(function () {
+        if (request.method !== 'POST') {
+            throw new WebhookError(405, "Webhooks have to be POSTed");
+        }
+        try {
+            parsed = new URL(request.url, 'http://localhost');
+        } catch (e) {
+            throw new WebhookError(400, util.format("Invalid URL %s", request.url));
+        }
+
+        var token = authenticate.call(self, request, parsed.searchParams);
+        name = token.name;
+        var target = resolveTarget(token, parsed.pathname);
+        limit.call(self, token);
+
+        return readBody.call(self, request).then(function (payload) {
+            var lines = render.call(self, token, payload, request.headers, parsed.searchParams.get('format'));
+            return deliver.call(self, token, target, lines).then(function () {
+                self.log.info(
+                    {token: name, network: target.network, channel: target.channel},
+                    "Posted a webhook to %s",
+                    target.channel
+                );
+                respond(response, 200, {
+                    ok: true,
+                    network: target.network,
+                    channel: target.channel,
+                    lines: lines.length
+                });
+            });
+        });
+    }).catch(function (err) {
+        var status = err instanceof WebhookError ? err.status : 502;
+        self.log.warn({token: name, status: status}, "Rejected a webhook: %s", err.message);
+        respond(response, status, {ok: false, error: err.message}, err.headers);
+    });
+};
+
+/**
+ * Find the token of a request
+ * @param  {http.IncomingMessage} request
+ * @param  {URLSearchParams}      query
+ * @return {Object}                       The settings of the token
+ * @throws {WebhookError}                 If the token is missing or unknown
+ */
+var authenticate = function (request, query) {
+    var given = request.headers['x-dazeus-token'] || query.get('token');
+    var authorization = /^Bearer\s+(\S+)$/i.exec(request.headers.authorization || '');
+    if (authorization !== null) {
+        given = authorization[1];
+    }
+    if (!given) {
+        throw new WebhookError(401, "A token is required");
+    }
+
+    var secrets = Object.keys(this.tokens);
+    var index = secrets.map(function (secret) {
+        return same(secret, given);
+    }).indexOf(true);
+    if (index === -1) {
+        throw new WebhookError(401, "Unknown token");
+    }
+    return Object.assign({name: 'token ' + (index + 1), secret: secrets[index]}, this.tokens[secrets[index]]);
+};
+
+/**
+ * Determine where a request should be posted, and whether its token allows it
+ * @param  {Object} token
+ * @param  {String} pathname
+ * @return {Object}          The network and channel
+ * @throws {WebhookError}    If the target is missing, unknown or not allowed
+ */
+var resolveTarget = function (token, pathname) {
+    var targets = token.targets || [];
+    var parts = pathname.split('/').filter(function (part) {
+        return part !== '';
+    }).map(function (part) {
+        try {
+            return decodeURIComponent(part);
+        } catch (e) {
+            throw new WebhookError(400, util.format("Invalid target %s", part));
+        }
+    });
+
+    var target;
+    if (parts.length === 2) {
+        target = {network: parts[0], channel: parts[1]};
+    } else if (parts.length === 0 && targets.length === 1 && targets[0].indexOf('*') === -1) {
+        var separator = targets[0].indexOf('/');
+        target = {network: targets[0].substr(0, separator), channel: targets[0].substr(separator + 1)};
+    } else {
+        throw new WebhookError(404, "Unknown target, post to /<network>/<channel>");
+    }
+
+    var wanted = (target.network + '/' + target.channel).toLowerCase();
+    var allowed = targets.some(function (pattern) {
+        pattern = pattern.toLowerCase();
+        return pattern === '*' || pattern === wanted || pattern === target.network.toLowerCase() + '/*';
+    });
+    if (!allowed) {
+        throw new WebhookError(403, util.format("This token may not post to %s on %s", target.channel, target.network));
+    }
+    return target;
+};
+
+/**
+ * Count a request against the rate limit of its token
+ * @param  {Object} token
+ * @throws {WebhookError} If the token has posted too often recently
+ */
+var limit = function (token) {
+    var rate = Object.assign({}, this.options.rate, token.rate || {});
+    var now = Date.now();
+    var recent = (this.recent[token.secret] || []).filter(function (time) {
+        return time > now - rate.interval;
+    });
+
+    if (recent.length >= rate.limit) {
+        this.recent[token.secret] = recent;
+        var err = new WebhookError(429, util.format(
+            "Rate limit of %d requests per %d seconds exceeded",
+            rate.limit,
+            Math.round(rate.interval / 1000)
+        ));
+        err.headers = {'Retry-After': String(Math.ceil((recent[0] + rate.interval - now) / 1000))};
+        throw err;
+    }
+    recent.push(now);
+    this.recent[token.secret] = recent;
+};
+
+/**
+ * Read the JSON body of a request
+ * @param  {http.IncomingMessage} request
+ * @return {Promise}                      Promise for the payload
+ */
+var readBody = function (request) {
+    var maxBodySize = this.options.maxBodySize;
+    return new Promise(function (resolve, reject) {
+        var chunks = [], size = 0, failed = false;
+        request.on('data', function (chunk) {
+            size += chunk.length;
+            if (size > maxBodySize && !failed) {
+                failed = true;
+                reject(new WebhookError(413, util.format("The payload exceeds %d bytes", maxBodySize)));
+            } else if (!failed) {
+                chunks.push(chunk);
+            }
+        });
+        request.on('end', function () {
+            if (failed) {
+                return;
+            }
+            var payload;
+            try {
+                payload = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (e) {
+                reject(new WebhookError(400, util.format("The payload is not valid JSON: %s", e.message)));
+                return;
+            }
+            if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+                reject(new WebhookError(400, "The payload has to be a JSON object"));
+                return;
+            }
+            resolve(payload);
+        });
+        request.on('error', reject);
+    });
+};
+
+/**
+ * Turn a payload into lines, with the template or format of the token or request
+ * @param  {Object} token
+ * @param  {Object} payload
+ * @param  {Object} headers
+ * @param  {String} requested Name of the format asked for in the request (optional)
+ * @return {Array}
+ */
+var render = function (token, payload, headers, requested) {
+    var result;
+    if (typeof token.template === 'string') {
+        result = template(token.template, payload);
+    } else {
+        var name = token.format || requested || detect(headers, payload);
+        var formatter = typeof name === 'function' ? name : this.formats[name];
+        if (typeof formatter !== 'function') {
+            throw new WebhookError(400, util.format("Unknown format %s", name));
+        }
+        result = formatter(payload, headers);
+    }
+
+    var lines = [].concat(result).join("\n").split(/\r?\n/).filter(function (line) {
+        return line.trim() !== '';
+    });
+    if (lines.length === 0) {
+        throw new WebhookError(400, "Nothing to post");
+    }
+    if (lines.length > this.options.maxLines) {
+        var hidden = lines.length - this.options.maxLines + 1;
+        lines = lines.slice(0, this.options.maxLines - 1).concat([util.format("... (%d more lines)", hidden)]);
+    }
+    return lines;
+};
+
+/**
+ * Guess the format of a payload
+ * @param  {Object} headers
+ * @param  {Object} payload
+ * @return {String}
+ */
+var detect = function (headers, payload) {
+    if (headers['x-github-event'] || headers['x-gitea-event']) {
+        return 'github';
+    }
+    if (Array.isArray(payload.alerts) || typeof payload.state !== 'undefined') {
+        return 'alert';
+    }
+    return 'generic';
+};
+
+/**
+ * Fill in a template like "Deploy of {{app}}: {{status.name}}" with the fields of a payload
+ * @param  {String} text
+ * @param  {Object} payload
+ * @return {String}
+ */
+var template = function (text, payload) {
+    return text.replace(/\{\{\s*([\w.\-]+)\s*\}\}/g, function (match, path) {
+        var value = path.split('.').reduce(function (object, key) {
+            return object === null || typeof object !== 'object' ? undefined : object[key];
+        }, payload);
+        if (typeof value === 'undefined' || value === null) {
+            return '';
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+};
+
+/**
+ * Send the lines to the target, one by one
+ * @param  {Object}  token
+ * @param  {Object}  target
+ * @param  {Array}   lines
+ * @return {Promise}
+ */
+var deliver = function (token, target, lines) {
+    var client = this.client;
+    var verb = token.notice ? 'notice' : 'message';
+    return lines.reduce(function (previous, line) {
+        return previous.then(function () {
+            return client[verb](target.network, target.channel, line);
+        });
+    }, Promise.resolve());
+};
+
+/**
+ * Send a JSON response
+ * @param  {http.ServerResponse} response
+ * @param  {Integer}             status
+ * @param  {Object}              body
+ * @param  {Object}              headers  Additional headers (optional)
+ */
+var respond = function (response, status, body, headers) {
+    var json = JSON.stringify(body);
+    response.writeHead(status, Object.assign({
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(json)
+    }, headers || {}));
+    response.end(json);
+};
+
+/**
+ * Compare secrets without leaking how much of them matched through the time it takes
+ * @param  {String}  expected
+ * @param  {String}  given
+ * @return {Boolean}
+ */
+var same = function (expected, given) {
+    var a = crypto.createHash('sha256').update(String(expected)).digest();
+    var b = crypto.createHash('sha256').update(String(given)).digest();
+    return crypto.timingSafeEqual(a, b);
+};
+
+module.exports.FORMATS = FORMATS;
+module.exports.WebhookBridge = WebhookBridge;
+module.exports.WebhookError = WebhookError;
@@ -0,0 +1,113 @@
+/**
+ * Numeric replies that are part of a WHOIS reply
+ * @type {Object}
+ */
+var REPLIES = {
+    RPL_WHOISUSER: 311,
+    RPL_WHOISSERVER: 312,
+    RPL_WHOISIDLE: 317,
+    RPL_WHOISCHANNELS: 319,
+    RPL_WHOISACCOUNT: 330,
+    RPL_WHOISREGNICK: 307
+};
+
+/**
+ * Regular expression for a channel in RPL_WHOISCHANNELS, with the status prefixes of the user
+ * @type {RegExp}
+ */
+var CHANNEL_REGEX = /^[~&@%+]*([#&+!].*)$/;
+
+/**
+ * Information about a user, collected from the numeric replies to a WHOIS request.
+ * Fields that were not part of the reply are undefined, except for channels (empty) and
+ * identified (false).
+ * @param {String} network Name of the network
+ * @param {String} nick    Nickname of the user
+ */
+var WhoisInfo = function (network, nick) {
+    this.network = network;
+    this.nick = nick;
+    this.user = undefined;
+    this.host = undefined;
+    this.realname = undefined;
+    this.server = undefined;
+    this.serverInfo = undefined;
+    this.idle = undefined;
+    this.signon = undefined;
+    this.channels = [];
+    this.account = undefined;
+    this.identified = false;
+};
+
+/**
+ * Check whether a numeric reply belongs to the WHOIS reply for this user
+ * @param  {String|Integer} code Numeric reply code
+ * @param  {Array}          args Arguments of the reply, starting with the nickname
+ * @return {Boolean}
+ */
+WhoisInfo.prototype.matches = function (code, args) {
+    var known = Object.keys(REPLIES).some(function (name) {
+        return REPLIES[name] === Number(code);
+    });
+    return known && typeof args[0] === 'string' && args[0].toLowerCase() === this.nick.toLowerCase();
+};
+
+/**
+ * Add the information of a numeric reply
+ * @param  {String|Integer} code Numeric reply code
+ * @param  {Array}          args Arguments of the reply, starting with the nickname
+ */
+WhoisInfo.prototype.add = function (code, args) {
+    // the server knows how the nickname is capitalized
+    this.nick = args[0];
+
+    switch (Number(code)) {
+    case REPLIES.RPL_WHOISUSER:
+        this.user = args[1];
+        this.host = args[2];
+        this.realname = args[args.length - 1];
+        break;
+    case REPLIES.RPL_WHOISSERVER:
+        this.server = args[1];
+        this.serverInfo = args[2];
+        break;
+    case REPLIES.RPL_WHOISIDLE:
+        this.idle = parseInt(args[1], 10);
+        if (/^\d+$/.test(args[2])) {
+            this.signon = new Date(parseInt(args[2], 10) * 1000);
+        }
+        break;
+    case REPLIES.RPL_WHOISCHANNELS:
+        String(args[args.length - 1]).split(' ').forEach(function (channel) {
+            var match = CHANNEL_REGEX.exec(channel);
+            if (match !== null && this.channels.indexOf(match[1]) === -1) {
+                this.channels.push(match[1]);
+            }
+        }, this);
+        break;
+    case REPLIES.RPL_WHOISACCOUNT:
+        this.account = args[1];
+        this.identified = true;
+        break;
+    case REPLIES.RPL_WHOISREGNICK:
+        this.identified = true;
+        break;
+    }
+};
+
+/**
+ * Complete the information with the WHOIS event DaZeus sends at the end of the reply
+ * @param  {String}  server     Server that answered
+ * @param  {Boolean} identified Whether DaZeus considers the user identified
+ * @return {WhoisInfo}          This object
+ */
+WhoisInfo.prototype.complete = function (server, identified) {
+    if (typeof this.server === 'undefined') {
+        this.server = server;
+    }
+    this.identified = this.identified || identified === true || identified === 'true';
+    return this;
+};
+
+module.exports.REPLIES = REPLIES;
+module.exports.WhoisInfo = WhoisInfo;
@@ -0,0 +1,133 @@
+var should = require('should');
+var PassThrough = require('stream').PassThrough;
+var MockServer = require('../lib/mock-server').MockServer;
+var cli = require('../lib/cli');
+
+describe('Command-line client', function () {
+    var server, port;
+
+    beforeEach(function (done) {
+        server = new MockServer({
+            networks: {
+                test: {nick: 'DaZeus', channels: {'#dazeus': ['Someone'], '#dev': ['Someone']}},
+                other: {nick: 'Bot', channels: {}}
+            }
+        });
+        server.listen(0, function (address) {
+            port = address.port;
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        server.close(function () {
+            done();
+        });
+    });
+
+    var collect = function () {
+        var stream = new PassThrough();
+        stream.text = '';
+        stream.on('data', function (chunk) {
+            stream.text += chunk;
+        });
+        return stream;
+    };
+
+    var run = function (args) {
+        var output = collect(), error = collect();
+        return cli.main(['--port', String(port)].concat(args), {output: output, error: error}).then(function (code) {
+            return {code: code, output: output.text, error: error.text};
+        });
+    };
+
+    it('parses connection options', function () {
+        cli.parseArgs(['--json', 'networks']).should.eql({options: {json: true, path: '/tmp/dazeus.sock'}, args: ['networks']});
+        cli.parseArgs(['--port', '1234', 'nick', 'test']).options.should.eql({port: 1234, host: 'localhost'});
+        (function () {
+            cli.parseArgs(['--frobnicate']);
+        }).should.throw(/Unknown option/);
+    });
+
+    it('runs commands and prints their results', function () {
+        return run(['networks']).then(function (result) {
+            result.should.eql({code: 0, output: "test\nother\n", error: ''});
+            return run(['say', 'test', '#dazeus', 'hello', 'there']);
+        }).then(function (result) {
+            result.output.should.equal("OK\n");
+            server.received('message')[0].params.should.eql(['test', '#dazeus', 'hello there']);
+            return run(['prop', 'set', 'greeting', 'hi', 'test']);
+        }).then(function () {
+            return run(['--json', 'prop', 'get', 'greeting', 'test', '#dazeus']);
+        }).then(function (result) {
+            result.output.should.equal('"hi"\n');
+        });
+    });
+
+    it('reads the configuration of a plugin after a handshake', function () {
+        server.setConfig('plugin', 'greeting', 'Hello');
+        return run(['config', 'get', 'highlight']).then(function (result) {
+            result.output.should.equal("}\n");
+            server.received('handshake').should.be.empty();
+            return run(['config', 'get', 'greeting', 'plugin', 'greeter']);
+        }).then(function (result) {
+            result.output.should.equal("Hello\n");
+            var params = server.received('handshake')[0].params;
+            params[0].should.equal('dazeus-cli');
+            params[3].should.equal('greeter');
+            return run(['config', 'get', 'greeting', 'plugin']);
+        }).then(function (result) {
+            result.code.should.equal(2);
+            result.error.should.equal("Missing the plugin to read the configuration of\n");
+        });
+    });
+
+    it('explains how to use commands', function () {
+        return run(['join', 'test']).then(function (result) {
+            result.code.should.equal(2);
+            result.error.should.equal("Usage: join <network> <channel>\n");
+        });
+    });
+
+    it('prints events while tailing', function () {
+        var output = collect();
+        var done = cli.main(['--port', String(port), '--json', 'tail', 'privmsg'], {output: output});
+        return server.waitFor('subscribe').then(function () {
+            server.privmsg('test', 'Someone', '#dazeus', 'Hello');
+            return new Promise(function (resolve) {
+                output.once('data', resolve);
+            });
+        }).then(function () {
+            JSON.parse(output.text).should.eql({event: 'PRIVMSG', params: ['test', 'Someone', '#dazeus', 'Hello']});
+            server.disconnect();
+            return done;
+        }).then(function (code) {
+            code.should.equal(0);
+        });
+    });
+
+    it('runs an interactive shell with completion of networks and channels', function () {
+        var input = new PassThrough(), output = collect();
+        var done = cli.main(['--port', String(port)], {input: input, output: output});
+        return server.waitFor(function (request) {
+            return request.get === 'channels' && request.params[0] === 'other';
+        }).then(function () {
+            input.write('channels test\n');
+            input.end('quit\n');
+            return done;
+        }).then(function (code) {
+            code.should.equal(0);
+            output.text.should.match(/#dazeus\n#dev\n/);
+        });
+    });
+
+    it('completes commands, actions, networks and channels', function () {
+        var shell = new cli.Cli(null);
+        shell.known = {test: ['#dazeus', '#dev'], other: []};
+        shell.complete('pr').should.eql([['prop'], 'pr']);
+        shell.complete('prop g').should.eql([['get'], 'g']);
+        shell.complete('prop get name t').should.eql([['test'], 't']);
+        shell.complete('say test #d').should.eql([['#dazeus', '#dev'], '#d']);
+        shell.complete('tail PR').should.eql([['PRIVMSG'], 'PR']);
+    });
+});
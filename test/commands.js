@@ -0,0 +1,212 @@
+var should = require('should');
+var dazeus = require('../dazeus');
+var MockServer = require('../lib/mock-server').MockServer;
+var tokenize = require('../lib/commands').tokenize;
+
+describe('CommandRouter', function () {
+    var server, client, router;
+
+    beforeEach(function (done) {
+        server = new MockServer({
+            networks: {test: {nick: 'DaZeus', channels: {'#dazeus': ['Someone']}}}
+        });
+        server.listen(0, function (address) {
+            client = dazeus.connect(address, function () {
+                router = client.router();
+                done();
+            });
+        });
+    });
+
+    afterEach(function (done) {
+        client.close();
+        server.close(function () {
+            done();
+        });
+    });
+
+    // resolves after DaZeus has processed everything the client sent so far
+    var settle = function () {
+        return client.networks();
+    };
+
+    var invoke = function (line) {
+        return settle().then(function () {
+            server.privmsg('test', 'Someone', '#dazeus', line);
+        });
+    };
+
+    it('parses positional and quoted arguments', function (done) {
+        router.command('greet', {args: '<name> [greeting...]'}, function (context) {
+            context.args.should.eql({name: 'Jane Doe', greeting: 'good morning to you'});
+            context.command.should.equal('greet');
+            done();
+        });
+        invoke('}greet "Jane Doe" good morning to you');
+    });
+
+    it('parses flags and numbers', function (done) {
+        router.command('roll', {
+            args: '[sides:number]',
+            flags: {verbose: {alias: 'v'}, label: 'string'}
+        }, function (context) {
+            context.args.sides.should.equal(20);
+            context.flags.should.eql({verbose: true, label: 'attack'});
+            done();
+        });
+        invoke('}roll -v 20 --label attack');
+    });
+
+    it('routes subcommands and aliases', function (done) {
+        var quote = router.command('quote', {aliases: ['q']});
+        quote.subcommand('add', {args: '<text...>'}, function () {
+            done(new Error("Wrong subcommand"));
+        });
+        quote.subcommand('del', {args: '<id:number>', aliases: ['rm']}, function (context) {
+            context.command.should.equal('quote del');
+            context.args.id.should.equal(3);
+            done();
+        });
+        invoke('}q rm 3');
+    });
+
+    it('replies with the usage for invalid arguments', function () {
+        router.command('quote').subcommand('del', {args: '<id:number>'}, function () {
+            throw new Error("Should not be called");
+        });
+        return invoke('}quote del three').then(function () {
+            return server.waitFor('message');
+        }).then(function (request) {
+            request.params[2].should.equal(
+                'Someone: Argument id should be a number. Usage: }quote del <id>'
+            );
+        });
+    });
+
+    it('refuses invalid argument declarations', function () {
+        (function () {
+            router.command('quote', {args: '<text...> <id>'}, function () {});
+        }).should.throw(dazeus.UsageError);
+    });
+
+    it('reports unexpected errors while parsing a command without throwing', function (done) {
+        var quote = router.command('quote', {args: '<text>'}, function () {
+            done(new Error("Should not be called"));
+        });
+        quote.parse = function () {
+            throw new TypeError("Broken parser");
+        };
+        client.on('error', function (err) {
+            err.should.be.an.instanceOf(TypeError);
+            done();
+        });
+        invoke('}quote hello');
+    });
+
+    it('reports commands that could not be registered to the router', function (done) {
+        router.handleError = function (err, context) {
+            err.should.be.an.instanceOf(dazeus.ConnectionError);
+            context.command.should.equal('greet');
+            done();
+        };
+        router.command('greet', function () {});
+        server.disconnect();
+    });
+
+    it('lists commands and explains them through }help', function () {
+        router.command('roll', {description: "Roll a die", args: '[sides:number]'}, function () {});
+        return invoke('}help').then(function () {
+            return server.waitFor('message');
+        }).then(function (request) {
+            request.params[2].should.equal('Available commands: }help, }roll. Use }help <command> for details.');
+            return invoke('}help roll');
+        }).then(function () {
+            return server.waitFor('message');
+        }).then(function (request) {
+            request.params[2].should.equal('}roll [sides] - Roll a die');
+        });
+    });
+
+    it('answers }help once for all routers of the client', function () {
+        router.command('roll', function () {});
+        client.router().command('flip', {description: "Flip a coin"}, function () {});
+        return invoke('}help').then(function () {
+            return server.waitFor('message');
+        }).then(function (request) {
+            request.params[2].should.equal('Available commands: }help, }roll, }flip. Use }help <command> for details.');
+            return invoke('}help flip');
+        }).then(function () {
+            return server.waitFor('message');
+        }).then(function (request) {
+            request.params[2].should.equal('}flip - Flip a coin');
+            return settle();
+        }).then(function () {
+            server.sent('test', '#dazeus').length.should.equal(2);
+        });
+    });
+
+    describe('with middleware', function () {
+        var middleware = dazeus.middleware;
+
+        it('refuses users without the required permission', function () {
+            router.command('kick', {
+                middleware: [middleware.requirePermission('admin')]
+            }, function () {
+                throw new Error("Should not be called");
+            });
+            return invoke('}kick').then(function () {
+                return server.waitFor('message');
+            }).then(function (request) {
+                request.params[2].should.equal("Someone: You don't have permission to do that.");
+            });
+        });
+
+        it('runs the handler for users with the required permission', function (done) {
+            server.setPermission('admin', ['test', '#dazeus', 'Someone']);
+            router.command('kick', function () {
+                done();
+            }).use(middleware.requirePermission('admin', {deniedMessage: null}));
+            invoke('}kick');
+        });
+
+        it('restricts commands to queries', function () {
+            router.command('secret', {middleware: [middleware.queryOnly("Ask me in private.")]}, function () {
+                throw new Error("Should not be called");
+            });
+            return invoke('}secret').then(function () {
+                return server.waitFor('message');
+            }).then(function (request) {
+                request.params[2].should.equal('Someone: Ask me in private.');
+            });
+        });
+
+        it('passes commands and events through router middleware in order', function (done) {
+            var seen = [];
+            router.use(function (context, next) {
+                seen.push(context.command || context.event);
+                return context.user === 'Ignored' ? undefined : next();
+            });
+            router.event('PRIVMSG', function (context, next) {
+                seen.push('event middleware');
+                return next();
+            }, function (context) {
+                if (context.user === 'Someone') {
+                    seen.should.eql(['PRIVMSG', 'PRIVMSG', 'event middleware']);
+                    done();
+                }
+            });
+            settle().then(function () {
+                server.privmsg('test', 'Ignored', '#dazeus', 'Hello');
+                server.privmsg('test', 'Someone', '#dazeus', 'Hello');
+            });
+        });
+    });
+
+    describe('tokenize', function () {
+        it('keeps apostrophes inside words', function () {
+            tokenize("it's \"a test\"").map(function (token) {
+                return token.value;
+            }).should.eql(["it's", 'a test']);
+        });
+    });
+});
@@ -0,0 +1,114 @@
+var should = require('should');
+var dazeus = require('../dazeus');
+var MockServer = require('../lib/mock-server').MockServer;
+
+describe('Configuration', function () {
+    var server, client, address;
+
+    beforeEach(function (done) {
+        server = new MockServer({
+            networks: {test: {nick: 'DaZeus', channels: {}}},
+            config: {plugin: {greeting: 'Hello', port: '8080', enabled: 'yes', admins: 'Someone, Other', ratio: 'lots'}}
+        });
+        server.listen(0, function (where) {
+            address = where;
+            client = dazeus.connect(address, function () {
+                client.handshake('example', '1.0');
+                done();
+            });
+        });
+    });
+
+    afterEach(function (done) {
+        client.close();
+        server.close(function () {
+            done();
+        });
+    });
+
+    it('retrieves typed values with defaults', function () {
+        return client.loadConfig({
+            greeting: 'string',
+            port: {type: 'integer', required: true},
+            enabled: 'boolean',
+            admins: 'list',
+            farewell: {type: 'string', 'default': 'Bye'},
+            missing: 'number',
+            highlight: {type: 'string', group: 'core'}
+        }).then(function (config) {
+            config.should.eql({
+                greeting: 'Hello',
+                port: 8080,
+                enabled: true,
+                admins: ['Someone', 'Other'],
+                farewell: 'Bye',
+                missing: undefined,
+                highlight: '}'
+            });
+        });
+    });
+
+    it('reports every missing or invalid key at once', function () {
+        return client.loadConfig({
+            token: {type: 'string', required: true},
+            ratio: 'number',
+            port: {
+                type: 'integer',
+                validate: function (port) {
+                    return port < 1024 || "should be a privileged port";
+                }
+            }
+        }).then(function () {
+            throw new Error("Should have been rejected");
+        }, function (err) {
+            err.should.be.an.instanceOf(dazeus.ValidationError);
+            err.message.should.equal(
+                'Invalid configuration: token is required; ratio should be of type number, got "lots"; ' +
+                'port is invalid: should be a privileged port'
+            );
+            err.key.should.equal('token');
+            err.errors.length.should.equal(3);
+        });
+    });
+
+    it('reports keys that could not be retrieved along with the other problems', function () {
+        var getConfig = client.getConfig;
+        client.getConfig = function (key, group) {
+            if (key === 'port') {
+                return Promise.reject(new dazeus.TimeoutError(null, 50, "No response within 50 ms"));
+            }
+            return getConfig.call(client, key, group);
+        };
+        return client.loadConfig({greeting: 'string', port: 'integer', ratio: 'number'}).then(function () {
+            throw new Error("Should have been rejected");
+        }, function (err) {
+            err.should.be.an.instanceOf(dazeus.ValidationError);
+            err.message.should.equal(
+                'Invalid configuration: port could not be retrieved: No response within 50 ms; ' +
+                'ratio should be of type number, got "lots"'
+            );
+            err.errors[0].cause.should.be.an.instanceOf(dazeus.TimeoutError);
+        });
+    });
+
+    it('needs a handshake for the plugin section', function (done) {
+        var other = dazeus.connect(address, function () {
+            other.loadConfig({greeting: 'string'}).then(function () {
+                throw new Error("Should have been rejected");
+            }, function (err) {
+                err.should.be.an.instanceOf(dazeus.UsageError);
+                return other.loadConfig({highlight: {type: 'string', group: 'core'}});
+            }).then(function (config) {
+                config.highlight.should.equal('}');
+                other.close();
+            }).then(done, done);
+        });
+    });
+
+    it('keeps the callback form of getConfig', function (done) {
+        client.getConfig('greeting', function (result) {
+            result.value.should.equal('Hello');
+            done();
+        });
+    });
+});
@@ -1,10 +1,559 @@
 var should = require('should');
-var dazeus = require('../lib/dazeus');
+var dazeus = require('../dazeus');
+var MockServer = require('../lib/mock-server').MockServer;
+var protocol = require('../lib/protocol');
 
 describe('dazeus', function () {
+    var server, client;
+
+    beforeEach(function (done) {
+        server = new MockServer({
+            networks: {
+                test: {nick: 'DaZeus', channels: {'#dazeus': ['@Op', 'Someone']}}
+            }
+        });
+        server.listen(0, function () {
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        if (client) {
+            client.close();
+            client = null;
+        }
+        server.close(function () {
+            done();
+        });
+    });
+
+    var connect = function (options, onConnect) {
+        client = dazeus.connect(Object.assign(server.address(), options), onConnect);
+        return client;
+    };
+
     describe('when connecting via a non-existing unix socket', function () {
-        it('gives an error', function () {
-            var server = dazeus.connect('/tmp/dazeus.socket');
+        it('gives an error', function (done) {
+            var failing = dazeus.connect({path: '/tmp/dazeus-nonexisting.socket'}, function () {
+                done(new Error("Should not connect"));
+            });
+            failing.on('error', function (err) {
+                err.should.be.an.instanceOf(dazeus.ConnectionError);
+                done();
+            });
+        });
+    });
+
+    describe('when using callbacks', function () {
+        it('passes the response to the callback', function (done) {
+            connect({}, function () {
+                client.networks(function (result) {
+                    result.networks.should.eql(['test']);
+                    done();
+                });
+            });
+        });
+
+        it('passes failed responses to the callback', function (done) {
+            connect({}, function () {
+                client.on('error', done);
+                client.channels('unknown', function (result, err) {
+                    result.success.should.be.false();
+                    err.should.be.an.instanceOf(dazeus.RequestFailedError);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('when using promises', function () {
+        it('resolves with the response', function (done) {
+            connect({}, function () {
+                client.nick('test').then(function (result) {
+                    result.nick.should.equal('DaZeus');
+                }).then(done, done);
+            });
+        });
+
+        it('rejects failed requests without also emitting them as errors', function (done) {
+            connect({}, function () {
+                client.on('error', done);
+                client.message('unknown', '#dazeus', 'Hello').then(function () {
+                    throw new Error("Should have been rejected");
+                }, function (err) {
+                    err.should.be.an.instanceOf(dazeus.RequestFailedError);
+                    err.response.success.should.be.false();
+                }).then(done, done);
+            });
+        });
+
+        it('stores and retrieves properties', function (done) {
+            connect({}, function () {
+                client.setProperty('greeting', 'hello', ['test']).then(function () {
+                    return client.getProperty('greeting', ['test', '#dazeus']);
+                }).then(function (result) {
+                    result.value.should.equal('hello');
+                }).then(done, done);
+            });
+        });
+
+        it('replies to queries directly to the user', function (done) {
+            connect({}, function () {
+                client.reply('test', 'DaZeus', 'Someone', 'Hi', {highlight: true}).then(function () {
+                    server.sent('test').should.eql([
+                        {type: 'message', network: 'test', target: 'Someone', message: 'Hi'}
+                    ]);
+                }).then(done, done);
+            });
+        });
+
+        it('resolves with the names in a channel', function (done) {
+            connect({}, function () {
+                client.nicknames('test', '#dazeus').then(function (names) {
+                    names.should.eql(['Op', 'Someone']);
+                }).then(done, done);
+            });
+        });
+
+        it('resolves with structured whois information', function (done) {
+            server.setUser('test', 'Someone', {
+                identified: false,
+                account: 'someone',
+                host: 'example.org',
+                realname: 'Some One',
+                idle: 42,
+                channels: ['@#dazeus', '+#other']
+            });
+            connect({}, function () {
+                client.whois('test', 'someone').then(function (info) {
+                    info.should.be.an.instanceOf(dazeus.WhoisInfo);
+                    info.nick.should.equal('Someone');
+                    info.account.should.equal('someone');
+                    info.identified.should.be.true();
+                    info.host.should.equal('example.org');
+                    info.realname.should.equal('Some One');
+                    info.idle.should.equal(42);
+                    info.channels.should.eql(['#dazeus', '#other']);
+                }).then(done, done);
+            });
+        });
+    });
+
+    describe('when waiting for responses', function () {
+        it('fails requests that time out', function (done) {
+            connect({timeout: 50}, function () {
+                // names requests are answered with an event, not with a response
+                client.request({'do': 'names', params: ['test', '#dazeus']}).then(function () {
+                    throw new Error("Should have been rejected");
+                }, function (err) {
+                    err.should.be.an.instanceOf(dazeus.TimeoutError);
+                    err.timeout.should.equal(50);
+                }).then(done, done);
+            });
+        });
+
+        it('can cancel pending requests', function (done) {
+            connect({}, function () {
+                var promise = client.networks();
+                var pending = client.pendingRequests();
+                pending.length.should.equal(1);
+                client.cancelRequest(pending[0].id).should.be.true();
+                promise.then(function () {
+                    throw new Error("Should have been rejected");
+                }, function (err) {
+                    err.should.be.an.instanceOf(dazeus.CancelledError);
+                    client.pendingRequests().should.be.empty();
+                    // the response to the cancelled request must not end up at the next one
+                    return client.nick('test');
+                }).then(function (result) {
+                    result.nick.should.equal('DaZeus');
+                }).then(done, done);
+            });
+        });
+
+        it('keeps abandoned requests until their own response arrives', function (done) {
+            connect({}, function () {
+                var peer = null, answered = false;
+                server.on('request', function (request, from) {
+                    peer = from;
+                });
+                // names requests are answered with an event, their response arrives late below
+                client.request({'do': 'names', params: ['test', '#dazeus']}, {timeout: 20}).then(function () {
+                    throw new Error("Should have been rejected");
+                }, function (err) {
+                    err.should.be.an.instanceOf(dazeus.TimeoutError);
+                    // a response to another verb must not make the client forget the abandoned request
+                    return client.nick('test');
+                }).then(function () {
+                    client.request({'do': 'names', params: ['test', '#dazeus']}, {timeout: 0}).then(function () {
+                        answered = true;
+                    }, function () {});
+                    peer.socket.write(protocol.encode({did: 'names', success: true}));
+                    return client.nick('test');
+                }).then(function () {
+                    answered.should.be.false();
+                    client.pendingRequests().length.should.equal(1);
+                }).then(done, done);
+            });
+        });
+
+        it('shares concurrent names requests for the same channel', function (done) {
+            connect({}, function () {
+                Promise.all([
+                    client.names('test', '#dazeus'),
+                    client.names('test', '#DaZeus')
+                ]).then(function (results) {
+                    results[0].should.eql(['@Op', 'Someone']);
+                    results[1].should.eql(['@Op', 'Someone']);
+                    server.received('names').length.should.equal(1);
+                    client.listenerCount('NAMES').should.equal(0);
+                }).then(done, done);
+            });
+        });
+
+        it('fails names and whois requests that are not answered in time', function (done) {
+            connect({timeout: 50}, function () {
+                // swallow the events that would answer the requests
+                server.event = function () {};
+                Promise.all([
+                    client.names('test', '#dazeus').then(null, function (err) {
+                        return err;
+                    }),
+                    client.whois('test', 'Someone').then(null, function (err) {
+                        return err;
+                    })
+                ]).then(function (errors) {
+                    errors[0].should.be.an.instanceOf(dazeus.TimeoutError);
+                    errors[1].should.be.an.instanceOf(dazeus.TimeoutError);
+                    client.listenerCount('NAMES').should.equal(0);
+                    client.listenerCount('WHOIS').should.equal(0);
+                }).then(done, done);
+            });
+        });
+
+        it('passes failed names lookups to the callback and rejects nicknames', function (done) {
+            connect({timeout: 50}, function () {
+                server.event = function () {};
+                client.names('test', '#dazeus', function (names, network, channel, err) {
+                    names.should.eql([]);
+                    network.should.equal('test');
+                    channel.should.equal('#dazeus');
+                    err.should.be.an.instanceOf(dazeus.TimeoutError);
+                    client.nicknames('test', '#dazeus').then(function () {
+                        throw new Error("Should have been rejected");
+                    }, function (err) {
+                        err.should.be.an.instanceOf(dazeus.TimeoutError);
+                    }).then(done, done);
+                });
+            });
+        });
+
+        it('fails pending requests when the connection is closed', function (done) {
+            connect({}, function () {
+                var promise = client.request({'do': 'names', params: ['test', '#dazeus']}, {timeout: 0});
+                server.disconnect();
+                promise.then(function () {
+                    throw new Error("Should have been rejected");
+                }, function (err) {
+                    err.should.be.an.instanceOf(dazeus.ConnectionError);
+                }).then(done, done);
+            });
+        });
+    });
+
+    describe('when receiving events', function () {
+        it('subscribes to events and passes the parameters to listeners', function (done) {
+            connect({}, function () {
+                client.on('PRIVMSG', function (network, user, channel, message) {
+                    [network, user, channel, message].should.eql(['test', 'Someone', '#dazeus', 'Hello']);
+                    done();
+                });
+                server.waitFor('subscribe').then(function () {
+                    server.privmsg('test', 'Someone', '#dazeus', 'Hello');
+                });
+            });
+        });
+
+        it('passes commands to command listeners', function (done) {
+            connect({}, function () {
+                client.onCommand('echo', function (network, user, channel, command, args) {
+                    args.should.equal('some text');
+                    done();
+                }).then(function () {
+                    server.privmsg('test', 'Someone', '#dazeus', '}echo some text');
+                });
+            });
+        });
+    });
+
+    describe('with structured events', function () {
+        it('emits a single event object with named fields', function (done) {
+            connect({structuredEvents: true}, function () {
+                client.on('PRIVMSG', function (event) {
+                    event.should.be.an.instanceOf(dazeus.Event);
+                    event.type.should.equal('PRIVMSG');
+                    event.network.should.equal('test');
+                    event.sender.should.equal('Someone');
+                    event.channel.should.equal('DaZeus');
+                    event.message.should.equal('Hello');
+                    event.isPrivate.should.be.true();
+                    event.reply('Hi there').then(function () {
+                        server.sent('test', 'Someone')[0].message.should.equal('Hi there');
+                    }).then(done, done);
+                });
+                client.networks().then(function () {
+                    server.privmsg('test', 'Someone', 'DaZeus', 'Hello');
+                });
+            });
+        });
+
+        it('collects remaining parameters of commands and names', function (done) {
+            connect({structuredEvents: true}, function () {
+                client.onCommand('echo', function (event) {
+                    event.command.should.equal('echo');
+                    event.message.should.equal('a b');
+                    event.args.should.eql(['a', 'b']);
+                    client.names('test', '#dazeus').then(function (names) {
+                        names.should.eql(['@Op', 'Someone']);
+                    }).then(done, done);
+                }).then(function () {
+                    server.command('test', 'Someone', '#dazeus', 'echo', 'a b');
+                });
+            });
+        });
+
+        it('refuses to reply to events without a sender', function () {
+            (function () {
+                new dazeus.Event('CONNECT', ['test']).reply('Hi');
+            }).should.throw(dazeus.UsageError);
+        });
+    });
+
+    describe('when negotiating the protocol', function () {
+        it('records the protocol version and capabilities of the server', function (done) {
+            connect({}, function () {
+                should(client.supports('networks')).be.null();
+                client.handshake('test', '1.0').then(function () {
+                    client.handshook.should.be.true();
+                    client.protocolVersion.should.equal(1);
+                    client.supports('networks', 'get').should.be.true();
+                    client.supports('networks', 'do').should.be.false();
+                    client.supports('teleport').should.be.false();
+                }).then(done, done);
+            });
+        });
+
+        it('fails requests the server does not support without sending them', function (done) {
+            server.capabilities = {get: ['networks'], 'do': ['handshake']};
+            connect({}, function () {
+                client.handshake('test', '1.0').then(function () {
+                    return client.whois('test', 'Someone');
+                }).then(function () {
+                    throw new Error("Should have been rejected");
+                }, function (err) {
+                    err.should.be.an.instanceOf(dazeus.UnsupportedError);
+                    err.message.should.match(/do whois/);
+                    server.received('whois').should.be.empty();
+                }).then(done, done);
+            });
+        });
+
+        it('sends everything to servers that do not announce their capabilities', function (done) {
+            server.capabilities = false;
+            connect({}, function () {
+                client.handshake('test', '1.0').then(function () {
+                    should(client.protocolVersion).be.null();
+                    should(client.supports('networks')).be.null();
+                    return client.networks();
+                }).then(function (networks) {
+                    networks.networks.should.eql(['test']);
+                }).then(done, done);
+            });
+        });
+
+        it('queues requests made before the handshake', function (done) {
+            connect({beforeHandshake: 'queue'}, function () {
+                var networks = client.networks();
+                server.received('networks').should.be.empty();
+                client.handshake('test', '1.0');
+                networks.then(function (result) {
+                    result.networks.should.eql(['test']);
+                    server.requests.map(function (request) {
+                        return request['do'] || request.get;
+                    }).should.eql(['handshake', 'networks']);
+                }).then(done, done);
+            });
+        });
+
+        it('rejects requests made before the handshake', function (done) {
+            connect({beforeHandshake: 'reject'}, function () {
+                client.networks().then(function () {
+                    throw new Error("Should have been rejected");
+                }, function (err) {
+                    err.should.be.an.instanceOf(dazeus.UsageError);
+                    return client.handshake('test', '1.0');
+                }).then(function () {
+                    return client.networks();
+                }).then(function (result) {
+                    result.networks.should.eql(['test']);
+                }).then(done, done);
+            });
+        });
+    });
+
+    describe('with subscriptions', function () {
+        // unsubscribing waits for the end of the turn, so wait for two round trips
+        var settle = function () {
+            return client.networks().then(function () {
+                return client.networks();
+            });
+        };
+
+        it('subscribes once and unsubscribes when the last listener is removed', function (done) {
+            var first = function () {}, second = function () {};
+            connect({}, function () {
+                client.on('PRIVMSG', first);
+                client.on('PRIVMSG', second);
+                settle().then(function () {
+                    server.received('subscribe').length.should.equal(1);
+                    client.removeListener('PRIVMSG', first);
+                    return settle();
+                }).then(function () {
+                    server.received('unsubscribe').should.be.empty();
+                    client.removeListener('PRIVMSG', second);
+                    return settle();
+                }).then(function () {
+                    server.received('unsubscribe')[0].params.should.eql(['PRIVMSG']);
+                    client.subscribedEvents.should.be.empty();
+                }).then(done, done);
+            });
+        });
+
+        it('keeps the subscription for listeners that are replaced right away', function (done) {
+            var forNames = function (frames) {
+                return frames.filter(function (frame) {
+                    return frame.params[0] === 'NAMES';
+                });
+            };
+            connect({}, function () {
+                client.names('test', '#dazeus').then(function () {
+                    return client.names('test', '#dazeus');
+                }).then(function () {
+                    return settle();
+                }).then(function () {
+                    forNames(server.received('subscribe')).length.should.equal(1);
+                    forNames(server.received('unsubscribe')).length.should.equal(1);
+                    client.subscribedEvents.should.be.empty();
+                }).then(done, done);
+            });
+        });
+
+        it('passes only events matching the filter to the listener', function (done) {
+            var received = [];
+            connect({}, function () {
+                var subscription = client.subscribe(['PRIVMSG', 'NOTICE'], {channel: '#DaZeus', message: /^hi/gi}, function (event) {
+                    received.push(event.type + ' ' + event.message);
+                });
+                settle().then(function () {
+                    server.privmsg('test', 'Someone', '#dazeus', 'Hi there');
+                    server.privmsg('test', 'Someone', '#dazeus', 'hi twice');
+                    server.privmsg('test', 'Someone', '#other', 'Hi there');
+                    server.privmsg('test', 'Someone', '#dazeus', 'Bye');
+                    server.event('NOTICE', ['test', 'Someone', '#dazeus', 'hi again']);
+                    return settle();
+                }).then(function () {
+                    subscription.unsubscribe();
+                    return settle();
+                }).then(function () {
+                    received.should.eql(['PRIVMSG Hi there', 'PRIVMSG hi twice', 'NOTICE hi again']);
+                    server.received('unsubscribe').length.should.equal(2);
+                }).then(done, done);
+            });
+        });
+
+        it('can be iterated over with a bounded buffer', function (done) {
+            connect({}, function () {
+                var subscription = client.subscribe('PRIVMSG', {sender: 'Someone'}, {buffer: 2});
+                (typeof subscription[Symbol.asyncIterator]).should.equal('function');
+                settle().then(function () {
+                    ['one', 'two', 'three'].forEach(function (message) {
+                        server.privmsg('test', 'Someone', '#dazeus', message);
+                    });
+                    return settle();
+                }).then(function () {
+                    subscription.dropped.should.equal(1);
+                    return subscription.next();
+                }).then(function (result) {
+                    result.value.message.should.equal('two');
+                    return subscription.next();
+                }).then(function (result) {
+                    result.value.message.should.equal('three');
+                    var pending = subscription.next();
+                    client.close();
+                    client = null;
+                    return pending;
+                }).then(function (result) {
+                    result.done.should.be.true();
+                }).then(done, done);
+            });
+        });
+    });
+
+    describe('when the connection is lost', function () {
+        it('reports failed requests nobody waits for instead of crashing', function (done) {
+            connect({}, function () {
+                var reported = [], awaited = null;
+                client.on('error', function (err) {
+                    reported.push(err.message);
+                });
+                client.onCommand('foo', function () {});
+                client.message('test', '#dazeus', 'Hello');
+                (async function () {
+                    try {
+                        await client.nick('test');
+                    } catch (err) {
+                        awaited = err;
+                    }
+                })();
+                server.disconnect();
+                setTimeout(function () {
+                    awaited.should.be.an.instanceOf(dazeus.ConnectionError);
+                    reported.should.eql(['Connection to DaZeus was closed', 'Connection to DaZeus was closed']);
+                    done();
+                }, 50);
+            });
+        });
+
+        it('reconnects and restores the session', function (done) {
+            connect({reconnect: {delay: 10}}, function () {
+                client.handshake('test-plugin', '1.0').then(function () {
+                    return client.onCommand('echo', function () {});
+                }).then(function () {
+                    server.reset();
+                    server.disconnect();
+                });
+            });
+            client.on('reconnected', function () {
+                server.received('handshake').length.should.equal(1);
+                server.received('command')[0].params.should.eql(['echo']);
+                done();
+            });
+        });
+
+        it('fails requests and closes right away while waiting to reconnect', function (done) {
+            connect({reconnect: {delay: 10000}}, function () {
+                server.disconnect();
+            });
+            client.on('reconnecting', function () {
+                client.networks().then(function () {
+                    throw new Error("Should have been rejected");
+                }, function (err) {
+                    err.should.be.an.instanceOf(dazeus.ConnectionError);
+                    return client.close();
+                }).then(function () {
+                    client = null;
+                }).then(done, done);
+            });
         });
     });
 });
@@ -0,0 +1,79 @@
+var should = require('should');
+var dazeus = require('../dazeus');
+var MockServer = require('../lib/mock-server').MockServer;
+var format = require('../lib/format');
+
+describe('format', function () {
+    it('builds formatted messages', function () {
+        format.build('Score: ').bold('high').text(' ').color(7, 'green', 'black').toString()
+            .should.equal('Score: \x02high\x02 \x03' + '03,017\x03');
+        format.italic(format.underline('both')).should.equal('\x1D\x1Fboth\x1F\x1D');
+    });
+
+    it('refuses unknown colours', function () {
+        (function () {
+            format.color('text', 'mauve');
+        }).should.throw(/Unknown colour mauve/);
+        (function () {
+            format.color('text', 100);
+        }).should.throw(dazeus.UsageError);
+    });
+
+    it('strips all formatting from incoming text', function () {
+        format.strip('\x02bold\x02 \x0304,12red\x03 \x0312 \x1Dx\x0F \x04ff0000hex\x04').should.equal('bold red  x hex');
+        format.isFormatted('plain text, with 3,12 digits').should.be.false();
+        format.isFormatted(format.bold('x')).should.be.true();
+    });
+
+    it('measures the visible and byte length', function () {
+        var text = format.build().color('héllo', 'red').bold('!').toString();
+        format.visibleLength(text).should.equal(6);
+        format.byteLength(text).should.equal(13);
+    });
+
+    describe('when sending', function () {
+        var server, client;
+
+        beforeEach(function (done) {
+            server = new MockServer({
+                networks: {test: {nick: 'DaZeus', channels: {'#dazeus': ['Someone'], '#plain': []}}}
+            });
+            server.listen(0, function (address) {
+                client = dazeus.connect(Object.assign({respectNoColors: true}, address), function () {
+                    done();
+                });
+            });
+        });
+
+        afterEach(function (done) {
+            client.close();
+            server.close(function () {
+                done();
+            });
+        });
+
+        it('accepts builders in replies and command templates', function () {
+            var message = format.build().bold('Usage:').text(' {cmd} <text>');
+            return client.insertCommand(message, 'echo').then(function (usage) {
+                return client.reply('test', '#dazeus', 'Someone', format.build(usage), true);
+            }).then(function () {
+                server.sent('test', '#dazeus')[0].message.should.equal('Someone: \x02Usage:\x02 }echo <text>');
+            });
+        });
+
+        it('strips formatting in channels where it is disabled', function () {
+            return format.setAllowsColors(client, false, 'test', '#plain').then(function () {
+                return Promise.all([
+                    client.message('test', '#plain', format.bold('Hello')),
+                    client.message('test', '#dazeus', format.bold('Hello'))
+                ]);
+            }).then(function () {
+                server.sent('test', '#plain')[0].message.should.equal('Hello');
+                server.sent('test', '#dazeus')[0].message.should.equal('\x02Hello\x02');
+                return format.allowsColors(client, 'test', '#plain');
+            }).then(function (allowed) {
+                allowed.should.be.false();
+            });
+        });
+    });
+});
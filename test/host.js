@@ -0,0 +1,241 @@
+var should = require('should');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var dazeus = require('../dazeus');
+var MockServer = require('../lib/mock-server').MockServer;
+
+describe('Host', function () {
+    var server, client, directory;
+
+    beforeEach(function (done) {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dazeus-host-'));
+        server = new MockServer({
+            networks: {test: {nick: 'DaZeus', channels: {'#dazeus': ['Someone']}}},
+            config: {plugin: {'alpha.greeting': 'Hello', 'beta.greeting': 'Hi'}}
+        });
+        server.listen(0, function (address) {
+            client = dazeus.connect(address, function () {
+                done();
+            });
+        });
+    });
+
+    afterEach(function (done) {
+        client.close();
+        server.close(function () {
+            fs.readdirSync(directory).forEach(function (entry) {
+                fs.unlinkSync(path.join(directory, entry));
+            });
+            fs.rmdirSync(directory);
+            done();
+        });
+    });
+
+    // a plugin that answers its own command with its configured greeting and a version
+    var writePlugin = function (name, version) {
+        fs.writeFileSync(path.join(directory, name + '.js'), [
+            "module.exports = function (client) {",
+            "    client.handshake('" + name + "', '" + version + "');",
+            "    client.onCommand('" + name + "', function (network, sender, channel) {",
+            "        client.getConfig('greeting').then(function (config) {",
+            "            client.reply(network, channel, sender, config.value + ' from " + name + " " + version + "');",
+            "        });",
+            "    });",
+            "    return function () {",
+            "        return client.setProperty('unloaded', '" + version + "');",
+            "    };",
+            "};"
+        ].join('\n'));
+    };
+
+    var invoke = function (command) {
+        return client.networks().then(function () {
+            server.privmsg('test', 'Someone', '#dazeus', '}' + command);
+            return server.waitFor('message');
+        }).then(function (request) {
+            return request.params[2];
+        });
+    };
+
+    it('gives each plugin its own handshake, config and commands', function () {
+        writePlugin('alpha', '1');
+        writePlugin('beta', '1');
+        var host = client.host({directory: directory});
+        return host.ready.then(function () {
+            host.loaded().should.eql(['alpha', 'beta']);
+            server.received('handshake').should.be.empty();
+            return invoke('alpha');
+        }).then(function (message) {
+            message.should.equal('Hello from alpha 1');
+            return invoke('beta');
+        }).then(function (message) {
+            message.should.equal('Hi from beta 1');
+        });
+    });
+
+    it('prefixes properties with the name of the plugin', function () {
+        fs.writeFileSync(path.join(directory, 'counter.js'), "module.exports = function () {};");
+        var host = client.host({plugins: [path.join(directory, 'counter.js')]});
+        return host.ready.then(function () {
+            var view = host.plugins.counter.view;
+            return view.setProperty('count', '3').then(function () {
+                server.getProperty('counter.count').should.equal('3');
+                return view.getProperty('count');
+            }).then(function (result) {
+                result.value.should.equal('3');
+                return view.propertyKeys('');
+            }).then(function (result) {
+                result.keys.should.eql(['count']);
+            });
+        });
+    });
+
+    it('reads plugins and their config from a config file', function () {
+        writePlugin('alpha', '1');
+        var config = path.join(directory, 'plugins.json');
+        fs.writeFileSync(config, JSON.stringify({
+            plugins: [{path: 'alpha.js', name: 'greeter', config: {greeting: 'Howdy'}}]
+        }));
+        var host = client.host({config: config});
+        return host.ready.then(function () {
+            host.loaded().should.eql(['greeter']);
+            return invoke('alpha');
+        }).then(function (message) {
+            message.should.equal('Howdy from alpha 1');
+        });
+    });
+
+    it('unloads and reloads one plugin without touching the others', function () {
+        writePlugin('alpha', '1');
+        writePlugin('beta', '1');
+        var host = client.host({directory: directory});
+        var before;
+        return host.ready.then(function () {
+            before = client.listenerCount('command_beta');
+            writePlugin('alpha', '2');
+            return host.reload('alpha');
+        }).then(function () {
+            server.getProperty('alpha.unloaded').should.equal('1');
+            client.listenerCount('command_alpha').should.equal(1);
+            client.listenerCount('command_beta').should.equal(before);
+            return invoke('alpha');
+        }).then(function (message) {
+            message.should.equal('Hello from alpha 2');
+            return host.unload('alpha');
+        }).then(function () {
+            host.loaded().should.eql(['beta']);
+            client.listenerCount('command_alpha').should.equal(0);
+            return invoke('beta');
+        }).then(function (message) {
+            message.should.equal('Hi from beta 1');
+        });
+    });
+
+    it('answers }help once for the routers of all plugins', function () {
+        ['dice', 'coin'].forEach(function (name) {
+            fs.writeFileSync(path.join(directory, name + '.js'), [
+                "module.exports = function (client) {",
+                "    client.router().command('" + name + "', function () {});",
+                "};"
+            ].join('\n'));
+        });
+        var host = client.host({directory: directory});
+        return host.ready.then(function () {
+            return invoke('help');
+        }).then(function (message) {
+            message.should.equal('Available commands: }help, }coin, }dice. Use }help <command> for details.');
+            return host.unload('coin');
+        }).then(function () {
+            return invoke('help');
+        }).then(function (message) {
+            message.should.equal('Available commands: }help, }dice. Use }help <command> for details.');
+            server.received('message').length.should.equal(2);
+        });
+    });
+
+    it('reports plugins that fail to load and loads the others', function () {
+        fs.writeFileSync(path.join(directory, 'broken.js'), "throw new Error('Oops');");
+        fs.writeFileSync(path.join(directory, 'empty.js'), "module.exports = {};");
+        writePlugin('beta', '1');
+        var failures = [];
+        var host = client.host({directory: directory});
+        host.on('error', function (err, name) {
+            failures.push(name + ': ' + err.message);
+            if (name === 'empty') {
+                err.should.be.an.instanceOf(dazeus.UsageError);
+            }
+        });
+        return host.ready.then(function () {
+            failures.should.eql(['broken: Oops', 'empty: Plugin empty exports no load function']);
+            host.loaded().should.eql(['beta']);
+        });
+    });
+
+    it('skips plugin paths that do not exist and loads the others', function () {
+        writePlugin('beta', '1');
+        var failures = [];
+        var host = client.host({plugins: [path.join(directory, 'missing.js'), path.join(directory, 'beta.js')]});
+        host.on('error', function (err, name) {
+            failures.push(name);
+        });
+        return host.ready.then(function () {
+            failures.should.eql(['missing']);
+            host.loaded().should.eql(['beta']);
+            return host.load(path.join(directory, 'missing.js')).then(function () {
+                throw new Error("Should have been rejected");
+            }, function (err) {
+                err.code.should.equal('MODULE_NOT_FOUND');
+            });
+        });
+    });
+
+    it('reports a plugin directory that does not exist and loads the other plugins', function () {
+        writePlugin('beta', '1');
+        var missing = path.join(directory, 'missing'), failures = [];
+        var host = client.host({directory: missing, plugins: [path.join(directory, 'beta.js')]});
+        host.on('error', function (err, name) {
+            failures.push(name + ': ' + err.code);
+        });
+        return host.ready.then(function () {
+            failures.should.eql([missing + ': ENOENT']);
+            host.loaded().should.eql(['beta']);
+        });
+    });
+
+    it('cancels the prompts of a plugin when unloading it', function () {
+        fs.writeFileSync(path.join(directory, 'quiz.js'), [
+            "module.exports = function (client) {",
+            "    module.exports.answer = client.prompt('test', '#dazeus', 'Someone');",
+            "};"
+        ].join('\n'));
+        var host = client.host({directory: directory}), answer;
+        return host.ready.then(function () {
+            answer = require(path.join(directory, 'quiz.js')).answer;
+            client.prompts.isWaiting('test', '#dazeus', 'Someone').should.be.true();
+            return host.unload('quiz');
+        }).then(function () {
+            client.prompts.isWaiting('test', '#dazeus', 'Someone').should.be.false();
+            return answer;
+        }).then(function () {
+            throw new Error("Should have been rejected");
+        }, function (err) {
+            err.should.be.an.instanceOf(dazeus.CancelledError);
+            err.message.should.equal('Plugin quiz was unloaded');
+        });
+    });
+
+    it('reloads plugins when their files change', function (done) {
+        writePlugin('alpha', '1');
+        var host = client.host({directory: directory, watch: true});
+        host.on('reload', function (name) {
+            name.should.equal('alpha');
+            invoke('alpha').then(function (message) {
+                message.should.equal('Hello from alpha 2');
+            }).then(done, done);
+        });
+        host.ready.then(function () {
+            writePlugin('alpha', '2');
+        });
+    });
+});
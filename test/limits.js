@@ -0,0 +1,232 @@
+var should = require('should');
+var dazeus = require('../dazeus');
+var MockServer = require('../lib/mock-server').MockServer;
+var limits = require('../lib/limits');
+
+describe('Limiter', function () {
+    var server, client, router;
+
+    beforeEach(function (done) {
+        server = new MockServer({
+            networks: {test: {nick: 'DaZeus', channels: {'#dazeus': ['Op', 'Someone', 'Other']}}}
+        });
+        server.listen(0, function (address) {
+            client = dazeus.connect(address, function () {
+                router = client.router();
+                done();
+            });
+        });
+    });
+
+    afterEach(function (done) {
+        client.close();
+        server.close(function () {
+            done();
+        });
+    });
+
+    // resolves after DaZeus and the client have processed everything sent so far
+    var settle = function () {
+        return client.networks().then(function () {
+            return client.networks();
+        });
+    };
+
+    var invoke = function (user, line) {
+        return settle().then(function () {
+            server.privmsg('test', user, '#dazeus', line);
+            return settle();
+        });
+    };
+
+    // resolves when the client replied to the command
+    var ask = function (user, line) {
+        return settle().then(function () {
+            var replied = server.waitFor('message');
+            server.privmsg('test', user, '#dazeus', line);
+            return replied;
+        });
+    };
+
+    var invokeAll = function (user, lines) {
+        return lines.reduce(function (previous, line) {
+            return previous.then(function () {
+                return invoke(user, line);
+            });
+        }, Promise.resolve());
+    };
+
+    var notices = function (target) {
+        return server.sent('test', target).filter(function (message) {
+            return message.type === 'notice';
+        });
+    };
+
+    it('keeps a cooldown for every user', function (done) {
+        var users = [];
+        router.command('roll', {cooldown: 60000}, function (context) {
+            users.push(context.user);
+        });
+        invokeAll('Someone', ['}roll', '}roll']).then(function () {
+            return invoke('Other', '}roll');
+        }).then(function () {
+            users.should.eql(['Someone', 'Other']);
+            notices('Someone').should.be.empty();
+        }).then(done, done);
+    });
+
+    it('tells users once how long to wait', function (done) {
+        var count = 0;
+        router.command('search', {limits: [{limit: 2, interval: 60000, per: 'global', action: 'notice'}]}, function () {
+            count += 1;
+        });
+        invokeAll('Someone', ['}search', '}search', '}search', '}search']).then(function () {
+            count.should.equal(2);
+            var sent = notices('Someone');
+            sent.length.should.equal(1);
+            sent[0].message.should.match(/try again in (59|60) seconds/);
+        }).then(done, done);
+    });
+
+    it('temporarily ignores users that exceed a limit, for every handler', function (done) {
+        var raw = 0;
+        router.use(dazeus.middleware.rateLimit({limit: 1, interval: 60000, action: 'ignore', ignoreFor: 300000}));
+        router.command('spam', function () {});
+        client.onCommand('other', function () {
+            raw += 1;
+        });
+        invokeAll('Someone', ['}spam', '}spam', '}other']).then(function () {
+            raw.should.equal(0);
+            client.limits().isIgnored('test', 'someone').should.be.true();
+            var stored = JSON.parse(server.getProperty('limits.ignore.test.someone'));
+            stored.user.should.equal('Someone');
+            stored.until.should.be.above(Date.now() + 290000);
+            return invoke('Other', '}other');
+        }).then(function () {
+            raw.should.equal(1);
+        }).then(done, done);
+    });
+
+    it('manages the ignore list with a command', function (done) {
+        var handled = [];
+        server.setPermission('ignore', ['test', '#dazeus', 'Op']);
+        client.limits().registerCommands(router);
+        router.command('echo', function (context) {
+            handled.push(context.user);
+        });
+
+        var replies = function () {
+            return server.sent('test', '#dazeus').map(function (message) {
+                return message.message;
+            });
+        };
+
+        ask('Someone', '}ignore add Op').then(function () {
+            replies().should.eql(["Someone: You don't have permission to do that."]);
+            return ask('Op', '}ignore add Someone 1h30m');
+        }).then(function () {
+            return ask('Op', '}ignore list');
+        }).then(function () {
+            return invoke('Someone', '}echo');
+        }).then(function () {
+            handled.should.be.empty();
+            return ask('Op', '}ignore rm someone');
+        }).then(function () {
+            return ask('Op', '}ignore list');
+        }).then(function () {
+            return invoke('Someone', '}echo');
+        }).then(function () {
+            handled.should.eql(['Someone']);
+            replies().slice(1).should.eql([
+                "Op: Ignoring Someone for 1h 30m.",
+                "Op: Ignoring Someone (1h 29m left).",
+                "Op: No longer ignoring someone.",
+                "Op: Nobody is ignored."
+            ]);
+        }).then(done, done);
+    });
+
+    it('restores the counted uses and ignored users after a restart', function (done) {
+        var now = Date.now();
+        server.setProperty('limits.bucket.roll/test:someone', JSON.stringify({interval: 60000, hits: [now - 1000]}));
+        server.setProperty('limits.bucket.roll/test:other', JSON.stringify({interval: 60000, hits: [now - 120000]}));
+        server.setProperty('limits.ignore.test.spammer', JSON.stringify({network: 'test', user: 'Spammer', until: null}));
+        server.setProperty('limits.ignore.test.expired', JSON.stringify({network: 'test', user: 'Expired', until: now - 1}));
+
+        var users = [];
+        router.command('roll', {cooldown: 60000}, function (context) {
+            users.push(context.user);
+        });
+        client.limits().ready.then(function () {
+            client.limits().ignored().map(function (entry) {
+                return entry.user;
+            }).should.eql(['Spammer']);
+            return invokeAll('Someone', ['}roll']);
+        }).then(function () {
+            return invoke('Other', '}roll');
+        }).then(function () {
+            users.should.eql(['Other']);
+            should(server.getProperty('limits.ignore.test.expired')).be.undefined();
+        }).then(done, done);
+    });
+
+    it('stores the counted uses together, and only while they count against a limit', function (done) {
+        var stored = function () {
+            return server.received('property').filter(function (request) {
+                return request.params[0] === 'set';
+            }).map(function (request) {
+                return request.params[1];
+            });
+        };
+        client.limits({saveDelay: 300});
+        router.command('roll', {cooldown: 60000}, function () {});
+        router.command('flip', {cooldown: 10}, function () {});
+        invokeAll('Someone', ['}roll', '}flip', '}roll']).then(function () {
+            return invoke('Other', '}roll');
+        }).then(function () {
+            stored().should.be.empty();
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 350);
+            });
+        }).then(settle).then(function () {
+            stored().should.eql(['limits.bucket.roll/test:someone', 'limits.bucket.roll/test:other']);
+            should(server.getProperty('limits.bucket.flip/test:someone')).be.undefined();
+        }).then(done, done);
+    });
+
+    it('waits for the stored uses and ignored users before checking commands', function (done) {
+        var now = Date.now(), users = [], raw = [];
+        server.setProperty('limits.bucket.roll/test:someone', JSON.stringify({interval: 60000, hits: [now - 1000]}));
+        server.setProperty('limits.ignore.test.spammer', JSON.stringify({network: 'test', user: 'Spammer', until: null}));
+        router.command('roll', {cooldown: 60000}, function (context) {
+            users.push(context.user);
+        });
+        client.onCommand('echo', function (network, user) {
+            raw.push(user);
+        });
+        settle().then(function () {
+            client.limits();
+            server.privmsg('test', 'Spammer', '#dazeus', '}echo');
+            server.privmsg('test', 'Someone', '#dazeus', '}roll');
+            return client.limits().ready;
+        }).then(settle).then(function () {
+            users.should.be.empty();
+            raw.should.be.empty();
+            return invoke('Other', '}echo');
+        }).then(function () {
+            raw.should.eql(['Other']);
+        }).then(done, done);
+    });
+
+    it('parses and describes durations', function () {
+        limits.parseDuration('90s').should.equal(90000);
+        limits.parseDuration('1d12h').should.equal(129600000);
+        limits.parseDuration('15').should.equal(900000);
+        limits.parseDuration('soon').should.equal(0);
+        limits.formatDuration(5400000).should.equal('1h 30m');
+        limits.formatDuration(500).should.equal('1s');
+        (function () {
+            limits.normalize({limit: 2});
+        }).should.throw(/needs a cooldown/);
+    });
+});
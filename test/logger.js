@@ -0,0 +1,102 @@
+var should = require('should');
+var dazeus = require('../dazeus');
+var MockServer = require('../lib/mock-server').MockServer;
+var Logger = require('../lib/logger').Logger;
+
+describe('Logger', function () {
+    var lines, stream;
+
+    beforeEach(function () {
+        lines = [];
+        stream = {
+            write: function (line) {
+                lines.push(line);
+            }
+        };
+    });
+
+    it('drops messages below the level of their component', function () {
+        var log = new Logger({level: 'info', components: {protocol: 'trace'}, stream: stream});
+        log.debug("Not shown");
+        log.warn("Shown %d", 1);
+        log.component('events').trace("Not shown");
+        log.component('protocol').trace({id: 3}, "Shown %s", 'too');
+        lines.length.should.equal(2);
+        lines[0].should.match(/^\[[\d\-T:]+\] WARN Shown 1\n$/);
+        lines[1].should.match(/TRACE protocol: Shown too id=3\n$/);
+    });
+
+    it('writes JSON lines with the fields of the logger and the message', function () {
+        var log = new Logger({format: 'json', stream: stream}).child({network: 'test'});
+        log.info({channel: '#dazeus'}, "Joined %s", '#dazeus');
+        var entry = JSON.parse(lines[0]);
+        entry.should.have.properties({level: 'info', msg: 'Joined #dazeus', network: 'test', channel: '#dazeus'});
+        entry.time.should.be.a.String();
+    });
+
+    it('redacts message bodies and property values', function () {
+        var entries = [];
+        var log = new Logger({level: 'trace', redact: true, logger: function (level, message, fields) {
+            entries.push(fields);
+        }});
+        log.debug({message: 'secret', network: 'test'}, "Sending");
+        log.trace({request: {'do': 'message', params: ['test', '#dazeus', 'secret']}}, "Sending");
+        log.trace({request: {'do': 'property', params: ['set', 'key', 'secret']}}, "Sending");
+        log.trace({response: {did: 'property', success: true, value: 'secret'}}, "Received");
+        log.trace({event: {event: 'COMMAND', params: ['test', 'Someone', '#dazeus', 'say', 'secret', 'stuff']}}, "Received");
+        JSON.stringify(entries).should.not.match(/secret/);
+        entries[0].network.should.equal('test');
+        entries[4].event.params.slice(0, 4).should.eql(['test', 'Someone', '#dazeus', 'say']);
+    });
+
+    it('passes messages to a pino-style logger', function () {
+        var calls = [];
+        var target = {
+            info: function (fields, message) {
+                calls.push(['info', fields, message]);
+            },
+            debug: function (fields, message) {
+                calls.push(['debug', fields, message]);
+            }
+        };
+        var log = new Logger({level: 'trace', logger: target}).component('queue');
+        log.info({network: 'test'}, "Hello %s", 'world');
+        log.trace("Falls back to debug");
+        calls.should.eql([
+            ['info', {component: 'queue', network: 'test'}, 'Hello world'],
+            ['debug', {component: 'queue'}, 'Falls back to debug']
+        ]);
+    });
+
+    it('refuses unknown levels', function () {
+        (function () {
+            return new Logger({level: 'loud'});
+        }).should.throw(/Unknown log level loud/);
+    });
+
+    it('logs protocol traffic of the client with request ids', function (done) {
+        var entries = [];
+        var server = new MockServer({networks: {test: {nick: 'DaZeus', channels: {}}}});
+        server.listen(0, function (address) {
+            var client = dazeus.connect(Object.assign({
+                log: {level: 'warn', components: {protocol: 'trace'}, redact: true},
+                logger: function (level, message, fields) {
+                    entries.push(fields);
+                }
+            }, address), function () {
+                client.message('test', '#dazeus', 'secret').then(function () {
+                    entries.map(function (fields) {
+                        return fields.id;
+                    }).should.eql([1, 1]);
+                    entries[0].request.params.should.eql(['test', '#dazeus', '[redacted]']);
+                    entries[1].response.did.should.equal('message');
+                }).then(function () {
+                    client.close();
+                    server.close(function () {
+                        done();
+                    });
+                }).catch(done);
+            });
+        });
+    });
+});
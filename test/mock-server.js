@@ -0,0 +1,83 @@
+var should = require('should');
+var dazeus = require('../dazeus');
+var MockServer = require('../lib/mock-server').MockServer;
+
+describe('MockServer', function () {
+    var server, client;
+
+    beforeEach(function (done) {
+        server = new MockServer({
+            networks: {
+                test: {nick: 'DaZeus', channels: {'#dazeus': ['Someone']}},
+                other: {nick: 'Bot'}
+            },
+            config: {plugin: {answer: '42'}}
+        });
+        server.listen('/tmp/dazeus-mock-test.sock', function (address) {
+            client = dazeus.connect(address, function () {
+                done();
+            });
+        });
+    });
+
+    afterEach(function (done) {
+        client.close();
+        server.close(function () {
+            done();
+        });
+    });
+
+    it('falls back to less specific scopes for properties', function () {
+        server.setProperty('greeting', 'hi', ['test']);
+        should(server.getProperty('greeting', ['test', '#dazeus', 'Someone'])).equal('hi');
+        should(server.getProperty('greeting', ['other'])).be.undefined();
+    });
+
+    it('answers permission requests from its store', function () {
+        server.setPermission('admin', ['test', '#dazeus', 'Someone']);
+        return client.getPermission('admin', ['test', '#dazeus', 'Someone']).then(function (result) {
+            result.has_permission.should.be.true();
+            return client.getPermission('admin', ['test', '#dazeus', 'Other'], true);
+        }).then(function (result) {
+            result.has_permission.should.be.true();
+            return client.getPermission('admin', ['test', '#dazeus', 'Other']);
+        }).then(function (result) {
+            result.has_permission.should.be.false();
+        });
+    });
+
+    it('answers configuration requests', function () {
+        return client.getConfig('answer').then(function (result) {
+            result.value.should.equal('42');
+            return client.highlightCharacter();
+        }).then(function (highlight) {
+            highlight.should.equal('}');
+        });
+    });
+
+    it('records sent messages', function () {
+        return client.notice('other', 'Someone', 'Psst').then(function () {
+            server.sent('other', 'Someone').should.eql([
+                {type: 'notice', network: 'other', target: 'Someone', message: 'Psst'}
+            ]);
+            server.received('notice').length.should.equal(1);
+        });
+    });
+
+    it('only sends commands for the network they were registered for', function (done) {
+        client.onCommand('ping', 'other', function (network) {
+            network.should.equal('other');
+            done();
+        }).then(function () {
+            server.command('test', 'Someone', '#dazeus', 'ping');
+            server.command('other', 'Someone', '#bots', 'ping');
+        });
+    });
+
+    it('keeps track of joining users', function () {
+        server.join('test', 'Newcomer', '#dazeus');
+        return client.names('test', '#dazeus').then(function (names) {
+            names.should.eql(['Someone', 'Newcomer']);
+        });
+    });
+});
@@ -0,0 +1,148 @@
+var should = require('should');
+var dazeus = require('../dazeus');
+var MockServer = require('../lib/mock-server').MockServer;
+
+describe('Prompts', function () {
+    var server, client;
+
+    beforeEach(function (done) {
+        server = new MockServer({
+            networks: {test: {nick: 'DaZeus', channels: {'#dazeus': ['Someone', 'Other']}}}
+        });
+        server.listen(0, function (address) {
+            client = dazeus.connect(address, function () {
+                done();
+            });
+        });
+    });
+
+    afterEach(function (done) {
+        client.close();
+        server.close(function () {
+            done();
+        });
+    });
+
+    // resolves after DaZeus has processed everything the client sent so far
+    var settle = function () {
+        return client.networks();
+    };
+
+    it('resolves with the next message of the user and cleans up', function () {
+        var answer = client.prompt('test', '#dazeus', 'Someone', {question: "What's your name?"});
+        return server.waitFor('message').then(function (request) {
+            request.params[2].should.equal("Someone: What's your name?");
+            server.privmsg('test', 'Other', '#dazeus', 'Not me');
+            server.privmsg('test', 'Someone', 'DaZeus', 'Not here');
+            server.privmsg('test', 'Someone', '#dazeus', ' Jane ');
+            return answer;
+        }).then(function (name) {
+            name.should.equal('Jane');
+            client.listenerCount('PRIVMSG').should.equal(0);
+        });
+    });
+
+    it('asks again for invalid answers', function () {
+        var answer = client.prompt('test', '#dazeus', 'Someone', {choices: ['yes', 'no']});
+        return settle().then(function () {
+            server.privmsg('test', 'Someone', '#dazeus', 'maybe');
+            return server.waitFor('message');
+        }).then(function (request) {
+            request.params[2].should.equal('Someone: Please answer yes or no.');
+            server.privmsg('test', 'Someone', '#dazeus', 'YES');
+            return answer;
+        }).then(function (choice) {
+            choice.should.equal('yes');
+        });
+    });
+
+    it('gives up after too many invalid answers', function () {
+        var answer = client.prompt('test', '#dazeus', 'Someone', {
+            retries: 0,
+            validate: function (text) {
+                return /^\d+$/.test(text) || "That's not a number.";
+            }
+        });
+        return settle().then(function () {
+            server.privmsg('test', 'Someone', '#dazeus', 'seven');
+            return answer;
+        }).then(function () {
+            throw new Error("Should have been rejected");
+        }, function (err) {
+            err.should.be.an.instanceOf(dazeus.ValidationError);
+            err.value.should.equal('seven');
+        });
+    });
+
+    it('fails with the error of a validate function that throws', function () {
+        var answer = client.prompt('test', '#dazeus', 'Someone', {
+            validate: function () {
+                throw new TypeError("Broken validation");
+            }
+        });
+        return settle().then(function () {
+            server.privmsg('test', 'Someone', '#dazeus', 'seven');
+            return answer;
+        }).then(function () {
+            throw new Error("Should have been rejected");
+        }, function (err) {
+            err.should.be.an.instanceOf(TypeError);
+            client.listenerCount('PRIVMSG').should.equal(0);
+        });
+    });
+
+    it('keeps conversations with different users apart', function () {
+        var first = client.prompt('test', '#dazeus', 'Someone');
+        var second = client.prompt('test', '#dazeus', 'Other');
+        return settle().then(function () {
+            server.privmsg('test', 'Other', '#dazeus', 'second');
+            server.privmsg('test', 'Someone', '#dazeus', 'first');
+            return Promise.all([first, second]);
+        }).then(function (answers) {
+            answers.should.eql(['first', 'second']);
+        });
+    });
+
+    it('fails when the user does not answer in time', function () {
+        return client.prompt('test', '#dazeus', 'Someone', {timeout: 30}).then(function () {
+            throw new Error("Should have been rejected");
+        }, function (err) {
+            err.should.be.an.instanceOf(dazeus.TimeoutError);
+            client.listenerCount('PRIVMSG').should.equal(0);
+        });
+    });
+
+    it('is cancelled by a new command or a new prompt', function () {
+        var first = client.prompt('test', '#dazeus', 'Someone');
+        var second = client.prompt('test', '#dazeus', 'Someone');
+        return first.then(function () {
+            throw new Error("Should have been cancelled");
+        }, function (err) {
+            err.should.be.an.instanceOf(dazeus.CancelledError);
+            return settle();
+        }).then(function () {
+            server.privmsg('test', 'Someone', '#dazeus', '}help');
+            return second;
+        }).then(function () {
+            throw new Error("Should have been cancelled");
+        }, function (err) {
+            err.should.be.an.instanceOf(dazeus.CancelledError);
+            err.message.should.equal('Someone started a new command');
+        });
+    });
+
+    it('lets command handlers ask questions', function (done) {
+        client.router().command('reset', function (command) {
+            return command.prompt("Are you sure?", {choices: ['yes', 'no']}).then(function (answer) {
+                answer.should.equal('no');
+            }).then(done, done);
+        });
+        settle().then(function () {
+            server.privmsg('test', 'Someone', '#dazeus', '}reset');
+            return server.waitFor('message');
+        }).then(function (request) {
+            request.params[2].should.equal('Someone: Are you sure?');
+            server.privmsg('test', 'Someone', '#dazeus', 'No');
+        });
+    });
+});
@@ -0,0 +1,70 @@
+var should = require('should');
+var protocol = require('../lib/protocol');
+var ProtocolError = require('../lib/errors').ProtocolError;
+
+describe('Protocol', function () {
+    var errors, parser;
+
+    beforeEach(function () {
+        errors = [];
+        parser = new protocol.Parser(function (err) {
+            errors.push(err);
+        }, {maxFrameSize: 64});
+    });
+
+    // feed the bytes to the parser in pieces of the given size
+    var feed = function (bytes, size) {
+        var messages = [];
+        for (var i = 0; i < bytes.length; i += size) {
+            messages = messages.concat(parser.dezeusify(bytes.slice(i, i + size)));
+        }
+        return messages;
+    };
+
+    it('encodes messages with their length in bytes', function () {
+        protocol.encode({name: 'Zoë'}).toString('utf8').should.equal('15{"name":"Zoë"}\r\n');
+        protocol.encode({a: 1}).toString('utf8').should.equal(protocol.dazeusify({a: 1}));
+    });
+
+    it('decodes messages split at any byte, including inside characters', function () {
+        var messages = [{name: 'Zoë'}, {text: '日本語 ☃'}, {n: [1, 2, 3]}];
+        var bytes = Buffer.concat(messages.map(protocol.encode));
+        [1, 2, 3, 7, bytes.length].forEach(function (size) {
+            feed(bytes, size).should.eql(messages);
+        });
+        errors.should.be.empty();
+    });
+
+    it('reports invalid data and continues with the next message', function () {
+        parser.dezeusify('x5{"a"}11{"ok":true}').should.eql([{ok: true}]);
+        errors.length.should.equal(2);
+        errors[0].should.be.an.instanceOf(ProtocolError);
+        errors[0].message.should.match(/Expected a message length/);
+        errors[1].message.should.match(/invalid JSON/);
+        errors[1].data.should.equal('{"a"}');
+    });
+
+    it('skips messages that are too large', function () {
+        var large = protocol.encode({text: new Array(100).join('x')});
+        var bytes = Buffer.concat([large, protocol.encode({ok: true})]);
+        feed(bytes, 10).should.eql([{ok: true}]);
+        errors.length.should.equal(1);
+        errors[0].message.should.match(/exceeds the maximum of 64 bytes/);
+    });
+
+    it('provides streams for encoding and decoding', function (done) {
+        var encoder = new protocol.Encoder();
+        var decoder = new protocol.Decoder();
+        var received = [];
+        encoder.pipe(decoder);
+        decoder.on('data', function (message) {
+            received.push(message);
+        });
+        decoder.on('end', function () {
+            received.should.eql([{'do': 'message', params: ['test', '#dazeus', 'Hëllo']}, {get: 'networks'}]);
+            done();
+        });
+        encoder.write({'do': 'message', params: ['test', '#dazeus', 'Hëllo']});
+        encoder.end({get: 'networks'});
+    });
+});
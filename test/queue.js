@@ -0,0 +1,167 @@
+var should = require('should');
+var dazeus = require('../dazeus');
+var MockServer = require('../lib/mock-server').MockServer;
+var split = require('../lib/queue').split;
+
+describe('SendQueue', function () {
+    var server, client;
+
+    var connect = function (queue, done) {
+        server = new MockServer({
+            networks: {test: {nick: 'DaZeus', channels: {'#dazeus': ['Someone'], '#other': []}}}
+        });
+        server.listen(0, function (address) {
+            client = dazeus.connect(Object.assign({queue: queue}, address), function () {
+                done();
+            });
+        });
+    };
+
+    afterEach(function (done) {
+        client.close();
+        server.close(function () {
+            done();
+        });
+    });
+
+    var messages = function (target) {
+        return server.sent('test', target).map(function (entry) {
+            return entry.message;
+        });
+    };
+
+    describe('with a small burst', function () {
+        beforeEach(function (done) {
+            connect({rate: 20, burst: 2}, done);
+        });
+
+        it('sends a burst right away and the rest at the configured rate', function () {
+            var start = Date.now();
+            var sent = ['1', '2', '3', '4'].map(function (message) {
+                return client.message('test', '#dazeus', message);
+            });
+            client.queue.depth('test').should.equal(2);
+            client.queue.stats().networks.test.targets.should.eql({'#dazeus': 2});
+
+            return Promise.all(sent).then(function () {
+                (Date.now() - start).should.be.aboveOrEqual(90);
+                messages('#dazeus').should.eql(['1', '2', '3', '4']);
+                client.queue.depth().should.equal(0);
+            });
+        });
+
+        it('lets targets take turns', function () {
+            var sent = [
+                client.message('test', '#dazeus', 'a1'),
+                client.message('test', '#dazeus', 'a2'),
+                client.message('test', '#dazeus', 'a3'),
+                client.message('test', '#other', 'b1')
+            ];
+            return Promise.all(sent).then(function () {
+                server.received('message').map(function (request) {
+                    return request.params[2];
+                }).should.eql(['a1', 'a2', 'b1', 'a3']);
+            });
+        });
+    });
+
+    describe('with a slow rate', function () {
+        beforeEach(function (done) {
+            connect({rate: 10, burst: 1, maxDepth: 3}, done);
+        });
+
+        it('sends replies before other messages', function () {
+            var sent = [
+                client.message('test', '#dazeus', 'bulk 1'),
+                client.message('test', '#dazeus', 'bulk 2'),
+                client.message('test', '#dazeus', 'bulk 3'),
+                client.reply('test', '#dazeus', 'Someone', 'reply', true)
+            ];
+            return Promise.all(sent).then(function () {
+                messages('#dazeus').should.eql(['bulk 1', 'Someone: reply', 'bulk 2', 'bulk 3']);
+            });
+        });
+
+        it('drops the oldest waiting line when a target queue is full', function () {
+            var sent = ['1', '2', '3', '4', '5'].map(function (message) {
+                return client.message('test', '#dazeus', message).then(function () {
+                    return 'sent';
+                }, function (err) {
+                    err.should.be.an.instanceOf(dazeus.CancelledError);
+                    return 'dropped';
+                });
+            });
+            return Promise.all(sent).then(function (results) {
+                results.should.eql(['sent', 'dropped', 'sent', 'sent', 'sent']);
+                client.queue.stats().dropped.should.equal(1);
+                messages('#dazeus').should.eql(['1', '3', '4', '5']);
+            });
+        });
+
+        it('rejects waiting lines when the queue is cleared', function () {
+            client.message('test', '#dazeus', 'first');
+            var waiting = client.message('test', '#dazeus', 'second');
+            client.queue.clear();
+            return waiting.then(function () {
+                throw new Error("Should not be sent");
+            }, function (err) {
+                err.should.be.an.instanceOf(dazeus.CancelledError);
+            });
+        });
+    });
+
+    describe('with a small queue', function () {
+        beforeEach(function (done) {
+            connect({rate: 1, burst: 1, maxDepth: 2}, done);
+        });
+
+        it('does not report dropped or cleared lines nobody waits for', function (done) {
+            var reported = [];
+            client.on('error', function (err) {
+                reported.push(err);
+            });
+            ['1', '2', '3', '4', '5'].forEach(function (message) {
+                client.message('test', '#dazeus', message);
+            });
+            client.queue.stats().dropped.should.equal(2);
+            client.close();
+            setTimeout(function () {
+                reported.should.be.empty();
+                client.queue.depth().should.equal(0);
+                done();
+            }, 50);
+        });
+    });
+
+    describe('with a short line length', function () {
+        beforeEach(function (done) {
+            connect({rate: 100, burst: 10, maxLength: 12}, done);
+        });
+
+        it('splits long messages and newlines into multiple lines', function () {
+            return client.message('test', '#dazeus', 'the quick brown fox jumps\nover').then(function () {
+                messages('#dazeus').should.eql(['the quick', 'brown fox', 'jumps', 'over']);
+            });
+        });
+
+        it('does not split CTCP messages', function () {
+            return client.ctcp('test', '#dazeus', 'VERSION with a long argument').then(function () {
+                messages('#dazeus').should.eql(['VERSION with a long argument']);
+            });
+        });
+    });
+
+    describe('split', function () {
+        it('never cuts a UTF-8 character in half', function () {
+            var lines = split('ééééé😀😀', 5);
+            lines.should.eql(['éé', 'éé', 'é', '😀', '😀']);
+            lines.forEach(function (line) {
+                Buffer.byteLength(line).should.be.belowOrEqual(5);
+            });
+        });
+
+        it('drops empty lines', function () {
+            split('one\n\ntwo', 400).should.eql(['one', 'two']);
+        });
+    });
+});
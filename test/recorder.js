@@ -0,0 +1,144 @@
+var should = require('should');
+var dazeus = require('../dazeus');
+var MockServer = require('../lib/mock-server').MockServer;
+var recorder = require('../lib/recorder');
+
+describe('Recorder', function () {
+    var server, lines, stream;
+
+    beforeEach(function (done) {
+        lines = [];
+        stream = {
+            write: function (line) {
+                lines.push(line);
+            }
+        };
+        server = new MockServer({
+            networks: {test: {nick: 'DaZeus', channels: {'#dazeus': ['Someone']}}}
+        });
+        server.listen(0, function () {
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        server.close(function () {
+            done();
+        });
+    });
+
+    // a plugin that echoes its command, and calls back when the echo was sent
+    var echo = function (transform, onEcho) {
+        return function () {
+            var client = this;
+            client.handshake('echo', '1.0').then(function () {
+                return client.onCommand('echo', function (network, user, channel, command, args) {
+                    client.message(network, channel, transform(args)).then(function () {
+                        onEcho(client);
+                    });
+                });
+            }).then(function () {
+                client.emit('ready');
+            });
+        };
+    };
+
+    var same = function (text) {
+        return text;
+    };
+
+    var record = function (options, done) {
+        var client = dazeus.connect(Object.assign({record: Object.assign({stream: stream}, options)}, server.address()), echo(same, function () {
+            client.close();
+            done(lines.join(''));
+        }));
+        client.on('ready', function () {
+            server.command('test', 'Someone', '#dazeus', 'echo', 'hello');
+        });
+    };
+
+    var replay = function (recording, transform, options) {
+        var player = new recorder.Replay(recording, options);
+        dazeus.connect({socket: player}, echo(transform, function (client) {
+            client.close();
+        }));
+        return player.done;
+    };
+
+    it('records every frame sent and received as JSON lines', function (done) {
+        record({}, function (recording) {
+            var parsed = recorder.parse(recording);
+            parsed[0].recording.should.equal(recorder.FORMAT_VERSION);
+            parsed[1].direction.should.equal('out');
+            parsed[1].frame['do'].should.equal('handshake');
+            parsed[1].offset.should.be.a.Number();
+            parsed.filter(function (line) {
+                return line.direction === 'in' && line.frame.event === 'COMMAND';
+            }).length.should.equal(1);
+            parsed[parsed.length - 1].frame.did.should.equal('message');
+            done();
+        });
+    });
+
+    it('replays a session and matches the requests of the client', function (done) {
+        record({}, function (recording) {
+            replay(recording, same).then(function (report) {
+                report.mismatches.should.be.empty();
+                report.sent.filter(function (frame) {
+                    return frame['do'] === 'message';
+                })[0].params.should.eql(['test', '#dazeus', 'hello']);
+            }).then(done, done);
+        });
+    });
+
+    it('reports requests that differ from the recording', function (done) {
+        record({}, function (recording) {
+            replay(recording, function (text) {
+                return text.toUpperCase();
+            }).then(function (report) {
+                report.mismatches.length.should.equal(1);
+                report.mismatches[0].expected.params[2].should.equal('hello');
+                report.mismatches[0].actual.params[2].should.equal('HELLO');
+            }).then(done, done);
+        });
+    });
+
+    it('redacts recordings and still replays them', function (done) {
+        record({redact: true}, function (recording) {
+            recording.should.not.match(/hello/);
+            replay(recording, same).then(function (report) {
+                report.mismatches.should.be.empty();
+            }).then(done, done);
+        });
+    });
+
+    it('keeps the recorded delays with the original timing', function (done) {
+        var recording = [
+            {recording: recorder.FORMAT_VERSION},
+            {offset: 0, direction: 'out', frame: {'do': 'subscribe', params: ['PRIVMSG']}},
+            {offset: 1, direction: 'in', frame: {did: 'subscribe', success: true, added: 1}},
+            {offset: 80, direction: 'in', frame: {event: 'PRIVMSG', params: ['test', 'Someone', '#dazeus', 'Hi']}}
+        ];
+
+        var run = function (timing) {
+            var start = Date.now();
+            var player = new recorder.Replay(recording, {timing: timing});
+            return new Promise(function (resolve) {
+                var client = dazeus.connect({socket: player}, function () {
+                    client.on('PRIVMSG', function (network, user, channel, message) {
+                        message.should.equal('Hi');
+                        client.close();
+                        resolve(Date.now() - start);
+                    });
+                });
+            });
+        };
+
+        run('fast').then(function (elapsed) {
+            elapsed.should.be.below(60);
+            return run('original');
+        }).then(function (elapsed) {
+            elapsed.should.be.aboveOrEqual(75);
+        }).then(done, done);
+    });
+});
@@ -0,0 +1,134 @@
+var should = require('should');
+var dazeus = require('../dazeus');
+var MockServer = require('../lib/mock-server').MockServer;
+var scheduler = require('../lib/scheduler');
+
+describe('Scheduler', function () {
+    var server, client;
+
+    beforeEach(function (done) {
+        server = new MockServer({
+            networks: {test: {nick: 'DaZeus', channels: {'#dazeus': ['Someone']}}}
+        });
+        server.listen(0, function (address) {
+            client = dazeus.connect(address, function () {
+                done();
+            });
+        });
+    });
+
+    afterEach(function (done) {
+        client.close();
+        server.close(function () {
+            done();
+        });
+    });
+
+    var storeJob = function (job) {
+        server.setProperty('reminders.scheduler.job.' + job.id, JSON.stringify(job));
+    };
+
+    it('runs one-shot jobs in their channel and forgets them', function () {
+        var reminders = client.scheduler('reminders');
+        reminders.define('remind', function (context) {
+            return context.reply(context.data.text);
+        });
+        return reminders.at(Date.now() + 20, 'remind', {
+            network: 'test',
+            channel: '#dazeus',
+            user: 'Someone',
+            data: {text: 'Tea is ready'}
+        }).then(function (job) {
+            should(server.getProperty('reminders.scheduler.job.' + job.id)).be.ok();
+            return server.waitFor('message');
+        }).then(function (request) {
+            request.params.should.eql(['test', '#dazeus', 'Someone: Tea is ready']);
+            reminders.list().should.be.empty();
+            return client.propertyKeys('reminders.scheduler.');
+        }).then(function (result) {
+            result.keys.should.be.empty();
+        });
+    });
+
+    it('runs recurring jobs until they are cancelled', function (done) {
+        var runs = 0;
+        var announcements = client.scheduler('announcements');
+        announcements.define('announce', function (context) {
+            runs += 1;
+            context.network.should.equal('test');
+            if (runs === 2) {
+                announcements.cancel(context.id).then(function (existed) {
+                    existed.should.be.true();
+                    announcements.list().should.be.empty();
+                }).then(done, done);
+            }
+        });
+        announcements.every(20, 'announce', {network: 'test', channel: '#dazeus'});
+    });
+
+    it('catches up on missed jobs stored by an earlier run', function (done) {
+        storeJob({id: 'old', type: 'remind', next: Date.now() - 60000, data: 'late'});
+        var reminders = client.scheduler('reminders');
+        reminders.define('remind', function (context) {
+            context.data.should.equal('late');
+            done();
+        });
+    });
+
+    it('skips missed jobs if the policy says so', function () {
+        var interval = 60000;
+        storeJob({id: 'daily', type: 'remind', next: Date.now() - 2.5 * interval, every: interval});
+        storeJob({id: 'once', type: 'remind', next: Date.now() - 1000});
+        var reminders = client.scheduler('reminders', {missed: 'skip'});
+        reminders.define('remind', function () {
+            throw new Error("Should have been skipped");
+        });
+        return reminders.ready.then(function () {
+            reminders.list().map(function (job) {
+                return job.id;
+            }).should.eql(['daily']);
+            reminders.get('daily').next.should.be.above(Date.now());
+            reminders.get('daily').next.should.be.belowOrEqual(Date.now() + interval);
+        });
+    });
+
+    it('rejects invalid jobs', function () {
+        return client.scheduler('reminders').every(-5, 'remind').then(function () {
+            throw new Error("Should have been rejected");
+        }, function (err) {
+            err.should.be.an.instanceOf(dazeus.UsageError);
+            err.message.should.match(/positive number/);
+        });
+    });
+
+    describe('nextCron', function () {
+        var at = function (year, month, day, hour, minute) {
+            return new Date(year, month - 1, day, hour, minute).getTime();
+        };
+
+        it('finds the next matching minute', function () {
+            // Friday 2 January 2026, 10:07
+            var now = at(2026, 1, 2, 10, 7);
+            scheduler.nextCron('*/15 * * * *', now).should.equal(at(2026, 1, 2, 10, 15));
+            scheduler.nextCron('30 9 * * 1-5', now).should.equal(at(2026, 1, 5, 9, 30));
+            scheduler.nextCron('@monthly', now).should.equal(at(2026, 2, 1, 0, 0));
+            scheduler.nextCron('0 12 29 2 *', now).should.equal(at(2028, 2, 29, 12, 0));
+        });
+
+        it('matches either the day or the weekday if both are given', function () {
+            scheduler.nextCron('0 0 15 * 0', at(2026, 1, 2, 10, 7)).should.equal(at(2026, 1, 4, 0, 0));
+        });
+
+        it('refuses invalid expressions', function () {
+            (function () {
+                scheduler.parseCron('61 * * * *');
+            }).should.throw(/out of range/);
+            (function () {
+                scheduler.parseCron('* * *');
+            }).should.throw(/expected 5 fields/);
+            (function () {
+                scheduler.parseCron('* * * * mon');
+            }).should.throw(dazeus.UsageError);
+        });
+    });
+});
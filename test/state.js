@@ -0,0 +1,128 @@
+var should = require('should');
+var dazeus = require('../dazeus');
+var MockServer = require('../lib/mock-server').MockServer;
+var parseName = require('../lib/state').parseName;
+
+describe('StateTracker', function () {
+    var server, client, state;
+
+    beforeEach(function (done) {
+        server = new MockServer({
+            networks: {test: {nick: 'DaZeus', channels: {
+                '#dazeus': ['DaZeus', '@Someone', '+Other', '%@Both'],
+                '#other': ['DaZeus', 'Other']
+            }}}
+        });
+        server.listen(0, function (address) {
+            client = dazeus.connect(Object.assign({state: true}, address));
+            state = client.state;
+            state.ready.then(function () {
+                done();
+            }, done);
+        });
+    });
+
+    afterEach(function (done) {
+        client.close();
+        server.close(function () {
+            done();
+        });
+    });
+
+    // resolves after the client has processed everything DaZeus sent so far
+    var settle = function () {
+        return client.networks();
+    };
+
+    it('seeds itself from the networks, channels and names', function () {
+        state.nick('test').should.equal('DaZeus');
+        state.channels('test').should.eql(['#dazeus', '#other']);
+        state.users('test', '#dazeus').should.eql(['DaZeus', 'Someone', 'Other', 'Both']);
+        state.isOp('test', '#dazeus', 'someone').should.be.true();
+        state.isOp('test', '#dazeus', 'Other').should.be.false();
+        state.isVoiced('test', '#dazeus', 'Other').should.be.true();
+        state.modes('test', '#dazeus', 'Both').should.eql(['o', 'h']);
+        state.prefix('test', '#dazeus', 'Both').should.equal('@');
+        state.commonChannels('test', 'Other').should.eql(['#dazeus', '#other']);
+    });
+
+    it('keeps the current state while refreshing and when refreshing fails', function () {
+        client.channels = function (network) {
+            return Promise.resolve({success: true, network: network});
+        };
+        var refreshing = state.refresh();
+        state.channels('test').should.eql(['#dazeus', '#other']);
+        return refreshing.then(function () {
+            throw new Error("Should have been rejected");
+        }, function (err) {
+            err.should.be.an.instanceOf(dazeus.ProtocolError);
+            state.channels('test').should.eql(['#dazeus', '#other']);
+            state.users('test', '#other').should.eql(['DaZeus', 'Other']);
+        });
+    });
+
+    it('keeps events that arrive while refreshing', function () {
+        var refreshing = state.refresh();
+        server.event('TOPIC', ['test', 'Someone', '#dazeus', 'Welcome!']);
+        server.event('MODE', ['test', 'Someone', '#dazeus', '+m']);
+        return refreshing.then(function () {
+            state.topic('test', '#dazeus').should.equal('Welcome!');
+            state.channelModes('test', '#dazeus').should.eql({m: true});
+            state.missed.should.be.empty();
+        });
+    });
+
+    it('follows joins, parts, kicks and quits', function () {
+        server.join('test', 'Newbie', '#other');
+        server.part('test', 'Other', '#other', 'Bye');
+        server.event('KICK', ['test', 'Someone', '#dazeus', 'Other', 'Behave']);
+        server.event('QUIT', ['test', 'Both', 'Gone']);
+        return settle().then(function () {
+            state.users('test', '#other').should.eql(['DaZeus', 'Newbie']);
+            state.users('test', '#dazeus').should.eql(['DaZeus', 'Someone']);
+            state.commonChannels('test', 'Other').should.eql([]);
+        });
+    });
+
+    it('follows nickname changes of users and the bot', function () {
+        server.event('NICK', ['test', 'Someone', 'SomeoneElse']);
+        server.event('NICK', ['test', 'DaZeus', 'DaZeus_']);
+        return settle().then(function () {
+            state.isOp('test', '#dazeus', 'SomeoneElse').should.be.true();
+            state.isIn('test', '#dazeus', 'Someone').should.be.false();
+            state.nick('test').should.equal('DaZeus_');
+            state.users('test', '#other').should.eql(['Other', 'DaZeus_']);
+        });
+    });
+
+    it('follows mode and topic changes', function () {
+        server.event('MODE', ['test', 'Someone', '#dazeus', '+v-o+kl', 'Someone', 'Someone', 'secret', '10']);
+        server.event('MODE', ['test', 'Someone', '#dazeus', '+b-k', '*!*@spam', 'secret']);
+        server.event('TOPIC', ['test', 'Someone', '#dazeus', 'Welcome!']);
+        return settle().then(function () {
+            state.modes('test', '#dazeus', 'Someone').should.eql(['v']);
+            state.isOp('test', '#dazeus', 'Someone').should.be.false();
+            state.channelModes('test', '#dazeus').should.eql({l: '10'});
+            state.topic('test', '#dazeus').should.equal('Welcome!');
+        });
+    });
+
+    it('forgets channels the bot leaves and learns channels it joins', function () {
+        server.part('test', 'DaZeus', '#other');
+        server.addChannel('test', '#new', ['@DaZeus', 'Someone']);
+        server.event('JOIN', ['test', 'DaZeus', '#new']);
+        return settle().then(function () {
+            return settle();
+        }).then(function () {
+            state.channels('test').should.eql(['#dazeus', '#new']);
+            state.isOp('test', '#new', 'DaZeus').should.be.true();
+        });
+    });
+
+    describe('parseName', function () {
+        it('separates all prefixes from the nickname', function () {
+            parseName('+@Someone').should.eql({nick: 'Someone', modes: ['o', 'v']});
+            parseName('Someone').should.eql({nick: 'Someone', modes: []});
+        });
+    });
+});
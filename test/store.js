@@ -0,0 +1,136 @@
+var should = require('should');
+var dazeus = require('../dazeus');
+var MockServer = require('../lib/mock-server').MockServer;
+
+describe('Store', function () {
+    var server, client;
+
+    beforeEach(function (done) {
+        server = new MockServer({networks: {test: {}}});
+        server.listen(0, function (address) {
+            client = dazeus.connect(address, function () {
+                done();
+            });
+        });
+    });
+
+    afterEach(function (done) {
+        client.close();
+        server.close(function () {
+            done();
+        });
+    });
+
+    it('stores values as JSON under the name of the plugin', function () {
+        var store = client.store('quotes', {network: 'test'});
+        return store.set('count', {value: 3}).then(function () {
+            server.getProperty('quotes.count', ['test']).should.equal('{"value":3}');
+            return store.get('count');
+        }).then(function (value) {
+            value.should.eql({value: 3});
+        });
+    });
+
+    it('returns defaults for missing keys', function () {
+        var store = client.store('quotes', {defaults: {count: 0}});
+        return store.get('count').then(function (value) {
+            value.should.equal(0);
+            return store.get('other', 'fallback');
+        }).then(function (value) {
+            value.should.equal('fallback');
+        });
+    });
+
+    it('lists and iterates over keys with a prefix', function () {
+        var store = client.store('quotes');
+        var seen = [];
+        return Promise.all([
+            store.set('quote.1', 'first'),
+            store.set('quote.2', 'second'),
+            store.set('count', 2)
+        ]).then(function () {
+            return store.keys('quote.');
+        }).then(function (keys) {
+            keys.should.eql(['quote.1', 'quote.2']);
+            return store.each('quote.', function (value, key) {
+                seen.push(key + '=' + value);
+            });
+        }).then(function () {
+            seen.should.eql(['quote.1=first', 'quote.2=second']);
+            return store['delete']('quote.1');
+        }).then(function () {
+            return store.entries('quote.');
+        }).then(function (entries) {
+            entries.should.eql([['quote.2', 'second']]);
+        });
+    });
+
+    it('runs concurrent updates of a key one at a time', function () {
+        var store = client.store('counter');
+        var increment = function (value) {
+            return value + 1;
+        };
+        return Promise.all([
+            store.update('hits', increment, 0),
+            store.update('hits', increment, 0),
+            store.update('hits', increment, 0)
+        ]).then(function (results) {
+            results.should.eql([1, 2, 3]);
+            return store.get('hits');
+        }).then(function (value) {
+            value.should.equal(3);
+        });
+    });
+
+    it('runs updates of a key one at a time across stores of the same client', function () {
+        var store = client.store('counter');
+        var increment = function (value) {
+            return value + 1;
+        };
+        return Promise.all([
+            store.update('hits', increment, 0),
+            store.update('hits', increment, 0),
+            client.store('counter').update('hits', increment, 0),
+            client.store('counter').scoped({network: 'test'}).update('hits', increment, 0)
+        ]).then(function (results) {
+            results.should.eql([1, 2, 3, 1]);
+            return store.get('hits');
+        }).then(function (value) {
+            value.should.equal(3);
+        });
+    });
+
+    it('rejects values that do not match the schema', function () {
+        var store = client.store('quotes', {
+            schema: {
+                count: 'number',
+                'quote.*': {type: 'string', validate: function (value) {
+                    return value.length > 0 || "quotes can't be empty";
+                }}
+            }
+        });
+        return store.set('count', 'three').then(function () {
+            throw new Error("Should have been rejected");
+        }, function (err) {
+            err.should.be.an.instanceOf(dazeus.ValidationError);
+            err.key.should.equal('count');
+            return store.set('quote.1', '');
+        }).then(function () {
+            throw new Error("Should have been rejected");
+        }, function (err) {
+            err.message.should.equal("Invalid value for quote.1: quotes can't be empty");
+        });
+    });
+
+    it('keeps values in different scopes apart', function () {
+        var global = client.store('greeter');
+        var channel = global.scoped({network: 'test', channel: '#dazeus'});
+        return global.set('greeting', 'Hello').then(function () {
+            return channel.set('greeting', 'Hoi');
+        }).then(function () {
+            return Promise.all([global.get('greeting'), channel.get('greeting')]);
+        }).then(function (values) {
+            values.should.eql(['Hello', 'Hoi']);
+        });
+    });
+});
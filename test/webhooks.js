@@ -0,0 +1,151 @@
+var should = require('should');
+var http = require('http');
+var dazeus = require('../dazeus');
+var MockServer = require('../lib/mock-server').MockServer;
+
+describe('WebhookBridge', function () {
+    var server, client, bridge, port;
+
+    beforeEach(function (done) {
+        server = new MockServer({
+            networks: {test: {nick: 'DaZeus', channels: {'#dazeus': [], '#ops': []}}}
+        });
+        server.listen(0, function (address) {
+            client = dazeus.connect(address, function () {
+                bridge = client.webhooks({
+                    tokens: {
+                        ci: {targets: ['test/#dazeus']},
+                        ops: {targets: ['test/*'], rate: {limit: 1, interval: 60000}, template: "Deploy of {{app}}: {{status}}"}
+                    }
+                });
+                bridge.listen(0).then(function (where) {
+                    port = where.port;
+                    done();
+                });
+            });
+        });
+    });
+
+    afterEach(function (done) {
+        client.close();
+        server.close(function () {
+            done();
+        });
+    });
+
+    var post = function (path, body, headers) {
+        return new Promise(function (resolve, reject) {
+            var data = typeof body === 'string' ? body : JSON.stringify(body);
+            var request = http.request({
+                host: '127.0.0.1',
+                port: port,
+                path: path,
+                method: 'POST',
+                headers: Object.assign({'Content-Type': 'application/json'}, headers || {})
+            }, function (response) {
+                var text = '';
+                response.on('data', function (chunk) {
+                    text += chunk;
+                });
+                response.on('end', function () {
+                    resolve({status: response.statusCode, headers: response.headers, body: JSON.parse(text)});
+                });
+            });
+            request.on('error', reject);
+            request.end(data);
+        });
+    };
+
+    var messages = function () {
+        return server.received('message').map(function (request) {
+            return dazeus.format.strip(request.params[2]);
+        });
+    };
+
+    it('posts generic payloads to the only target of a token', function () {
+        return post('/', {message: 'Build passed'}, {Authorization: 'Bearer ci'}).then(function (response) {
+            response.status.should.equal(200);
+            response.body.should.eql({ok: true, network: 'test', channel: '#dazeus', lines: 1});
+            server.received('message')[0].params.should.eql(['test', '#dazeus', 'Build passed']);
+        });
+    });
+
+    it('formats GitHub pushes', function () {
+        return post('/test/%23dazeus', {
+            ref: 'refs/heads/main',
+            repository: {full_name: 'dazeus/dazeus-nodejs'},
+            pusher: {name: 'someone'},
+            commits: [
+                {id: '0123456789abcdef', message: "Fix the parser\n\nDetails", author: {name: 'Someone'}},
+                {id: 'fedcba9876543210', message: "Add tests", author: {name: 'Other'}}
+            ]
+        }, {'X-GitHub-Event': 'push', 'X-DaZeus-Token': 'ci'}).then(function (response) {
+            response.status.should.equal(200);
+            messages().should.eql([
+                '[dazeus/dazeus-nodejs] someone pushed 2 commits to main',
+                '  0123456 Fix the parser (Someone)',
+                '  fedcba9 Add tests (Other)'
+            ]);
+        });
+    });
+
+    it('formats alerts', function () {
+        return post('/test/%23dazeus?token=ci', {
+            status: 'firing',
+            alerts: [
+                {status: 'firing', labels: {alertname: 'DiskFull', severity: 'critical'}, annotations: {summary: '95% used'}},
+                {status: 'resolved', labels: {alertname: 'HighLoad'}}
+            ]
+        }).then(function (response) {
+            response.status.should.equal(200);
+            messages().should.eql(['[FIRING] DiskFull (critical): 95% used', '[RESOLVED] HighLoad']);
+        });
+    });
+
+    it('fills in the template of a token', function () {
+        return post('/test/%23ops', {app: 'website', status: 'done'}, {Authorization: 'Bearer ops'}).then(function () {
+            messages().should.eql(['Deploy of website: done']);
+        });
+    });
+
+    it('rejects bad tokens, unknown targets and invalid payloads', function () {
+        return Promise.all([
+            post('/', {message: 'Hi'}),
+            post('/', {message: 'Hi'}, {Authorization: 'Bearer nope'}),
+            post('/test/%23ops', {message: 'Hi'}, {Authorization: 'Bearer ci'}),
+            post('/test', {message: 'Hi'}, {Authorization: 'Bearer ci'}),
+            post('/', '{not json', {Authorization: 'Bearer ci'}),
+            post('/', {nothing: true}, {Authorization: 'Bearer ci'}),
+            post('/', 'null', {Authorization: 'Bearer ci'}),
+            post('/', '42', {Authorization: 'Bearer ci'}),
+            post('/', '"Hi"', {Authorization: 'Bearer ci'})
+        ]).then(function (responses) {
+            responses.map(function (response) {
+                return response.status;
+            }).should.eql([401, 401, 403, 404, 400, 400, 400, 400, 400]);
+            responses[6].body.error.should.equal('The payload has to be a JSON object');
+            responses[2].body.error.should.equal('This token may not post to #ops on test');
+            server.received('message').should.be.empty();
+        });
+    });
+
+    it('rejects URLs that cannot be parsed', function () {
+        return post('//[', {message: 'Hi'}, {Authorization: 'Bearer ci'}).then(function (response) {
+            response.status.should.equal(400);
+            response.body.error.should.equal('Invalid URL //[');
+            server.received('message').should.be.empty();
+        });
+    });
+
+    it('limits how often a token may post', function () {
+        var headers = {Authorization: 'Bearer ops'};
+        return post('/test/%23ops', {app: 'a', status: 'ok'}, headers).then(function (response) {
+            response.status.should.equal(200);
+            return post('/test/%23ops', {app: 'b', status: 'ok'}, headers);
+        }).then(function (response) {
+            response.status.should.equal(429);
+            response.headers['retry-after'].should.equal('60');
+            response.body.error.should.match(/Rate limit of 1 requests per 60 seconds/);
+        });
+    });
+});